@@ -9,12 +9,22 @@ import passport, { initializeOAuthStrategies } from './config/passport.js';
 import authRoutes from './routes/auth.js';
 import campaignRoutes from './routes/campaigns.js';
 import contactRoutes from './routes/contacts.js';
+import contactGroupRoutes from './routes/contactGroups.js';
+import segmentRoutes from './routes/segments.js';
 import templateRoutes from './routes/templates.js';
 import n8nRoutes from './routes/n8n.js';
 import dashboardRoutes from './routes/dashboard.js';
 import notificationRoutes from './routes/notifications.js';
+import settingsRoutes from './routes/settings.js';
+import pricingRoutes from './routes/pricing.js';
+import unsubscribeRoutes from './routes/unsubscribe.js';
+import mediaRoutes from './routes/media.js';
+import messageRoutes from './routes/messages.js';
 import { initializeScheduler } from './services/scheduler.js';
+import { initializeRecurringCampaigns } from './services/recurringCampaigns.js';
+import { runMigrations } from './services/migrations.js';
 import { setupSocketHandlers } from './services/socketService.js';
+import { mountWhatsAppSimulator } from './simulator/whatsappCloudSimulator.js';
 
 // Initialize OAuth strategies after environment variables are loaded
 await initializeOAuthStrategies();
@@ -109,14 +119,28 @@ mongoose.connection.on('error', (err) => {
   console.error('MongoDB connection error:', err);
 });
 
+const PORT = process.env.PORT || 3001;
+
+// Local WhatsApp Cloud API simulator, for development without a Meta account
+if (process.env.WHATSAPP_SIMULATOR === 'true') {
+  mountWhatsAppSimulator(app, { port: PORT });
+}
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/campaigns', campaignRoutes);
 app.use('/api/contacts', contactRoutes);
+app.use('/api/contact-groups', contactGroupRoutes);
+app.use('/api/segments', segmentRoutes);
 app.use('/api/templates', templateRoutes);
 app.use('/api/n8n', n8nRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/pricing', pricingRoutes);
+app.use('/api/unsubscribe', unsubscribeRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/messages', messageRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -129,12 +153,14 @@ setupSocketHandlers(io);
 // Make io available to routes for emitting events
 app.set('io', io);
 
-const PORT = process.env.PORT || 3001;
-
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-  // Initialize job scheduler
-  initializeScheduler(io);
+  // Apply pending data migrations, then initialize the job scheduler and the recurring
+  // campaigns that feed it
+  runMigrations()
+    .then(() => initializeScheduler(io))
+    .then(() => initializeRecurringCampaigns())
+    .catch(error => console.error('❌ Startup failed:', error.message));
 });
 
 export { io };
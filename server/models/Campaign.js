@@ -1,24 +1,67 @@
 import mongoose from 'mongoose';
 
+const channelProgress = {
+  sent: { type: Number, default: 0 },
+  delivered: { type: Number, default: 0 },
+  read: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 }
+};
+
+const variableMappingSchema = new mongoose.Schema({
+  component: {
+    type: String,
+    enum: ['header', 'body', 'button'],
+    default: 'body'
+  },
+  placeholder: {
+    type: Number,
+    required: true
+  },
+  buttonIndex: Number,
+  source: {
+    type: String,
+    enum: ['contact', 'metadata', 'campaign'],
+    required: true
+  },
+  key: String,
+  fallback: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
+function isNotDraft() {
+  return this.status !== 'draft';
+}
+
 const campaignSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
     trim: true
   },
-  // WhatsApp API template fields
+  // WhatsApp API template fields; drafts can be saved without them
   templateName: {
     type: String,
-    required: true
+    required: isNotDraft
   },
   templateLanguage: {
     type: String,
-    required: true
+    required: isNotDraft
   },
   templateComponents: {
     type: Array,
     default: []
   },
+  // Media for IMAGE, VIDEO and DOCUMENT headers (see services/mediaLibrary.js)
+  headerMedia: {
+    assetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MediaAsset'
+    },
+    // Contact.metadata field with a per-contact asset ID or link; assetId is the fallback
+    metadataKey: String
+  },
   contactGroups: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'ContactGroup'
@@ -27,31 +70,171 @@ const campaignSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Contact'
   }],
+  // Dynamic segment, re-evaluated when the campaign runs
+  segmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Segment'
+  },
   variables: {
     type: Map,
     of: String,
     default: new Map()
   },
+  // Live template as fetched when the run started; message jobs render from it
+  templateSnapshot: {
+    type: Object
+  },
+  // Maps each {{n}} placeholder to a per-contact value source (see services/templateVariables.js)
+  variableMappings: [variableMappingSchema],
+  // A/B test variants (see services/abTesting.js); two or more make this an A/B campaign
+  variants: [{
+    _id: false,
+    key: {
+      type: String,
+      required: true
+    },
+    name: String,
+    templateName: {
+      type: String,
+      required: true
+    },
+    templateLanguage: String,
+    templateComponents: {
+      type: Array,
+      default: []
+    },
+    variableMappings: [variableMappingSchema],
+    // Percentage of the (test) audience; omitted weights split evenly
+    weight: Number,
+    templateSnapshot: Object
+  }],
+  abTest: {
+    mode: {
+      type: String,
+      enum: ['split', 'winner'],
+      default: 'split'
+    },
+    testPercentage: Number,
+    winnerMetric: {
+      type: String,
+      enum: ['read_rate', 'reply_rate'],
+      default: 'read_rate'
+    },
+    winnerDelayHours: Number,
+    winnerVariant: String,
+    winnerSelectedAt: Date,
+    // Set once the held-back audience has been fanned out to the winner
+    winnerSentAt: Date,
+    winnerJobId: String
+  },
   scheduledAt: {
     type: Date,
-    required: true
+    required: isNotDraft
   },
   status: {
     type: String,
-    enum: ['scheduled', 'sending', 'completed', 'paused', 'cancelled', 'failed'],
+    enum: ['draft', 'pending_approval', 'scheduled', 'sending', 'completed', 'paused', 'cancelled', 'failed', 'recurring'],
     default: 'scheduled'
   },
+  // Approval gate for campaigns scheduled by `user`-role members (see services/campaignApproval.js)
+  approval: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected']
+    },
+    requestedBy: String,
+    requestedAt: Date,
+    decidedBy: String,
+    decidedAt: Date,
+    comment: String
+  },
+  approvalHistory: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: ['requested', 'approved', 'rejected']
+    },
+    by: String,
+    byName: String,
+    role: String,
+    comment: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Recurring series settings (see services/recurringCampaigns.js); only set on the parent
+  recurrence: {
+    cron: String,
+    rule: {
+      frequency: {
+        type: String,
+        enum: ['daily', 'weekly', 'monthly']
+      },
+      time: String, // HH:mm in the campaign timezone
+      daysOfWeek: [Number], // 0 = Sunday
+      dayOfMonth: Number
+    },
+    endAt: Date,
+    paused: {
+      type: Boolean,
+      default: false
+    },
+    // Number of upcoming occurrences to skip
+    skipNext: {
+      type: Number,
+      default: 0
+    },
+    runCount: {
+      type: Number,
+      default: 0
+    },
+    lastRunAt: Date,
+    lastOccurrenceAt: Date
+  },
+  // Set on each run created by a recurring series
+  parentCampaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  runNumber: {
+    type: Number
+  },
   progress: {
     total: { type: Number, default: 0 },
     sent: { type: Number, default: 0 },
     delivered: { type: Number, default: 0 },
     read: { type: Number, default: 0 },
-    failed: { type: Number, default: 0 }
+    failed: { type: Number, default: 0 },
+    // Skipped by frequency caps; settled like sent and failed
+    suppressed: { type: Number, default: 0 },
+    // Every message per channel, including WhatsApp messages replaced by an SMS fallback
+    channels: {
+      whatsapp: channelProgress,
+      sms: channelProgress,
+      email: channelProgress
+    }
   },
   jobId: {
     type: String,
     sparse: true
   },
+  // Job that started the current run; fanned-out message jobs carry it for tracing
+  runId: {
+    type: String
+  },
+  pausedAt: {
+    type: Date
+  },
+  resumedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
   createdBy: {
     type: String,
     required: true
@@ -60,14 +243,26 @@ const campaignSchema = new mongoose.Schema({
     type: String,
     default: 'UTC'
   },
+  // Allowed send window in each contact's local time; overrides the workspace quiet hours
+  sendWindow: {
+    start: String, // HH:mm
+    end: String // HH:mm
+  },
   rateLimitPerMinute: {
     type: Number,
     default: 60
   },
+  // Messaging provider driver (see providers/index.js)
   provider: {
     type: String,
-    enum: ['whatsapp', 'twilio', 'auto'],
-    default: 'twilio'
+    enum: ['whatsapp', 'twilio', 'auto', 'mock', 'email'],
+    default: 'whatsapp'
+  },
+  // 'auto' campaigns re-send as SMS when a WhatsApp message is still undelivered after this
+  // long; unset uses SMS_FALLBACK_TIMEOUT_MINUTES, 0 turns the timeout off
+  smsFallbackTimeoutMinutes: {
+    type: Number,
+    min: 0
   },
   // n8n integration fields
   n8nWorkflowId: {
@@ -93,6 +288,7 @@ const campaignSchema = new mongoose.Schema({
 
 campaignSchema.index({ scheduledAt: 1, status: 1 });
 campaignSchema.index({ jobId: 1 });
+campaignSchema.index({ parentCampaignId: 1, createdAt: -1 });
 campaignSchema.index({ n8nWorkflowId: 1 });
 campaignSchema.index({ googleCalendarEventId: 1 });
 
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+// Append-only timeline entry for a campaign (see services/campaignEvents.js)
+const campaignEventSchema = new mongoose.Schema({
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'created',
+      'updated',
+      'scheduled',
+      'rescheduled',
+      'approval_requested',
+      'approved',
+      'rejected',
+      'job_started',
+      'sending',
+      'paused',
+      'resumed',
+      'cancelled',
+      'completed',
+      'failed',
+      'throttled',
+      'send_window_deferred',
+      'message_errors',
+      'sms_fallback',
+      'retry_requested',
+      'ab_winner_selected',
+      'progress_reconciled',
+      'deleted'
+    ],
+    required: true
+  },
+  // Set when the event changed the campaign status
+  fromStatus: {
+    type: String
+  },
+  toStatus: {
+    type: String
+  },
+  // Who caused it: a user, or a part of the system such as the scheduler
+  actor: {
+    type: {
+      type: String,
+      enum: ['user', 'system'],
+      default: 'system'
+    },
+    userId: String,
+    name: String,
+    role: String
+  },
+  message: {
+    type: String
+  },
+  details: {
+    type: Object
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+campaignEventSchema.index({ campaignId: 1, createdAt: -1 });
+
+// Events are never edited once written
+const rejectUpdate = function (next) {
+  next(new Error('Campaign events are append-only'));
+};
+campaignEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectUpdate);
+
+export default mongoose.model('CampaignEvent', campaignEventSchema);
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { getTimezoneForPhone } from '../utils/phoneCountries.js';
+import { isValidTimezone } from '../utils/timezones.js';
 
 const contactSchema = new mongoose.Schema({
   name: {
@@ -21,6 +23,10 @@ const contactSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  groups: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ContactGroup'
+  }],
   status: {
     type: String,
     enum: ['active', 'inactive', 'blocked'],
@@ -37,6 +43,22 @@ const contactSchema = new mongoose.Schema({
   optedOut: {
     type: Boolean,
     default: false
+  },
+  // Opt-outs from a single channel, e.g. through an email unsubscribe link
+  optOuts: {
+    email: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // IANA timezone used for quiet hours; defaults from the phone's calling code
+  timezone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: (timezone) => !timezone || isValidTimezone(timezone),
+      message: (props) => `Invalid timezone: ${props.value}`
+    }
   }
 }, {
   timestamps: true
@@ -44,6 +66,14 @@ const contactSchema = new mongoose.Schema({
 
 contactSchema.index({ phone: 1 });
 contactSchema.index({ tags: 1 });
+contactSchema.index({ groups: 1 });
 contactSchema.index({ status: 1 });
 
+contactSchema.pre('save', function(next) {
+  if (!this.timezone || (this.isModified('phone') && !this.isModified('timezone'))) {
+    this.timezone = getTimezoneForPhone(this.phone) || undefined;
+  }
+  next();
+});
+
 export default mongoose.model('Contact', contactSchema);
\ No newline at end of file
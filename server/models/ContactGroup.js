@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// Membership is stored on the contact (Contact.groups) so large groups can be
+// expanded with a single indexed query at send time
+const contactGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('ContactGroup', contactGroupSchema);
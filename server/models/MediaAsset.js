@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// Media ID issued by a provider's media endpoint for one sending number
+const providerMediaSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  senderId: String,
+  mediaId: {
+    type: String,
+    required: true
+  },
+  uploadedAt: Date,
+  expiresAt: Date
+}, { _id: false });
+
+// A file in the media library, used as template header media (see services/mediaLibrary.js)
+const mediaAssetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['image', 'video', 'document'],
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  filename: String,
+  // Bytes; unknown for links that do not report a length
+  size: Number,
+  // Uploaded files are kept in GridFS so expired media IDs can be renewed; links are fetched
+  // by WhatsApp when the message is sent
+  source: {
+    type: String,
+    enum: ['upload', 'link'],
+    required: true
+  },
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  link: {
+    type: String,
+    trim: true
+  },
+  providerMedia: [providerMediaSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+mediaAssetSchema.index({ type: 1, createdAt: -1 });
+
+export default mongoose.model('MediaAsset', mediaAssetSchema);
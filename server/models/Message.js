@@ -15,20 +15,85 @@ const messageSchema = new mongoose.Schema({
     ref: 'Contact',
     required: true
   },
+  // A/B test variant key this contact was assigned to
+  variant: {
+    type: String
+  },
   content: {
     type: String,
     required: false // Make optional for failed messages
   },
   status: {
     type: String,
-    enum: ['pending', 'sent', 'delivered', 'read', 'failed'],
+    enum: ['pending', 'sent', 'delivered', 'read', 'failed', 'skipped'],
     default: 'pending'
   },
+  // Why a skipped message was not sent, e.g. 'frequency_cap'
+  skipReason: {
+    type: String
+  },
+  // Template category (MARKETING, UTILITY, ...) used for frequency caps
+  category: {
+    type: String
+  },
+  // Template actually sent; differs from the campaign's for A/B variants
+  templateName: {
+    type: String
+  },
+  // Recipient's calling code, used to price the message
+  countryCode: {
+    type: String
+  },
+  // Provider that sent the message; whatsappMessageId holds that provider's message id
+  provider: {
+    type: String
+  },
+  channel: {
+    type: String,
+    enum: ['whatsapp', 'sms', 'email'],
+    default: 'whatsapp'
+  },
+  // On an SMS fallback: the WhatsApp message it replaces
+  fallbackFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  // On a replaced WhatsApp message: why and by which message (see services/smsFallback.js)
+  fallback: {
+    reason: {
+      type: String,
+      enum: ['not_on_whatsapp', 'undelivered']
+    },
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    at: Date
+  },
   whatsappMessageId: {
     type: String,
     unique: true,
     sparse: true
   },
+  // Billing details reported by status webhooks (see services/pricing.js)
+  pricing: {
+    billable: Boolean,
+    category: String,
+    pricingModel: String,
+    type: { type: String }
+  },
+  conversation: {
+    id: String,
+    originType: String,
+    expiresAt: Date
+  },
+  // Spend recorded from the rate table when pricing arrived; 0 when free
+  cost: {
+    type: Number
+  },
+  currency: {
+    type: String
+  },
   sentAt: {
     type: Date
   },
@@ -38,9 +103,40 @@ const messageSchema = new mongoose.Schema({
   readAt: {
     type: Date
   },
+  // Held by quiet hours until the contact's send window opens
+  deferredUntil: {
+    type: Date
+  },
   errorMessage: {
     type: String
   },
+  // Cloud API error code of the last failure (see services/whatsappErrors.js)
+  errorCode: {
+    type: String
+  },
+  // False for permanent failures that can never succeed on retry
+  retryable: {
+    type: Boolean
+  },
+  retryHistory: [{
+    _id: false,
+    attempt: Number,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    errorCode: String,
+    errorMessage: String,
+    kind: {
+      type: String,
+      enum: ['transient', 'permanent', 'unknown']
+    },
+    source: {
+      type: String,
+      enum: ['send', 'webhook', 'manual'],
+      default: 'send'
+    }
+  }],
   retryCount: {
     type: Number,
     default: 0
@@ -54,7 +150,14 @@ const messageSchema = new mongoose.Schema({
 });
 
 messageSchema.index({ campaignId: 1, status: 1 });
+messageSchema.index({ campaignId: 1, status: 1, retryable: 1 });
 messageSchema.index({ contactId: 1 });
+messageSchema.index({ readAt: 1 });
+messageSchema.index({ contactId: 1, category: 1, sentAt: -1 });
+messageSchema.index({ campaignId: 1, variant: 1 });
 messageSchema.index({ whatsappMessageId: 1 });
+messageSchema.index({ 'conversation.id': 1 });
+messageSchema.index({ sentAt: 1, cost: 1 });
+messageSchema.index({ fallbackFor: 1 });
 
 export default mongoose.model('Message', messageSchema);
\ No newline at end of file
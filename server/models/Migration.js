@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// A one-time data migration that has been applied (see services/migrations.js)
+const migrationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  },
+  result: {
+    type: Object
+  }
+});
+
+export default mongoose.model('Migration', migrationSchema);
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// Price of one billable message or conversation, by destination calling code and category.
+// callingCode '*' is the fallback for countries without their own rate.
+const pricingRateSchema = new mongoose.Schema({
+  callingCode: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  country: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: ['MARKETING', 'UTILITY', 'AUTHENTICATION', 'SERVICE'],
+    required: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD'
+  },
+  updatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+pricingRateSchema.index({ callingCode: 1, category: 1 }, { unique: true });
+
+export default mongoose.model('PricingRate', pricingRateSchema);
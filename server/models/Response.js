@@ -97,6 +97,7 @@ responseSchema.index({ whatsappMessageId: 1 });
 responseSchema.index({ fromPhone: 1, createdAt: -1 });
 responseSchema.index({ originalCampaignId: 1 });
 responseSchema.index({ contactId: 1 });
+responseSchema.index({ buttonPayload: 1, originalCampaignId: 1 });
 responseSchema.index({ processed: 1 });
 responseSchema.index({ n8nWorkflowTriggered: 1 });
 
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// One filter rule; which fields apply depends on the type (see services/segments.js)
+const segmentRuleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['tags', 'metadata', 'status', 'lastMessageAt', 'responded', 'clicked', 'not_read'],
+    required: true
+  },
+  operator: String,
+  key: String,
+  value: mongoose.Schema.Types.Mixed,
+  values: [String],
+  from: Date,
+  to: Date,
+  days: Number,
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  payload: String
+}, { _id: false });
+
+const segmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Whether a contact must match all rules or any of them
+  match: {
+    type: String,
+    enum: ['all', 'any'],
+    default: 'all'
+  },
+  rules: [segmentRuleSchema],
+  createdBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Segment', segmentSchema);
@@ -73,6 +73,18 @@ const templateSchema = new mongoose.Schema({
     },
     footerText: String
   },
+  // Email templates: subject and HTML part; body is the plain-text part. All three take
+  // the same {{variable}} placeholders (see services/emailCampaigns.js)
+  email: {
+    subject: {
+      type: String,
+      trim: true,
+      required: function() {
+        return this.provider === 'email';
+      }
+    },
+    html: String
+  },
   // Message provider
   provider: {
     type: String,
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// Workspace-wide settings; a single document keyed 'workspace'
+const workspaceSettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    default: 'workspace'
+  },
+  // Quiet hours: campaign messages are only sent inside this window, in each contact's timezone
+  sendWindow: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    start: {
+      type: String,
+      default: '09:00'
+    },
+    end: {
+      type: String,
+      default: '20:00'
+    }
+  },
+  // Per-contact caps by template category (see services/frequencyCaps.js)
+  frequencyCaps: [{
+    _id: false,
+    category: {
+      type: String,
+      enum: ['MARKETING', 'UTILITY', 'AUTHENTICATION'],
+      required: true
+    },
+    maxMessages: {
+      type: Number,
+      required: true
+    },
+    periodDays: {
+      type: Number,
+      required: true
+    }
+  }],
+  // Used for contacts whose timezone cannot be derived from their phone number
+  defaultTimezone: {
+    type: String,
+    default: 'UTC'
+  },
+  updatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('WorkspaceSettings', workspaceSettingsSchema);
@@ -0,0 +1,105 @@
+import { createTransporter } from '../services/emailService.js';
+
+// Email driver (SMTP through nodemailer, configured with the SMTP_* settings)
+//
+// Email has no approved templates: campaigns render subject and bodies themselves and send
+// them with sendEmail({ to, subject, html, text, headers }). SMTP rejections surface while
+// sending; bounces that arrive later are reported to the email webhook (see parseWebhook).
+
+const getConfig = () => ({
+  host: process.env.SMTP_HOST,
+  port: process.env.SMTP_PORT,
+  user: process.env.SMTP_USER,
+  from: process.env.EMAIL_FROM || process.env.SMTP_USER
+});
+
+// Connection errors worth retrying; nodemailer reports SMTP replies as responseCode
+const TRANSIENT_ERROR_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'ECONNRESET', 'ECONNREFUSED'];
+
+// 5xx replies (unknown mailbox, rejected message) are permanent, 4xx (greylisting, mailbox
+// busy, too many messages) are transient
+export const classifyEmailError = (error) => {
+  const responseCode = Number(error?.responseCode) || null;
+  const message = error?.response || error?.message || 'Unknown error';
+
+  let kind = 'unknown';
+  if (responseCode >= 500) {
+    kind = 'permanent';
+  } else if (responseCode >= 400) {
+    kind = 'transient';
+  } else if (TRANSIENT_ERROR_CODES.includes(error?.code)) {
+    kind = 'transient';
+  }
+
+  return {
+    code: responseCode ?? error?.code ?? null,
+    message,
+    kind,
+    transient: kind === 'transient',
+    retryable: kind !== 'permanent',
+    rateLimited: kind === 'transient' && /rate|too many/i.test(message)
+  };
+};
+
+// Bounce and delivery reports, one event or a list under `events`:
+//   { event: 'bounce', messageId, recipient, bounceType: 'hard' | 'soft', code, reason, timestamp }
+//   { event: 'delivered', messageId, recipient, timestamp }
+// messageId is the Message-ID the email was sent with.
+const normalizeEvent = (event) => ({
+  messageId: event.messageId,
+  status: event.event === 'delivered' ? 'delivered' : 'failed',
+  timestamp: event.timestamp ? new Date(event.timestamp) : new Date(),
+  recipient: event.recipient,
+  error: event.event === 'bounce'
+    ? classifyEmailError({
+      responseCode: event.code || (event.bounceType === 'soft' ? 450 : 550),
+      response: event.reason || `${event.bounceType === 'soft' ? 'Soft' : 'Hard'} bounce`
+    })
+    : null,
+  pricing: null,
+  conversation: null
+});
+
+let transporter = null;
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = createTransporter();
+  }
+  return transporter;
+};
+
+const email = {
+  name: 'email',
+  channel: 'email',
+
+  isConfigured: () => {
+    const { host, from } = getConfig();
+    return Boolean(host && from);
+  },
+
+  senderId: () => getConfig().from,
+
+  sendEmail: async ({ to, subject, html, text, headers }) => {
+    const info = await getTransporter().sendMail({ from: getConfig().from, to, subject, html, text, headers });
+    return { messageId: info.messageId, raw: info };
+  },
+
+  parseWebhook: (payload) => {
+    const events = Array.isArray(payload?.events) ? payload.events : [payload];
+    return {
+      statuses: events
+        .filter(event => event?.messageId && ['bounce', 'delivered'].includes(event.event))
+        .map(normalizeEvent),
+      messages: []
+    };
+  },
+
+  classifyError: classifyEmailError,
+
+  describeConfig: () => {
+    const { host, port, user, from } = getConfig();
+    return { host, port, from, hasAuth: Boolean(user) };
+  }
+};
+
+export default email;
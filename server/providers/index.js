@@ -0,0 +1,90 @@
+import whatsappCloud from './whatsappCloud.js';
+import { twilio, twilioSms } from './twilio.js';
+import mock, { mockSms } from './mock.js';
+import email from './email.js';
+
+// Messaging providers
+//
+// Every driver implements the same interface, so the campaign engine never sees a vendor's
+// payloads:
+//   name, channel                        registry name; 'whatsapp', 'sms' or 'email'
+//   isConfigured()                       credentials are present
+//   senderId()                           sending number, shared by the throughput governor
+//   sendTemplate({ to, template, definition })
+//                                        to: digits with country code
+//                                        template: { name, language, components } with the
+//                                          per-contact parameters (Cloud API component format)
+//                                        definition: the approved template, for drivers that
+//                                          render text
+//                                        -> { messageId }
+//   sendText({ to, body, replyTo })      -> { messageId }
+//                                        replyTo: optional message ID of the contact's
+//                                          message to quote
+//   sendInteractive({ to, interactive, replyTo })
+//                                        session message with reply buttons, a list or a
+//                                          CTA URL; interactive in Cloud API format
+//                                          (see services/interactiveMessages.js)
+//                                        -> { messageId }
+//   uploadMedia({ data, mimeType, filename }) -> { mediaId }
+//   listTemplates()                      optional; approved templates in Cloud API format
+//   parseWebhook(payload)                -> { statuses, messages }
+//                                        statuses: { messageId, status, timestamp, recipient,
+//                                          error, pricing, conversation }, error classified
+//                                        messages: incoming messages in Cloud API message shape
+//   classifyError(error)                 -> { code, message, kind, transient, retryable, rateLimited }
+//                                        (see services/whatsappErrors.js)
+// Sends throw on failure; the caller classifies the error with the same driver.
+// The email driver sends rendered emails with sendEmail({ to, subject, html, text, headers })
+// in place of sendTemplate, sendText, sendInteractive and uploadMedia.
+
+const providers = {
+  [whatsappCloud.name]: whatsappCloud,
+  [twilio.name]: twilio,
+  [twilioSms.name]: twilioSms,
+  [mock.name]: mock,
+  [mockSms.name]: mockSms,
+  [email.name]: email
+};
+
+export const PROVIDER_NAMES = Object.keys(providers);
+
+export const getProvider = (name) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown messaging provider: ${name}`);
+  }
+  return provider;
+};
+
+const requireConfigured = (provider) => {
+  if (!provider.isConfigured()) {
+    throw new Error(`Messaging provider ${provider.name} is not configured`);
+  }
+  return provider;
+};
+
+// SMS driver for fallbacks from WhatsApp (SMS_PROVIDER, default Twilio SMS); null when it
+// is not configured
+export const resolveSmsProvider = () => {
+  const provider = getProvider(process.env.SMS_PROVIDER || twilioSms.name);
+  if (provider.channel !== 'sms') {
+    throw new Error(`SMS_PROVIDER ${provider.name} is not an SMS driver`);
+  }
+  return provider.isConfigured() ? provider : null;
+};
+
+// Driver for a campaign's `provider` setting. 'auto' prefers the WhatsApp Cloud API and falls
+// back to Twilio; its messages that do not reach WhatsApp are re-sent through the SMS driver.
+export const resolveCampaignProvider = (campaign) => {
+  const choice = campaign?.provider || 'whatsapp';
+
+  if (choice === 'auto') {
+    const provider = [whatsappCloud, twilio].find(p => p.isConfigured());
+    if (!provider) {
+      throw new Error('No messaging provider configured. Set the WhatsApp Cloud API or Twilio credentials.');
+    }
+    return provider;
+  }
+
+  return requireConfigured(getProvider(choice));
+};
@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import { renderTemplateText } from './templateText.js';
+import whatsappCloud from './whatsappCloud.js';
+
+// In-process driver for development and load testing: nothing leaves the server.
+// Sends succeed with a generated message id and are kept in memory for inspection.
+// Recipients listed in MOCK_PROVIDER_FAIL_NUMBERS (comma separated digits) are rejected
+// with a permanent error, so failure paths can be exercised too.
+
+const MAX_RECORDED_SENDS = 1000;
+
+const sent = [];
+
+// Enough for a campaign to be created and run without a WhatsApp Business account
+const MOCK_TEMPLATES = [
+  {
+    id: 'mock_hello_world',
+    name: 'hello_world',
+    status: 'APPROVED',
+    category: 'UTILITY',
+    language: 'en_US',
+    components: [
+      { type: 'HEADER', format: 'TEXT', text: 'Hello World' },
+      { type: 'BODY', text: 'Welcome and congratulations!! This message demonstrates your ability to send a message from the mock provider.' }
+    ]
+  }
+];
+
+const failingNumbers = () => new Set(
+  String(process.env.MOCK_PROVIDER_FAIL_NUMBERS || '').split(',').map(n => n.replace(/\D/g, '')).filter(Boolean)
+);
+
+const record = (entry) => {
+  if (failingNumbers().has(entry.to)) {
+    const error = new Error(`Mock provider rejected recipient ${entry.to}`);
+    error.mockCode = 'MOCK_REJECTED';
+    throw error;
+  }
+
+  const messageId = `mock.${crypto.randomUUID()}`;
+  sent.push({ ...entry, messageId, at: new Date() });
+  if (sent.length > MAX_RECORDED_SENDS) sent.shift();
+  return { messageId, raw: { id: messageId } };
+};
+
+export const getMockSends = () => [...sent];
+
+export const clearMockSends = () => {
+  sent.length = 0;
+};
+
+const createMockDriver = ({ name, channel }) => ({
+  name,
+  channel,
+
+  isConfigured: () => true,
+
+  senderId: () => name,
+
+  sendTemplate: async (message) => record({
+    provider: name,
+    type: 'template',
+    to: message.to,
+    template: message.template,
+    text: renderTemplateText(message)
+  }),
+
+  sendText: async ({ to, body, replyTo }) => record({ provider: name, type: 'text', to, text: body, replyTo }),
+
+  sendInteractive: async ({ to, interactive, replyTo }) => record({
+    provider: name,
+    type: 'interactive',
+    to,
+    interactive,
+    text: interactive.body?.text,
+    replyTo
+  }),
+
+  uploadMedia: async ({ mimeType, filename }) => ({
+    mediaId: `mock-media.${crypto.randomUUID()}`,
+    mimeType,
+    filename
+  }),
+
+  listTemplates: async () => MOCK_TEMPLATES,
+
+  // Simulated webhooks use the Cloud API payload shape
+  parseWebhook: whatsappCloud.parseWebhook,
+
+  classifyError: (error) => {
+    const permanent = error?.mockCode === 'MOCK_REJECTED';
+    return {
+      code: error?.mockCode || null,
+      message: error?.message || 'Unknown error',
+      kind: permanent ? 'permanent' : 'unknown',
+      transient: false,
+      retryable: !permanent,
+      rateLimited: false
+    };
+  },
+
+  describeConfig: () => ({ recordedSends: sent.length })
+});
+
+const mock = createMockDriver({ name: 'mock', channel: 'whatsapp' });
+
+// Stand-in SMS driver, e.g. SMS_PROVIDER=mock-sms for the SMS fallback
+export const mockSms = createMockDriver({ name: 'mock-sms', channel: 'sms' });
+
+export default mock;
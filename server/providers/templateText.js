@@ -0,0 +1,29 @@
+// Plain text of a template message, for channels that have no WhatsApp templates (SMS) or
+// send them as free-form text. Placeholders are filled from the message's body and header
+// parameters, in order.
+
+const fillPlaceholders = (text, parameters = []) =>
+  String(text || '').replace(/\{\{\s*(\d+)\s*\}\}/g, (match, index) => {
+    const parameter = parameters[Number(index) - 1];
+    return parameter?.text ?? match;
+  });
+
+const findParameters = (components, type) =>
+  (components || []).find(c => c.type?.toLowerCase() === type)?.parameters || [];
+
+export const getTemplateParameters = (template, type = 'body') => findParameters(template?.components, type)
+  .filter(parameter => parameter.type === 'text')
+  .map(parameter => parameter.text);
+
+export const renderTemplateText = ({ template, definition }) => {
+  const definitionComponents = definition?.components || [];
+  const header = definitionComponents.find(c => c.type === 'HEADER' && c.format === 'TEXT');
+  const body = definitionComponents.find(c => c.type === 'BODY');
+  const footer = definitionComponents.find(c => c.type === 'FOOTER');
+
+  return [
+    header && fillPlaceholders(header.text, findParameters(template.components, 'header')),
+    body && fillPlaceholders(body.text, findParameters(template.components, 'body')),
+    footer?.text
+  ].filter(Boolean).join('\n\n');
+};
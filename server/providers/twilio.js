@@ -0,0 +1,240 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { renderTemplateText, getTemplateParameters } from './templateText.js';
+
+// Twilio Programmable Messaging driver, for WhatsApp (through Twilio) and SMS
+//
+// WhatsApp templates are sent as Content templates when TWILIO_CONTENT_SIDS maps the template
+// name to a ContentSid (JSON, e.g. {"order_update": "HX..."}); otherwise, and always for SMS,
+// the template text is rendered and sent as the message body.
+
+const TWILIO_API_URL = 'https://api.twilio.com/2010-04-01';
+
+// A hung request fails as a retryable timeout instead of holding a message job slot
+const REQUEST_TIMEOUT_MS = 15000;
+
+const NETWORK_ERROR_CODES = ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'];
+
+// https://www.twilio.com/docs/api/errors
+const RATE_LIMIT_CODES = [20429, 63018];
+
+const TRANSIENT_CODES = [
+  ...RATE_LIMIT_CODES,
+  30001, // Queue overflow
+  30008 // Unknown error
+];
+
+const PERMANENT_CODES = [
+  21211, // Invalid 'To' phone number
+  21408, // Region not enabled
+  21610, // Recipient replied STOP
+  21612, // 'To' number cannot be reached from the 'From' number
+  21614, // 'To' number is not a mobile number
+  30003, // Unreachable destination handset
+  30004, // Message blocked
+  30005, // Unknown destination handset
+  30006, // Landline or unreachable carrier
+  30007, // Message filtered
+  63003, // Channel could not find the destination address
+  63016, // Free-form WhatsApp message outside the 24h window
+  63024 // Invalid message recipient
+];
+
+// Twilio statuses that matter to the campaign engine; queued, accepted and sending are not tracked
+const STATUS_MAP = {
+  sent: 'sent',
+  delivered: 'delivered',
+  read: 'read',
+  failed: 'failed',
+  undelivered: 'failed'
+};
+
+const getConfig = () => ({
+  accountSid: process.env.TWILIO_ACCOUNT_SID,
+  authToken: process.env.TWILIO_AUTH_TOKEN,
+  whatsappFrom: process.env.TWILIO_WHATSAPP_FROM,
+  smsFrom: process.env.TWILIO_SMS_FROM,
+  messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID,
+  statusCallbackUrl: process.env.TWILIO_STATUS_CALLBACK_URL
+});
+
+const parseContentSids = () => {
+  try {
+    return JSON.parse(process.env.TWILIO_CONTENT_SIDS || '{}');
+  } catch (error) {
+    console.error('❌ TWILIO_CONTENT_SIDS is not valid JSON:', error.message);
+    return {};
+  }
+};
+
+const withoutPrefix = (address) => String(address || '').replace(/^whatsapp:/, '').replace(/^\+/, '');
+
+export const classifyTwilioError = (error) => {
+  const apiError = error?.response?.data || (error?.response ? null : error);
+  const httpStatus = error?.response?.status;
+  const code = apiError?.code !== undefined && apiError?.code !== null ? Number(apiError.code) : null;
+  const message = apiError?.message || error?.message || 'Unknown error';
+
+  let kind = 'unknown';
+
+  if (code !== null && PERMANENT_CODES.includes(code)) {
+    kind = 'permanent';
+  } else if (code !== null && TRANSIENT_CODES.includes(code)) {
+    kind = 'transient';
+  } else if (httpStatus === 429 || httpStatus >= 500) {
+    kind = 'transient';
+  } else if (!error?.response && NETWORK_ERROR_CODES.includes(error?.code)) {
+    kind = 'transient';
+  }
+
+  const rateLimited = httpStatus === 429 || RATE_LIMIT_CODES.includes(code);
+
+  return {
+    code: code ?? (error?.code || httpStatus || null),
+    message,
+    kind,
+    transient: kind === 'transient',
+    retryable: kind !== 'permanent',
+    rateLimited
+  };
+};
+
+// X-Twilio-Signature: HMAC-SHA1 of the full callback URL followed by the sorted POST params
+export const verifyTwilioSignature = ({ url, params = {}, signature }) => {
+  const { authToken } = getConfig();
+  if (!authToken || !signature) return false;
+
+  const data = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url);
+  const expected = crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(String(signature));
+  return expectedBuffer.length === signatureBuffer.length && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+};
+
+// channel: 'whatsapp', 'sms', or null to use WhatsApp when a WhatsApp sender is configured
+const createTwilioDriver = ({ name, channel: fixedChannel = null }) => {
+  const getChannel = () => fixedChannel || (getConfig().whatsappFrom ? 'whatsapp' : 'sms');
+
+  const addresses = (to) => {
+    const { whatsappFrom, smsFrom, messagingServiceSid } = getConfig();
+    if (getChannel() === 'whatsapp') {
+      const from = whatsappFrom.startsWith('whatsapp:') ? whatsappFrom : `whatsapp:${whatsappFrom}`;
+      return { To: `whatsapp:+${to}`, From: from };
+    }
+    return messagingServiceSid
+      ? { To: `+${to}`, MessagingServiceSid: messagingServiceSid }
+      : { To: `+${to}`, From: smsFrom };
+  };
+
+  const createMessage = async (to, fields) => {
+    const { accountSid, authToken, statusCallbackUrl } = getConfig();
+    const params = new URLSearchParams({
+      ...addresses(to),
+      ...fields,
+      ...(statusCallbackUrl ? { StatusCallback: statusCallbackUrl } : {})
+    });
+
+    const response = await axios.post(`${TWILIO_API_URL}/Accounts/${accountSid}/Messages.json`, params, {
+      auth: { username: accountSid, password: authToken },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+
+    if (!response.data?.sid) {
+      throw new Error('Invalid response format from Twilio API');
+    }
+    return { messageId: response.data.sid, raw: response.data };
+  };
+
+  return {
+    name,
+
+    get channel() {
+      return getChannel();
+    },
+
+    isConfigured: () => {
+      const { accountSid, authToken, whatsappFrom, smsFrom, messagingServiceSid } = getConfig();
+      if (!accountSid || !authToken) return false;
+      return getChannel() === 'whatsapp' ? Boolean(whatsappFrom) : Boolean(smsFrom || messagingServiceSid);
+    },
+
+    senderId: () => {
+      const { whatsappFrom, smsFrom, messagingServiceSid } = getConfig();
+      return `twilio:${getChannel() === 'whatsapp' ? whatsappFrom : (messagingServiceSid || smsFrom)}`;
+    },
+
+    sendTemplate: (message) => {
+      const contentSid = getChannel() === 'whatsapp' ? parseContentSids()[message.template.name] : null;
+      if (contentSid) {
+        const variables = Object.fromEntries(
+          getTemplateParameters(message.template).map((value, index) => [String(index + 1), value])
+        );
+        return createMessage(message.to, { ContentSid: contentSid, ContentVariables: JSON.stringify(variables) });
+      }
+      return createMessage(message.to, { Body: renderTemplateText(message) });
+    },
+
+    // Twilio has no message context; replyTo is ignored
+    sendText: ({ to, body }) => createMessage(to, { Body: body }),
+
+    sendInteractive: async () => {
+      throw new Error('Interactive messages need Twilio Content templates; send them through the WhatsApp Cloud API');
+    },
+
+    uploadMedia: async () => {
+      throw new Error('Twilio sends media from a public URL; media upload is not supported');
+    },
+
+    // Status callbacks and incoming messages arrive as form posts with the same fields
+    parseWebhook: (payload = {}) => {
+      if (payload.MessageStatus && payload.MessageStatus !== 'received') {
+        const status = STATUS_MAP[payload.MessageStatus];
+        if (!status) return { statuses: [], messages: [] };
+
+        return {
+          statuses: [{
+            messageId: payload.MessageSid,
+            status,
+            timestamp: new Date(),
+            recipient: withoutPrefix(payload.To),
+            error: payload.ErrorCode
+              ? classifyTwilioError({ code: Number(payload.ErrorCode), message: payload.ErrorMessage || `Twilio error ${payload.ErrorCode}` })
+              : null,
+            pricing: null,
+            conversation: null
+          }],
+          messages: []
+        };
+      }
+
+      if (!payload.MessageSid || !payload.From) return { statuses: [], messages: [] };
+
+      // Incoming messages are handed on in the Cloud API message shape
+      const message = {
+        id: payload.MessageSid,
+        from: withoutPrefix(payload.From),
+        timestamp: String(Math.floor(Date.now() / 1000))
+      };
+      if (payload.ButtonPayload || payload.ButtonText) {
+        message.type = 'button';
+        message.button = { payload: payload.ButtonPayload || payload.ButtonText, text: payload.ButtonText || payload.ButtonPayload };
+      } else {
+        message.type = 'text';
+        message.text = { body: payload.Body || '' };
+      }
+
+      return { statuses: [], messages: [message] };
+    },
+
+    classifyError: classifyTwilioError,
+
+    describeConfig: () => ({ apiUrl: TWILIO_API_URL, channel: getChannel(), hasAccountSid: Boolean(getConfig().accountSid) })
+  };
+};
+
+export const twilio = createTwilioDriver({ name: 'twilio' });
+
+// Plain SMS through Twilio, regardless of a configured WhatsApp sender
+export const twilioSms = createTwilioDriver({ name: 'sms', channel: 'sms' });
@@ -0,0 +1,156 @@
+import axios from 'axios';
+import { classifyWhatsAppError } from '../services/whatsappErrors.js';
+
+// WhatsApp Cloud API driver (graph.facebook.com)
+
+// WHATSAPP_API_URL points the driver at another base URL, such as the local simulator
+const DEFAULT_WHATSAPP_API_URL = 'https://graph.facebook.com/v23.0';
+
+// Graph requests give up after this long so a hung connection fails as a retryable timeout
+// instead of holding a message job slot; media uploads of up to 100 MB get longer
+const REQUEST_TIMEOUT_MS = 15000;
+const UPLOAD_TIMEOUT_MS = 120000;
+
+const getConfig = () => ({
+  apiUrl: (process.env.WHATSAPP_API_URL || DEFAULT_WHATSAPP_API_URL).replace(/\/+$/, ''),
+  accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
+  phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+  businessAccountId: process.env.WHATSAPP_BUSINESS_ACCOUNT_ID
+});
+
+const authHeaders = () => ({
+  'Authorization': `Bearer ${getConfig().accessToken}`
+});
+
+const postMessage = async (payload) => {
+  const { apiUrl, phoneNumberId } = getConfig();
+  const response = await axios.post(
+    `${apiUrl}/${phoneNumberId}/messages`,
+    { messaging_product: 'whatsapp', recipient_type: 'individual', ...payload },
+    { headers: { ...authHeaders(), 'Content-Type': 'application/json' }, timeout: REQUEST_TIMEOUT_MS }
+  );
+
+  const messageId = response.data.messages?.[0]?.id;
+  if (!messageId) {
+    throw new Error('Invalid response format from WhatsApp API');
+  }
+  return { messageId, raw: response.data };
+};
+
+const toDate = (timestamp) => (timestamp ? new Date(Number(timestamp) * 1000) : new Date());
+
+const normalizeStatus = (status) => ({
+  messageId: status.id,
+  status: status.status,
+  timestamp: toDate(status.timestamp),
+  recipient: status.recipient_id,
+  error: status.errors?.[0] ? classifyWhatsAppError(status.errors[0]) : null,
+  pricing: status.pricing ? {
+    billable: status.pricing.billable,
+    category: status.pricing.category,
+    pricingModel: status.pricing.pricing_model,
+    type: status.pricing.type
+  } : null,
+  conversation: status.conversation?.id ? {
+    id: status.conversation.id,
+    originType: status.conversation.origin?.type,
+    expiresAt: status.conversation.expiration_timestamp ? toDate(status.conversation.expiration_timestamp) : undefined
+  } : null
+});
+
+const whatsappCloud = {
+  name: 'whatsapp',
+  channel: 'whatsapp',
+
+  isConfigured: () => {
+    const { accessToken, phoneNumberId } = getConfig();
+    return Boolean(accessToken && phoneNumberId);
+  },
+
+  senderId: () => getConfig().phoneNumberId,
+
+  sendTemplate: ({ to, template }) => postMessage({
+    to,
+    type: 'template',
+    template: {
+      name: template.name,
+      language: { code: template.language || 'en' },
+      ...(template.components?.length ? { components: template.components } : {})
+    }
+  }),
+
+  // replyTo quotes one of the contact's messages (its WhatsApp message ID)
+  sendText: ({ to, body, replyTo }) => postMessage({
+    to,
+    ...(replyTo ? { context: { message_id: replyTo } } : {}),
+    type: 'text',
+    text: { body }
+  }),
+
+  sendInteractive: ({ to, interactive, replyTo }) => postMessage({
+    to,
+    ...(replyTo ? { context: { message_id: replyTo } } : {}),
+    type: 'interactive',
+    interactive
+  }),
+
+  uploadMedia: async ({ data, mimeType, filename }) => {
+    const { apiUrl, phoneNumberId } = getConfig();
+    const form = new FormData();
+    form.append('messaging_product', 'whatsapp');
+    form.append('type', mimeType);
+    form.append('file', new Blob([data], { type: mimeType }), filename);
+
+    const response = await axios.post(`${apiUrl}/${phoneNumberId}/media`, form, {
+      headers: authHeaders(),
+      timeout: UPLOAD_TIMEOUT_MS
+    });
+    return { mediaId: response.data.id };
+  },
+
+  // Approved message templates of the business account, in Cloud API format
+  listTemplates: async () => {
+    const { apiUrl, businessAccountId } = getConfig();
+    if (!businessAccountId) {
+      throw new Error('WHATSAPP_BUSINESS_ACCOUNT_ID environment variable is required');
+    }
+
+    const response = await axios.get(`${apiUrl}/${businessAccountId}/message_templates`, {
+      headers: authHeaders(),
+      params: {
+        fields: 'name,status,category,language,components,id',
+        limit: 100
+      },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+
+    if (!response.data.data) {
+      throw new Error('Invalid response format from Meta API');
+    }
+    return response.data.data;
+  },
+
+  parseWebhook: (payload) => {
+    const statuses = [];
+    const messages = [];
+
+    for (const entry of payload?.entry || []) {
+      for (const change of entry.changes || []) {
+        if (change.field !== 'messages') continue;
+        statuses.push(...(change.value?.statuses || []).map(normalizeStatus));
+        messages.push(...(change.value?.messages || []));
+      }
+    }
+
+    return { statuses, messages };
+  },
+
+  classifyError: classifyWhatsAppError,
+
+  describeConfig: () => {
+    const { apiUrl, phoneNumberId, accessToken } = getConfig();
+    return { apiUrl, phoneNumberId, hasAccessToken: Boolean(accessToken) };
+  }
+};
+
+export default whatsappCloud;
@@ -1,19 +1,77 @@
 import express from 'express';
 import Campaign from '../models/Campaign.js';
-import Contact from '../models/Contact.js';
 import Message from '../models/Message.js';
-import { scheduleCampaign, cancelCampaign, rescheduleCampaign } from '../services/scheduler.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { cancelCampaign, rescheduleCampaign, resumeCampaign, retryFailedMessages, unscheduleCampaign } from '../services/scheduler.js';
+import { isAbTest, computeVariantResults, pickWinningVariant } from '../services/abTesting.js';
+import {
+  validateRecurrence,
+  getUpcomingOccurrences,
+  registerRecurringCampaign,
+  unregisterRecurringCampaign
+} from '../services/recurringCampaigns.js';
+import { countAudience } from '../services/audience.js';
+import { dryRunCampaign } from '../services/campaignDryRun.js';
+import { estimateCampaignCost } from '../services/campaignCostEstimate.js';
+import { EXPORT_FORMATS, streamDeliveryReport } from '../services/campaignExport.js';
+import { reconcileCampaignProgress } from '../services/progressReconciliation.js';
+import { recordCampaignEvent, userActor, getCampaignTimeline } from '../services/campaignEvents.js';
+import {
+  EDITABLE_FIELDS,
+  validateCampaignInput,
+  applyCampaignInput,
+  getSchedulingErrors,
+  activateCampaign,
+  cloneCampaign
+} from '../services/campaignLifecycle.js';
+import { APPROVER_ROLES, requiresApproval, submitForApproval, decideApproval } from '../services/campaignApproval.js';
 
 const router = express.Router();
 
+router.use(authenticate);
+
+// Report a campaign state transition to connected clients
+const emitStatusUpdate = (req, campaign) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.emitToCampaign(campaign, 'campaign-status-update', {
+      campaignId: campaign._id,
+      status: campaign.status,
+      progress: campaign.progress
+    });
+  }
+};
+
+// Recurring series are listed with their next occurrences
+const withUpcomingOccurrences = (campaign) => {
+  if (campaign.status !== 'recurring') return campaign;
+
+  return {
+    ...campaign.toObject(),
+    upcomingOccurrences: getUpcomingOccurrences(campaign)
+  };
+};
+
 // Get all campaigns
 router.get('/', async (req, res) => {
   try {
-    const campaigns = await Campaign.find()
+    const { parentCampaignId, status } = req.query;
+
+    const query = {};
+    if (parentCampaignId) {
+      query.parentCampaignId = parentCampaignId;
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    const campaigns = await Campaign.find(query)
       .populate('contacts', 'name phone')
+      .populate('contactGroups', 'name')
+      .populate('segmentId', 'name')
       .sort({ createdAt: -1 });
 
-    res.json(campaigns);
+    res.json(campaigns.map(withUpcomingOccurrences));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -23,58 +81,42 @@ router.get('/', async (req, res) => {
 router.get('/:id', async (req, res) => {
   try {
     const campaign = await Campaign.findById(req.params.id)
-      .populate('contacts');
+      .populate('contacts')
+      .populate('contactGroups', 'name')
+      .populate('segmentId', 'name');
 
     if (!campaign) {
       return res.status(404).json({ error: 'Campaign not found' });
     }
 
-    res.json(campaign);
+    res.json(withUpcomingOccurrences(campaign));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Create new campaign
+// Create new campaign; `draft: true` saves it without validating or scheduling
 router.post('/', async (req, res) => {
   try {
-    const {
-      name,
-      templateName,
-      templateLanguage,
-      templateComponents,
-      contactIds,
-      variables,
-      scheduledAt,
-      timezone,
-      rateLimitPerMinute
-    } = req.body;
-
-    // Validate contacts exist
-    const contacts = await Contact.find({
-      _id: { $in: contactIds },
-      status: 'active',
-      optedOut: false,
-    });
+    const { draft } = req.body;
+    const isDraft = draft === true || req.body.status === 'draft';
+
+    if (!req.body.name) {
+      return res.status(400).json({ error: 'Campaign name is required' });
+    }
 
-    if (contacts.length === 0) {
-      return res.status(400).json({ error: 'No valid contacts found' });
+    const inputError = await validateCampaignInput(req.body);
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
     }
 
-    // Create campaign
     const campaign = new Campaign({
-      name,
-      templateName,
-      templateLanguage,
-      templateComponents: templateComponents || [],
-      contacts: contacts.map(c => c._id),
-      variables: new Map(Object.entries(variables || {})),
-      scheduledAt: new Date(scheduledAt),
-      timezone: timezone || 'UTC',
-      rateLimitPerMinute: rateLimitPerMinute || 60,
-      createdBy: 'system', // TODO: Get from auth
+      status: 'draft',
+      timezone: 'UTC',
+      rateLimitPerMinute: 60,
+      createdBy: req.user._id.toString(),
       progress: {
-        total: contacts.length,
+        total: 0,
         sent: 0,
         delivered: 0,
         read: 0,
@@ -82,29 +124,38 @@ router.post('/', async (req, res) => {
       }
       // Do NOT set jobId here; let the scheduler assign it uniquely
     });
+    await applyCampaignInput(campaign, req.body);
 
-    await campaign.save();
+    if (isDraft) {
+      campaign.progress.total = await countAudience(campaign);
+      await campaign.save();
+      await recordCampaignEvent(campaign, 'created', { actor: userActor(req.user), toStatus: 'draft' });
+      return res.status(201).json(campaign);
+    }
 
-    // Schedule the campaign
-    if (new Date(scheduledAt) > new Date()) {
-      await scheduleCampaign(campaign);
+    const { errors, audienceSize } = await getSchedulingErrors(campaign);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0], errors });
+    }
+
+    await recordCampaignEvent(campaign, 'created', { actor: userActor(req.user) });
+    if (requiresApproval(req.user)) {
+      campaign.progress.total = audienceSize;
+      await submitForApproval(campaign, req.user, req.app.get('io'));
     } else {
-      // If scheduled time is in the past, schedule immediately
-      campaign.scheduledAt = new Date();
-      await campaign.save();
-      await scheduleCampaign(campaign);
+      await activateCampaign(campaign, audienceSize, userActor(req.user));
     }
 
     const populatedCampaign = await Campaign.findById(campaign._id)
       .populate('contacts', 'name phone');
 
-    res.status(201).json(populatedCampaign);
+    res.status(201).json(withUpcomingOccurrences(populatedCampaign));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update campaign
+// Update campaign; which fields can change depends on the status (see EDITABLE_FIELDS)
 router.put('/:id', async (req, res) => {
   try {
     const { id } = req.params;
@@ -115,26 +166,250 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Campaign not found' });
     }
 
-    // Don't allow updates to campaigns that are already sending or completed
-    if (['sending', 'completed'].includes(campaign.status)) {
+    if (updates.status !== undefined) {
       return res.status(400).json({
-        error: 'Cannot update campaign that is sending or completed'
+        error: 'Use the schedule, pause, resume and cancel endpoints to change the campaign status'
       });
     }
 
-    // If rescheduling
-    if (updates.scheduledAt && updates.scheduledAt !== campaign.scheduledAt.toISOString()) {
-      await rescheduleCampaign(id, new Date(updates.scheduledAt));
+    // Series schedules are managed through /:id/recurrence
+    if (campaign.status === 'recurring' && (updates.recurrence || updates.scheduledAt)) {
+      return res.status(400).json({
+        error: 'Use the recurrence endpoints to change a recurring campaign schedule'
+      });
+    }
+
+    const editableFields = EDITABLE_FIELDS[campaign.status] || [];
+    const lockedFields = Object.keys(updates).filter(field => !editableFields.includes(field));
+    if (lockedFields.length > 0) {
+      return res.status(400).json({
+        error: `Cannot change ${lockedFields.join(', ')} while the campaign is ${campaign.status}`
+      });
+    }
+
+    const inputError = await validateCampaignInput(updates, campaign);
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+
+    const previousScheduledAt = campaign.scheduledAt?.getTime();
+    const previousTimezone = campaign.timezone;
+    await applyCampaignInput(campaign, updates);
+
+    // Scheduled and recurring campaigns must stay ready to send
+    if (['scheduled', 'recurring'].includes(campaign.status)) {
+      const { errors, audienceSize } = await getSchedulingErrors(campaign);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: errors[0], errors });
+      }
+      campaign.progress.total = audienceSize;
+    } else if (['draft', 'pending_approval'].includes(campaign.status)) {
+      campaign.progress.total = await countAudience(campaign);
+    }
+
+    // Content changes by members who need approval send an approved campaign back for review
+    const changesContent = Object.keys(updates).some(field => field !== 'name');
+    if (['scheduled', 'recurring'].includes(campaign.status) && changesContent && requiresApproval(req.user)) {
+      if (campaign.status === 'recurring') {
+        unregisterRecurringCampaign(id);
+      } else {
+        await unscheduleCampaign(campaign);
+      }
+      await recordCampaignEvent(campaign, 'updated', {
+        actor: userActor(req.user),
+        details: { fields: Object.keys(updates) }
+      });
+      await submitForApproval(campaign, req.user, req.app.get('io'));
+      emitStatusUpdate(req, campaign);
+
+      const resubmittedCampaign = await Campaign.findById(id)
+        .populate('contacts', 'name phone');
+
+      return res.json(resubmittedCampaign);
     }
 
-    // Update other fields
-    Object.assign(campaign, updates);
     await campaign.save();
+    await recordCampaignEvent(campaign, 'updated', {
+      actor: userActor(req.user),
+      details: { fields: Object.keys(updates) }
+    });
+
+    // If rescheduling
+    if (campaign.status === 'scheduled' && campaign.scheduledAt.getTime() !== previousScheduledAt) {
+      await rescheduleCampaign(id, campaign.scheduledAt);
+      await recordCampaignEvent(campaign, 'rescheduled', {
+        actor: userActor(req.user),
+        details: {
+          previousScheduledAt: previousScheduledAt ? new Date(previousScheduledAt) : null,
+          scheduledAt: campaign.scheduledAt
+        }
+      });
+    }
+
+    // Series occurrences are evaluated in the campaign timezone
+    if (campaign.status === 'recurring' && campaign.timezone !== previousTimezone) {
+      registerRecurringCampaign(campaign);
+    }
 
     const updatedCampaign = await Campaign.findById(id)
       .populate('contacts', 'name phone');
 
-    res.json(updatedCampaign);
+    res.json(withUpcomingOccurrences(updatedCampaign));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Check whether a campaign can be scheduled
+router.post('/:id/validate', async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const { errors, audienceSize } = await getSchedulingErrors(campaign);
+
+    res.json({
+      valid: errors.length === 0,
+      errors,
+      audienceSize
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Schedule a draft
+router.post('/:id/schedule', async (req, res) => {
+  try {
+    const { scheduledAt } = req.body;
+
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    if (campaign.status !== 'draft') {
+      return res.status(400).json({ error: 'Only draft campaigns can be scheduled' });
+    }
+
+    if (scheduledAt !== undefined) {
+      const inputError = await validateCampaignInput({ scheduledAt });
+      if (inputError) {
+        return res.status(400).json({ error: inputError });
+      }
+      campaign.scheduledAt = new Date(scheduledAt);
+    }
+
+    const { errors, audienceSize } = await getSchedulingErrors(campaign);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0], errors });
+    }
+
+    if (requiresApproval(req.user)) {
+      campaign.progress.total = audienceSize;
+      await submitForApproval(campaign, req.user, req.app.get('io'));
+    } else {
+      // An approver scheduling a previously rejected draft approves it
+      if (campaign.approval?.status === 'rejected') {
+        await decideApproval(campaign, true, req.user, 'Scheduled by an approver', req.app.get('io'));
+      }
+      await activateCampaign(campaign, audienceSize, userActor(req.user));
+    }
+    emitStatusUpdate(req, campaign);
+
+    const populatedCampaign = await Campaign.findById(campaign._id)
+      .populate('contacts', 'name phone');
+
+    res.json(withUpcomingOccurrences(populatedCampaign));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Copy a campaign into a new draft
+router.post('/:id/clone', async (req, res) => {
+  try {
+    const source = await Campaign.findById(req.params.id);
+    if (!source) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const clone = await cloneCampaign(source, {
+      name: req.body?.name,
+      createdBy: req.user._id.toString()
+    });
+    clone.progress.total = await countAudience(clone);
+    await clone.save();
+    await recordCampaignEvent(clone, 'created', {
+      actor: userActor(req.user),
+      toStatus: 'draft',
+      message: `Cloned from "${source.name}"`,
+      details: { clonedFrom: source._id }
+    });
+
+    res.status(201).json(clone);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Approve a campaign waiting for approval and schedule it
+router.post('/:id/approve', authorize(...APPROVER_ROLES), async (req, res) => {
+  try {
+    const { comment } = req.body;
+
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    if (campaign.status !== 'pending_approval') {
+      return res.status(400).json({ error: 'Campaign is not waiting for approval' });
+    }
+
+    // The audience or templates may have changed while it waited
+    const { errors, audienceSize } = await getSchedulingErrors(campaign);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0], errors });
+    }
+
+    await decideApproval(campaign, true, req.user, comment, req.app.get('io'));
+    await activateCampaign(campaign, audienceSize, userActor(req.user));
+    emitStatusUpdate(req, campaign);
+
+    const populatedCampaign = await Campaign.findById(campaign._id)
+      .populate('contacts', 'name phone');
+
+    res.json(withUpcomingOccurrences(populatedCampaign));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reject a campaign waiting for approval; it goes back to draft
+router.post('/:id/reject', authorize(...APPROVER_ROLES), async (req, res) => {
+  try {
+    const { comment } = req.body;
+
+    if (!comment || !String(comment).trim()) {
+      return res.status(400).json({ error: 'A comment is required when rejecting a campaign' });
+    }
+
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    if (campaign.status !== 'pending_approval') {
+      return res.status(400).json({ error: 'Campaign is not waiting for approval' });
+    }
+
+    await decideApproval(campaign, false, req.user, comment, req.app.get('io'));
+    emitStatusUpdate(req, campaign);
+
+    res.json(campaign);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -145,11 +420,34 @@ router.post('/:id/cancel', async (req, res) => {
   try {
     const { id } = req.params;
 
+    const existing = await Campaign.findById(id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    if (['completed', 'cancelled', 'failed'].includes(existing.status)) {
+      return res.status(400).json({ error: `Cannot cancel a ${existing.status} campaign` });
+    }
+
+    // A sending campaign stops before its next message
     await cancelCampaign(id);
 
+    // Cancelling a series stops future runs; runs already created are not touched
+    if (existing.status === 'recurring') {
+      unregisterRecurringCampaign(id);
+    }
+
     const campaign = await Campaign.findById(id)
       .populate('contacts', 'name phone');
 
+    await recordCampaignEvent(campaign, 'cancelled', {
+      actor: userActor(req.user),
+      fromStatus: existing.status,
+      toStatus: 'cancelled',
+      details: { progress: campaign.toObject().progress }
+    });
+    emitStatusUpdate(req, campaign);
+
     res.json(campaign);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -170,8 +468,18 @@ router.post('/:id/pause', async (req, res) => {
       return res.status(400).json({ error: 'Can only pause sending campaigns' });
     }
 
+    // The sending job checks the status between messages and stops there
     campaign.status = 'paused';
+    campaign.pausedAt = new Date();
     await campaign.save();
+    await recordCampaignEvent(campaign, 'paused', {
+      actor: userActor(req.user),
+      fromStatus: 'sending',
+      toStatus: 'paused',
+      details: { progress: campaign.toObject().progress }
+    });
+
+    emitStatusUpdate(req, campaign);
 
     res.json(campaign);
   } catch (error) {
@@ -193,10 +501,285 @@ router.post('/:id/resume', async (req, res) => {
       return res.status(400).json({ error: 'Can only resume paused campaigns' });
     }
 
-    campaign.status = 'sending';
+    const resumedCampaign = await resumeCampaign(id);
+    await recordCampaignEvent(resumedCampaign, 'resumed', {
+      actor: userActor(req.user),
+      fromStatus: 'paused',
+      toStatus: resumedCampaign.status
+    });
+
+    emitStatusUpdate(req, resumedCampaign);
+
+    res.json(resumedCampaign);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retry all failed messages whose errors were not permanent
+router.post('/:id/retry-failed', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const campaign = await Campaign.findById(id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    if (!['sending', 'paused', 'completed'].includes(campaign.status)) {
+      return res.status(400).json({ error: `Cannot retry messages of a ${campaign.status} campaign` });
+    }
+
+    const result = await retryFailedMessages(id);
+    if (result.campaign) {
+      await recordCampaignEvent(campaign, 'retry_requested', {
+        actor: userActor(req.user),
+        fromStatus: campaign.status !== result.campaign.status ? campaign.status : undefined,
+        toStatus: campaign.status !== result.campaign.status ? result.campaign.status : undefined,
+        message: `${result.retried} failed messages queued again`,
+        details: { retried: result.retried }
+      });
+      emitStatusUpdate(req, result.campaign);
+    }
+
+    res.json({
+      retried: result.retried,
+      campaign: result.campaign || campaign
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recompute progress counters from the campaign's messages
+router.post('/:id/reconcile-progress', async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const result = await reconcileCampaignProgress(campaign._id, req.app.get('io'), { actor: userActor(req.user) });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Load a recurring series for the recurrence endpoints
+const findSeries = async (req, res) => {
+  const campaign = await Campaign.findById(req.params.id);
+  if (!campaign) {
+    res.status(404).json({ error: 'Campaign not found' });
+    return null;
+  }
+  if (campaign.status !== 'recurring') {
+    res.status(400).json({ error: 'Campaign is not an active recurring series' });
+    return null;
+  }
+  return campaign;
+};
+
+// Get the runs created by a recurring series
+router.get('/:id/runs', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = { parentCampaignId: req.params.id };
+
+    const runs = await Campaign.find(query)
+      .select('name status progress runNumber scheduledAt completedAt createdAt')
+      .sort({ runNumber: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Campaign.countDocuments(query);
+
+    res.json({
+      runs,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change the schedule or end date of a recurring series
+router.put('/:id/recurrence', async (req, res) => {
+  try {
+    const campaign = await findSeries(req, res);
+    if (!campaign) return;
+
+    const { cron, rule, endAt, timezone } = req.body;
+    const recurrence = {
+      ...campaign.toObject().recurrence,
+      ...(cron !== undefined || rule !== undefined ? { cron, rule } : {}),
+      ...(endAt !== undefined ? { endAt } : {})
+    };
+
+    const recurrenceError = validateRecurrence(recurrence, timezone || campaign.timezone);
+    if (recurrenceError) {
+      return res.status(400).json({ error: recurrenceError });
+    }
+
+    campaign.recurrence = recurrence;
+    if (timezone) {
+      campaign.timezone = timezone;
+    }
+    campaign.scheduledAt = getUpcomingOccurrences(campaign, 1)[0]?.at || campaign.scheduledAt;
     await campaign.save();
+    registerRecurringCampaign(campaign);
+    await recordCampaignEvent(campaign, 'rescheduled', {
+      actor: userActor(req.user),
+      message: 'Recurrence changed',
+      details: { cron, rule, endAt, timezone, nextRunAt: campaign.scheduledAt }
+    });
 
-    res.json(campaign);
+    res.json(withUpcomingOccurrences(campaign));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pause a recurring series; no runs are created until it is resumed
+router.post('/:id/recurrence/pause', async (req, res) => {
+  try {
+    const campaign = await findSeries(req, res);
+    if (!campaign) return;
+
+    campaign.recurrence.paused = true;
+    await campaign.save();
+    unregisterRecurringCampaign(campaign._id);
+    await recordCampaignEvent(campaign, 'paused', { actor: userActor(req.user), message: 'Recurring series paused' });
+
+    res.json(withUpcomingOccurrences(campaign));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Resume a paused recurring series
+router.post('/:id/recurrence/resume', async (req, res) => {
+  try {
+    const campaign = await findSeries(req, res);
+    if (!campaign) return;
+
+    campaign.recurrence.paused = false;
+    await campaign.save();
+    registerRecurringCampaign(campaign);
+    await recordCampaignEvent(campaign, 'resumed', { actor: userActor(req.user), message: 'Recurring series resumed' });
+
+    res.json(withUpcomingOccurrences(campaign));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Skip the next occurrence(s) of a recurring series
+router.post('/:id/recurrence/skip-next', async (req, res) => {
+  try {
+    const campaign = await findSeries(req, res);
+    if (!campaign) return;
+
+    const count = Number(req.body.count) || 1;
+    if (count < 1) {
+      return res.status(400).json({ error: 'count must be at least 1' });
+    }
+
+    campaign.recurrence.skipNext = (campaign.recurrence.skipNext || 0) + count;
+    await campaign.save();
+    await recordCampaignEvent(campaign, 'rescheduled', {
+      actor: userActor(req.user),
+      message: `Skipping the next ${campaign.recurrence.skipNext} occurrence(s)`,
+      details: { skipNext: campaign.recurrence.skipNext }
+    });
+
+    res.json(withUpcomingOccurrences(campaign));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get A/B test results with a per-variant delivery funnel
+router.get('/:id/variants/results', async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    if (!isAbTest(campaign)) {
+      return res.status(400).json({ error: 'Campaign is not an A/B test' });
+    }
+
+    const results = await computeVariantResults(campaign);
+
+    res.json({
+      mode: campaign.abTest?.mode || 'split',
+      winnerMetric: campaign.abTest?.winnerMetric,
+      winnerVariant: campaign.abTest?.winnerVariant || null,
+      winnerSelectedAt: campaign.abTest?.winnerSelectedAt || null,
+      leadingVariant: pickWinningVariant(results, campaign.abTest?.winnerMetric),
+      variants: results
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Render every recipient's payload without sending, and report who would be skipped or rejected
+router.post('/:id/dry-run', async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const sampleSize = Math.min(parseInt(req.query.sampleSize, 10) || 5, 50);
+    const report = await dryRunCampaign(campaign, { sampleSize });
+
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Estimated spend for the current audience, from the pricing table
+router.get('/:id/cost-estimate', async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const estimate = await estimateCampaignCost(campaign);
+    res.json(estimate);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Event log: creation, edits, scheduling, status changes, throttling, errors, completion
+router.get('/:id/timeline', async (req, res) => {
+  try {
+    const { limit, before } = req.query;
+
+    if (before && Number.isNaN(new Date(before).getTime())) {
+      return res.status(400).json({ error: 'before must be a valid date' });
+    }
+
+    const campaign = await Campaign.findById(req.params.id).select('name status');
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const timeline = await getCampaignTimeline(campaign._id, { limit, before });
+    res.json({
+      campaignId: campaign._id,
+      status: campaign.status,
+      ...timeline
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -232,6 +815,32 @@ router.get('/:id/messages', async (req, res) => {
   }
 });
 
+// Per-recipient delivery report, streamed as CSV or XLSX
+router.get('/:id/export', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const rows = await streamDeliveryReport(campaign, res, { format, status: req.query.status });
+    console.log(`✅ Exported ${rows} messages for campaign ${campaign._id} as ${format}`);
+  } catch (error) {
+    console.error('❌ Campaign export failed:', error);
+    // Once streaming has started the status can no longer change; cut the download short
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
 // Delete campaign
 router.delete('/:id', async (req, res) => {
   try {
@@ -247,12 +856,23 @@ router.delete('/:id', async (req, res) => {
       await cancelCampaign(id);
     }
 
-    // Delete associated messages
-    await Message.deleteMany({ campaignId: id });
+    if (campaign.status === 'recurring') {
+      unregisterRecurringCampaign(id);
+    }
+
+    // Delete associated messages; the timeline is an audit trail and is kept
+    const { deletedCount } = await Message.deleteMany({ campaignId: id });
 
     // Delete campaign
     await Campaign.findByIdAndDelete(id);
 
+    await recordCampaignEvent(campaign, 'deleted', {
+      actor: userActor(req.user),
+      fromStatus: campaign.status,
+      message: `Campaign ${campaign.name} deleted`,
+      details: { name: campaign.name, templateName: campaign.templateName, messagesDeleted: deletedCount }
+    });
+
     res.json({ message: 'Campaign deleted successfully' });
   } catch (error) {
     res.status(500).json({ error: error.message });
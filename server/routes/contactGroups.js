@@ -0,0 +1,237 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import ContactGroup from '../models/ContactGroup.js';
+import Contact from '../models/Contact.js';
+import Campaign from '../models/Campaign.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Campaign states that still resolve their audience from groups
+const ACTIVE_CAMPAIGN_STATUSES = ['scheduled', 'sending', 'paused', 'recurring'];
+
+const withMemberCount = async (group) => ({
+  ...group.toObject(),
+  memberCount: await Contact.countDocuments({ groups: group._id })
+});
+
+const parseContactIds = (contactIds) => {
+  if (!Array.isArray(contactIds) || contactIds.length === 0) return null;
+  if (contactIds.some(id => !mongoose.isValidObjectId(id))) return null;
+  return contactIds;
+};
+
+// Get all contact groups
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 50, search } = req.query;
+
+    const query = {};
+    if (search) {
+      query.name = { $regex: search, $options: 'i' };
+    }
+
+    const groups = await ContactGroup.find(query)
+      .sort({ name: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ContactGroup.countDocuments(query);
+
+    res.json({
+      groups: await Promise.all(groups.map(withMemberCount)),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get contact group by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const group = await ContactGroup.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ error: 'Contact group not found' });
+    }
+    res.json(await withMemberCount(group));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get group members
+router.get('/:id/members', async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const group = await ContactGroup.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ error: 'Contact group not found' });
+    }
+
+    const query = { groups: group._id };
+    const contacts = await Contact.find(query)
+      .sort({ name: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Contact.countDocuments(query);
+
+    res.json({
+      contacts,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create new contact group, optionally with initial members
+router.post('/', async (req, res) => {
+  try {
+    const { name, description, contactIds } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Group name is required' });
+    }
+    if (contactIds !== undefined && !parseContactIds(contactIds)) {
+      return res.status(400).json({ error: 'contactIds must be a non-empty array of contact IDs' });
+    }
+
+    const group = new ContactGroup({
+      name,
+      description,
+      createdBy: req.user._id.toString()
+    });
+    await group.save();
+
+    if (contactIds) {
+      await Contact.updateMany({ _id: { $in: contactIds } }, { $addToSet: { groups: group._id } });
+    }
+
+    res.status(201).json(await withMemberCount(group));
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(400).json({ error: 'Group name already exists' });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// Update contact group
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const group = await ContactGroup.findByIdAndUpdate(
+      req.params.id,
+      { name, description },
+      { new: true, runValidators: true }
+    );
+
+    if (!group) {
+      return res.status(404).json({ error: 'Contact group not found' });
+    }
+
+    res.json(await withMemberCount(group));
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(400).json({ error: 'Group name already exists' });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// Delete contact group
+router.delete('/:id', async (req, res) => {
+  try {
+    const group = await ContactGroup.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ error: 'Contact group not found' });
+    }
+
+    // Campaigns that have not sent yet would silently lose part of their audience
+    const activeCampaigns = await Campaign.countDocuments({
+      contactGroups: group._id,
+      status: { $in: ACTIVE_CAMPAIGN_STATUSES }
+    });
+    if (activeCampaigns > 0) {
+      return res.status(400).json({
+        error: `Group is targeted by ${activeCampaigns} active campaign(s)`
+      });
+    }
+
+    await Contact.updateMany({ groups: group._id }, { $pull: { groups: group._id } });
+    await group.deleteOne();
+
+    res.json({ message: 'Contact group deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Bulk add members
+router.post('/:id/members', async (req, res) => {
+  try {
+    const contactIds = parseContactIds(req.body.contactIds);
+    if (!contactIds) {
+      return res.status(400).json({ error: 'contactIds must be a non-empty array of contact IDs' });
+    }
+
+    const group = await ContactGroup.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ error: 'Contact group not found' });
+    }
+
+    const result = await Contact.updateMany(
+      { _id: { $in: contactIds } },
+      { $addToSet: { groups: group._id } }
+    );
+
+    res.json({
+      added: result.modifiedCount,
+      notFound: contactIds.length - result.matchedCount,
+      memberCount: await Contact.countDocuments({ groups: group._id })
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Bulk remove members
+router.delete('/:id/members', async (req, res) => {
+  try {
+    const contactIds = parseContactIds(req.body.contactIds);
+    if (!contactIds) {
+      return res.status(400).json({ error: 'contactIds must be a non-empty array of contact IDs' });
+    }
+
+    const group = await ContactGroup.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ error: 'Contact group not found' });
+    }
+
+    const result = await Contact.updateMany(
+      { _id: { $in: contactIds }, groups: group._id },
+      { $pull: { groups: group._id } }
+    );
+
+    res.json({
+      removed: result.modifiedCount,
+      memberCount: await Contact.countDocuments({ groups: group._id })
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
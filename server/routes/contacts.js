@@ -83,16 +83,15 @@ router.post('/', async (req, res) => {
 // Update contact
 router.put('/:id', async (req, res) => {
   try {
-    const contact = await Contact.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
-    
+    const contact = await Contact.findById(req.params.id);
     if (!contact) {
       return res.status(404).json({ error: 'Contact not found' });
     }
-    
+
+    // Saved rather than updated in place, so a new phone number also updates the timezone
+    contact.set(req.body);
+    await contact.save();
+
     res.json(contact);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -5,6 +5,8 @@ import Contact from '../models/Contact.js';
 import Message from '../models/Message.js';
 import Template from '../models/Template.js';
 import Notification from '../models/Notification.js';
+import { messageQueue } from '../services/scheduler.js';
+import { getThroughputHeadroom } from '../services/throughputGovernor.js';
 
 const router = express.Router();
 
@@ -249,6 +251,7 @@ router.get('/active-campaigns', authenticate, async (req, res) => {
         ? Math.round((campaign.progress.sent / campaign.progress.total) * 100)
         : 0,
       sent: campaign.progress.sent,
+      suppressed: campaign.progress.suppressed || 0,
       total: campaign.progress.total,
       createdAt: campaign.createdAt,
       scheduledAt: campaign.scheduledAt
@@ -261,6 +264,26 @@ router.get('/active-campaigns', authenticate, async (req, res) => {
   }
 });
 
+// Sending headroom for the WhatsApp phone number, shared by all campaigns and replies
+router.get('/throughput', authenticate, async (req, res) => {
+  try {
+    const headroom = await getThroughputHeadroom();
+    const queued = messageQueue ? await messageQueue.getJobCounts() : null;
+
+    res.json({
+      ...headroom,
+      queued: queued ? {
+        waiting: queued.waiting,
+        delayed: queued.delayed,
+        active: queued.active
+      } : null
+    });
+  } catch (error) {
+    console.error('Error fetching throughput headroom:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Helper function to calculate delivery rate for a specific period
 const calculatePeriodDeliveryRate = async (startDate, endDate) => {
   const totalMessages = await Message.countDocuments({
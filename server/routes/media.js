@@ -0,0 +1,198 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import MediaAsset from '../models/MediaAsset.js';
+import Campaign from '../models/Campaign.js';
+import { authenticate } from '../middleware/auth.js';
+import { getProvider } from '../providers/index.js';
+import {
+  MAX_MEDIA_BYTES,
+  validateMedia,
+  inspectMediaLink,
+  createUploadedMedia,
+  createLinkMedia,
+  pushMediaToProvider,
+  openMediaFile,
+  deleteMedia
+} from '../services/mediaLibrary.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Campaign states that still send their header media
+const ACTIVE_CAMPAIGN_STATUSES = ['draft', 'pending_approval', 'scheduled', 'sending', 'paused', 'recurring'];
+
+const findAsset = (id) => (mongoose.isValidObjectId(id) ? MediaAsset.findById(id) : null);
+
+// Uploads go to the Cloud API right away when it is configured; otherwise, or when that
+// fails, the first campaign run using the media uploads it
+const pushToWhatsApp = async (asset) => {
+  const whatsapp = getProvider('whatsapp');
+  if (!whatsapp.isConfigured()) return;
+
+  try {
+    await pushMediaToProvider(asset, whatsapp);
+  } catch (error) {
+    console.error(`❌ Could not upload media ${asset._id} to WhatsApp:`, whatsapp.classifyError(error).message);
+  }
+};
+
+// List the media library
+router.get('/', async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    const query = {};
+    if (type) query.type = type;
+
+    const media = await MediaAsset.find(query).sort({ createdAt: -1 });
+    res.json(media);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Upload a file as the raw request body, with its Content-Type:
+// POST /api/media/upload?filename=brochure.pdf&name=Spring%20brochure
+router.post('/upload', express.raw({ type: () => true, limit: MAX_MEDIA_BYTES }), async (req, res) => {
+  try {
+    const { filename, name } = req.query;
+    const mimeType = req.get('content-type');
+    const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+    if (!filename) {
+      return res.status(400).json({ error: 'filename is required' });
+    }
+    const mediaError = validateMedia({ mimeType, size: data.length });
+    if (mediaError) {
+      return res.status(400).json({ error: mediaError });
+    }
+
+    const asset = await createUploadedMedia({ name, filename, mimeType, data, createdBy: req.user._id });
+    await pushToWhatsApp(asset);
+
+    res.status(201).json(asset);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add media by public URL; WhatsApp downloads it when a message is sent
+router.post('/link', async (req, res) => {
+  try {
+    const { name, link, type } = req.body;
+
+    const inspected = await inspectMediaLink(link);
+    if (inspected.error) {
+      return res.status(400).json({ error: inspected.error });
+    }
+    // Servers that do not report a content type can be told it
+    const mimeType = inspected.mimeType || req.body.mimeType;
+    const mediaError = validateMedia({ mimeType, size: inspected.size, type });
+    if (mediaError) {
+      return res.status(400).json({ error: mediaError });
+    }
+
+    const asset = await createLinkMedia({ name, link, mimeType, size: inspected.size, createdBy: req.user._id });
+    res.status(201).json(asset);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get media by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const asset = await findAsset(req.params.id);
+    if (!asset) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+    res.json(asset);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download the stored file, or follow the link
+router.get('/:id/file', async (req, res) => {
+  try {
+    const asset = await findAsset(req.params.id);
+    if (!asset) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+    if (asset.source === 'link') {
+      return res.redirect(asset.link);
+    }
+
+    res.type(asset.mimeType);
+    res.set('Content-Disposition', `inline; filename="${encodeURIComponent(asset.filename || asset.name)}"`);
+    openMediaFile(asset)
+      .on('error', (error) => {
+        console.error(`❌ Could not read media file ${asset.fileId}:`, error.message);
+        res.destroy(error);
+      })
+      .pipe(res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Upload the file to a provider again, for a fresh media ID
+router.post('/:id/refresh', async (req, res) => {
+  try {
+    const asset = await findAsset(req.params.id);
+    if (!asset) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+    if (asset.source === 'link') {
+      return res.status(400).json({ error: 'Link media has no media ID to refresh' });
+    }
+
+    let provider;
+    try {
+      provider = getProvider(req.body.provider || 'whatsapp');
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (!provider.isConfigured() || !provider.uploadMedia) {
+      return res.status(400).json({ error: `${provider.name} cannot host media` });
+    }
+
+    try {
+      await pushMediaToProvider(asset, provider, { force: true });
+    } catch (error) {
+      return res.status(502).json({ error: provider.classifyError(error).message });
+    }
+
+    res.json(asset);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete media that no active campaign uses
+router.delete('/:id', async (req, res) => {
+  try {
+    const asset = await findAsset(req.params.id);
+    if (!asset) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    const activeCampaigns = await Campaign.countDocuments({
+      'headerMedia.assetId': asset._id,
+      status: { $in: ACTIVE_CAMPAIGN_STATUSES }
+    });
+    if (activeCampaigns > 0) {
+      return res.status(400).json({
+        error: `Media is used by ${activeCampaigns} active campaign(s)`
+      });
+    }
+
+    await deleteMedia(asset);
+    res.json({ message: 'Media deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,94 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Contact from '../models/Contact.js';
+import { authenticate } from '../middleware/auth.js';
+import { formatPhoneNumber } from '../services/whatsappService.js';
+import { sendOrQueueSessionMessage } from '../services/scheduler.js';
+import { pickSessionMessage, validateSessionMessage, getServiceWindow } from '../services/interactiveMessages.js';
+
+// Session messages to a single contact: text, reply buttons, lists and CTA URLs
+// (see services/interactiveMessages.js)
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// The contact by contactId, or by phone
+const findContact = ({ contactId, phone }) => {
+  if (contactId) {
+    return mongoose.isValidObjectId(contactId) ? Contact.findById(contactId) : null;
+  }
+  return phone ? Contact.findOne({ phone: formatPhoneNumber(String(phone)) }) : null;
+};
+
+// Whether the contact's customer service window is open
+// GET /api/messages/session-window?phone=919876543210 (or ?contactId=)
+router.get('/session-window', async (req, res) => {
+  try {
+    const { contactId, phone } = req.query;
+    if (!contactId && !phone) {
+      return res.status(400).json({ error: 'phone or contactId is required' });
+    }
+
+    const contact = await findContact({ contactId, phone });
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    res.json({ contactId: contact._id, phone: contact.phone, ...(await getServiceWindow(contact._id)) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send a session message:
+// { phone | contactId, type: 'text' | 'buttons' | 'list' | 'cta_url', body, header, footer,
+//   buttons, buttonText, sections, displayText, url, replyTo }
+// replyTo is the WhatsApp message ID of the contact's message to quote.
+router.post('/send', async (req, res) => {
+  try {
+    const { contactId, phone, replyTo } = req.body;
+    if (!contactId && !phone) {
+      return res.status(400).json({ error: 'phone or contactId is required' });
+    }
+
+    const message = pickSessionMessage(req.body);
+    const validationError = validateSessionMessage(message);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const contact = await findContact({ contactId, phone });
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    // Outside the window WhatsApp only accepts approved templates
+    const window = await getServiceWindow(contact._id);
+    if (!window.open) {
+      return res.status(409).json({
+        error: 'The customer service window is closed; send an approved template instead',
+        lastMessageAt: window.lastMessageAt
+      });
+    }
+
+    const result = await sendOrQueueSessionMessage(contact.phone, message, { replyTo });
+
+    if (result.queued) {
+      return res.status(202).json({
+        queued: true,
+        retryAfterMs: result.retryAfterMs,
+        message: 'Throughput limit reached, message queued'
+      });
+    }
+    if (!result.success) {
+      return res.status(502).json({ error: result.error });
+    }
+
+    res.json({ messageId: result.messageId, expiresAt: window.expiresAt });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
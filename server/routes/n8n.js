@@ -1,10 +1,17 @@
 import express from 'express';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
 import Campaign from '../models/Campaign.js';
 import Contact from '../models/Contact.js';
 import Template from '../models/Template.js';
 import Response from '../models/Response.js';
-import { scheduleCampaign } from '../services/scheduler.js';
-import { handleWhatsAppWebhook, sendWhatsAppTextMessage } from '../services/whatsappService.js';
+import { scheduleCampaign, sendOrQueueSessionMessage } from '../services/scheduler.js';
+import { SESSION_MESSAGE_TYPES, pickSessionMessage, validateSessionMessage } from '../services/interactiveMessages.js';
+import { handleWhatsAppWebhook, handleProviderWebhook } from '../services/whatsappService.js';
+import { verifyTwilioSignature } from '../providers/twilio.js';
+import { validateVariableMappings } from '../services/templateVariables.js';
+import { validateContactGroups, validateSegment, countAudience } from '../services/audience.js';
+import { recordCampaignEvent, systemActor } from '../services/campaignEvents.js';
 
 const router = express.Router();
 
@@ -16,7 +23,10 @@ router.post('/webhook/campaign', async (req, res) => {
       templateId,
       contactIds,
       contactTags,
+      groupIds,
+      segmentId,
       variables,
+      variableMappings,
       scheduledAt,
       rateLimitPerMinute,
       provider,
@@ -26,6 +36,11 @@ router.post('/webhook/campaign', async (req, res) => {
 
     console.log('Received n8n campaign webhook:', req.body);
 
+    const mappingError = validateVariableMappings(variableMappings);
+    if (mappingError) {
+      return res.status(400).json({ error: mappingError });
+    }
+
     // Validate template exists
     const template = await Template.findById(templateId);
     if (!template) {
@@ -49,7 +64,24 @@ router.post('/webhook/campaign', async (req, res) => {
       });
     }
 
-    if (contacts.length === 0) {
+    const groupError = await validateContactGroups(groupIds);
+    if (groupError) {
+      return res.status(400).json({ error: groupError });
+    }
+
+    const segmentError = await validateSegment(segmentId);
+    if (segmentError) {
+      return res.status(400).json({ error: segmentError });
+    }
+
+    // Group members and segment matches are expanded and deduplicated with the selected contacts
+    const audienceSize = await countAudience({
+      contacts: contacts.map(c => c._id),
+      contactGroups: groupIds || [],
+      segmentId
+    });
+
+    if (audienceSize === 0) {
       return res.status(400).json({ error: 'No valid contacts found' });
     }
 
@@ -58,10 +90,13 @@ router.post('/webhook/campaign', async (req, res) => {
       name: name || `Automated Campaign - ${new Date().toISOString()}`,
       templateId,
       contacts: contacts.map(c => c._id),
+      contactGroups: groupIds || [],
+      segmentId: segmentId || undefined,
       variables: new Map(Object.entries(variables || {})),
+      variableMappings: variableMappings || [],
       scheduledAt: scheduledAt ? new Date(scheduledAt) : new Date(),
       status: 'scheduled',
-      provider: 'whatsapp',
+      provider: provider || 'whatsapp',
       rateLimitPerMinute: rateLimitPerMinute || 1000, // WhatsApp Cloud API default rate limit
       createdBy: 'n8n-automation',
       automatedTrigger: true,
@@ -69,7 +104,7 @@ router.post('/webhook/campaign', async (req, res) => {
       n8nWorkflowId,
       googleCalendarEventId,
       progress: {
-        total: contacts.length,
+        total: audienceSize,
         sent: 0,
         delivered: 0,
         read: 0,
@@ -78,6 +113,11 @@ router.post('/webhook/campaign', async (req, res) => {
     });
 
     await campaign.save();
+    await recordCampaignEvent(campaign, 'created', {
+      actor: systemActor('n8n'),
+      toStatus: 'scheduled',
+      details: { n8nWorkflowId, audience: audienceSize, scheduledAt: campaign.scheduledAt }
+    });
 
     // Schedule the campaign
     await scheduleCampaign(campaign);
@@ -141,6 +181,11 @@ router.post('/webhook/calendar', async (req, res) => {
     });
 
     await campaign.save();
+    await recordCampaignEvent(campaign, 'created', {
+      actor: systemActor('calendar'),
+      toStatus: campaign.status,
+      details: { googleCalendarEventId: eventId, scheduledAt: campaign.scheduledAt }
+    });
     await scheduleCampaign(campaign);
 
     res.status(201).json({
@@ -165,7 +210,8 @@ router.post('/send-response', async (req, res) => {
       responseId,
       phone,
       message,
-      responseType = 'text'
+      responseType = 'text',
+      quote = false
     } = req.body;
 
     console.log('Received n8n response request:', req.body);
@@ -177,21 +223,45 @@ router.post('/send-response', async (req, res) => {
       });
     }
 
-    // Send the response message via WhatsApp
-    const result = await sendWhatsAppTextMessage(phone, message);
-
-    if (result.success) {
-      // Update the response record if responseId is provided
-      if (responseId) {
-        const response = await Response.findById(responseId);
-        if (response) {
-          response.autoResponseSent = true;
-          response.autoResponseMessageId = result.messageId;
-          response.n8nResponseSent = true;
-          await response.save();
-        }
+    // message is the body text; buttons, list and cta_url responses take the other session
+    // message fields from the request. Other response types are sent as text, as before.
+    const sessionMessage = pickSessionMessage({
+      ...req.body,
+      type: SESSION_MESSAGE_TYPES.includes(responseType) ? responseType : 'text',
+      body: message
+    });
+    const validationError = validateSessionMessage(sessionMessage);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    // quote: true replies to the incoming message the response is for
+    let replyTo = req.body.replyTo;
+    if (quote && !replyTo) {
+      const response = mongoose.isValidObjectId(responseId) ? await Response.findById(responseId) : null;
+      if (!response) {
+        return res.status(400).json({
+          success: false,
+          error: 'quote needs the responseId of the incoming message'
+        });
       }
+      replyTo = response.whatsappMessageId;
+    }
+
+    // Send the response message via WhatsApp; over the throughput limit it is queued
+    const result = await sendOrQueueSessionMessage(phone, sessionMessage, { responseId, replyTo });
 
+    if (result.queued) {
+      res.status(202).json({
+        success: true,
+        queued: true,
+        retryAfterMs: result.retryAfterMs,
+        message: 'Throughput limit reached, response queued'
+      });
+    } else if (result.success) {
       res.json({
         success: true,
         messageId: result.messageId,
@@ -385,7 +455,7 @@ router.post('/webhook', express.json({ verify: (req, res, buf) => { req.rawBody
     }
 
     // Handle the webhook event
-    await handleWhatsAppWebhook(req.body);
+    await handleWhatsAppWebhook(req.body, req.app.get('io'));
 
     res.status(200).send('EVENT_RECEIVED');
   } catch (error) {
@@ -394,6 +464,47 @@ router.post('/webhook', express.json({ verify: (req, res, buf) => { req.rawBody
   }
 });
 
+// Twilio status callbacks and incoming messages (form encoded)
+router.post('/webhook/twilio', express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    // Twilio signs the exact URL it called; behind a proxy that is the configured callback URL
+    const url = process.env.TWILIO_STATUS_CALLBACK_URL || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+    if (!verifyTwilioSignature({ url, params: req.body, signature: req.headers['x-twilio-signature'] })) {
+      console.error('Invalid Twilio webhook signature');
+      return res.sendStatus(403);
+    }
+
+    await handleProviderWebhook('twilio', req.body, req.app.get('io'));
+
+    // Empty TwiML: no automatic reply to incoming messages
+    res.type('text/xml').send('<Response></Response>');
+  } catch (error) {
+    console.error('Error processing Twilio webhook:', error);
+    res.sendStatus(500);
+  }
+});
+
+// Bounce and delivery reports for email campaigns (see providers/email.js), from the mail
+// server's bounce processing or a local SMTP catcher. Authenticated with a shared secret.
+router.post('/webhook/email', async (req, res) => {
+  try {
+    const secret = process.env.EMAIL_WEBHOOK_SECRET;
+    // timingSafeEqual compares bytes, so the lengths are compared in bytes too
+    const provided = Buffer.from(String(req.headers['x-webhook-secret'] || ''));
+    const expected = Buffer.from(secret || '');
+    if (!secret || provided.byteLength !== expected.byteLength || !crypto.timingSafeEqual(provided, expected)) {
+      console.error('Invalid email webhook secret');
+      return res.sendStatus(403);
+    }
+
+    await handleProviderWebhook('email', req.body, req.app.get('io'));
+    res.sendStatus(200);
+  } catch (error) {
+    console.error('Error processing email webhook:', error);
+    res.sendStatus(500);
+  }
+});
+
 // Function to verify webhook signature
 function verifyWebhookSignature(payload, signature) {
   try {
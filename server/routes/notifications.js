@@ -108,7 +108,7 @@ router.patch('/:id/read', authenticate, async (req, res) => {
     // Emit socket event
     const io = req.app.get('io');
     if (io) {
-      io.to(`user_${userId}`).emit('notification-read', notificationId);
+      io.emitToUser(userId, 'notification-read', notificationId);
     }
 
     res.json({ message: 'Notification marked as read', notification });
@@ -131,7 +131,7 @@ router.patch('/mark-all-read', authenticate, async (req, res) => {
     // Emit socket event
     const io = req.app.get('io');
     if (io) {
-      io.to(`user_${userId}`).emit('notifications-all-read');
+      io.emitToUser(userId, 'notifications-all-read');
     }
 
     res.json({ 
@@ -154,7 +154,7 @@ router.delete('/clear-all', authenticate, async (req, res) => {
     // Emit socket event
     const io = req.app.get('io');
     if (io) {
-      io.to(`user_${userId}`).emit('notifications-cleared');
+      io.emitToUser(userId, 'notifications-cleared');
     }
 
     res.json({ 
@@ -0,0 +1,122 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import PricingRate from '../models/PricingRate.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import {
+  SPEND_GROUPS,
+  validatePricingRate,
+  toPricingRateFields,
+  getSpendReport
+} from '../services/pricing.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Get pricing rates
+router.get('/rates', async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.category) {
+      query.category = String(req.query.category).toUpperCase();
+    }
+    if (req.query.callingCode) {
+      query.callingCode = String(req.query.callingCode).replace(/^\+/, '');
+    }
+
+    const rates = await PricingRate.find(query).sort({ callingCode: 1, category: 1 });
+    res.json(rates);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create pricing rate
+router.post('/rates', authorize('admin'), async (req, res) => {
+  try {
+    const rateError = validatePricingRate(req.body);
+    if (rateError) {
+      return res.status(400).json({ error: rateError });
+    }
+
+    const rate = new PricingRate({
+      ...toPricingRateFields(req.body),
+      updatedBy: req.user._id.toString()
+    });
+    await rate.save();
+
+    res.status(201).json(rate);
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(400).json({ error: 'A rate for this calling code and category already exists' });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// Update pricing rate
+router.put('/rates/:id', authorize('admin'), async (req, res) => {
+  try {
+    const rateError = validatePricingRate(req.body, { partial: true });
+    if (rateError) {
+      return res.status(400).json({ error: rateError });
+    }
+
+    const rate = await PricingRate.findByIdAndUpdate(
+      req.params.id,
+      { ...toPricingRateFields(req.body), updatedBy: req.user._id.toString() },
+      { new: true, runValidators: true }
+    );
+
+    if (!rate) {
+      return res.status(404).json({ error: 'Pricing rate not found' });
+    }
+
+    res.json(rate);
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(400).json({ error: 'A rate for this calling code and category already exists' });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// Delete pricing rate
+router.delete('/rates/:id', authorize('admin'), async (req, res) => {
+  try {
+    const rate = await PricingRate.findByIdAndDelete(req.params.id);
+    if (!rate) {
+      return res.status(404).json({ error: 'Pricing rate not found' });
+    }
+
+    res.json({ message: 'Pricing rate deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recorded spend by campaign, template or month
+router.get('/spend', async (req, res) => {
+  try {
+    const { groupBy = 'campaign', from, to, campaignId } = req.query;
+
+    if (!SPEND_GROUPS.includes(groupBy)) {
+      return res.status(400).json({ error: `groupBy must be one of ${SPEND_GROUPS.join(', ')}` });
+    }
+    if ((from && Number.isNaN(new Date(from).getTime())) || (to && Number.isNaN(new Date(to).getTime()))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+    if (campaignId && !mongoose.isValidObjectId(campaignId)) {
+      return res.status(400).json({ error: 'Invalid campaignId' });
+    }
+
+    const report = await getSpendReport({ groupBy, from, to, campaignId });
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
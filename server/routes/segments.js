@@ -0,0 +1,164 @@
+import express from 'express';
+import Segment from '../models/Segment.js';
+import Campaign from '../models/Campaign.js';
+import { authenticate } from '../middleware/auth.js';
+import { validateSegmentRules, previewSegment } from '../services/segments.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Campaign states that still resolve their audience from the segment
+const ACTIVE_CAMPAIGN_STATUSES = ['scheduled', 'sending', 'paused', 'recurring'];
+
+const PREVIEW_SAMPLE_SIZE = 10;
+const MAX_PREVIEW_SAMPLE_SIZE = 50;
+
+const sampleSize = (limit) => Math.min(parseInt(limit, 10) || PREVIEW_SAMPLE_SIZE, MAX_PREVIEW_SAMPLE_SIZE);
+
+// Get all segments
+router.get('/', async (req, res) => {
+  try {
+    const segments = await Segment.find().sort({ name: 1 });
+    res.json(segments);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Preview unsaved rules, so marketers can size an audience while building a segment
+router.post('/preview', async (req, res) => {
+  try {
+    const { match = 'all', rules } = req.body;
+
+    const rulesError = validateSegmentRules(rules);
+    if (rulesError) {
+      return res.status(400).json({ error: rulesError });
+    }
+
+    const preview = await previewSegment({ match, rules }, sampleSize(req.query.limit));
+    res.json(preview);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get segment by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const segment = await Segment.findById(req.params.id);
+    if (!segment) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+    res.json(segment);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Audience count and sample for a saved segment, evaluated now
+router.get('/:id/preview', async (req, res) => {
+  try {
+    const segment = await Segment.findById(req.params.id);
+    if (!segment) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    const preview = await previewSegment(segment, sampleSize(req.query.limit));
+    res.json(preview);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create new segment
+router.post('/', async (req, res) => {
+  try {
+    const { name, description, match, rules } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Segment name is required' });
+    }
+
+    const rulesError = validateSegmentRules(rules);
+    if (rulesError) {
+      return res.status(400).json({ error: rulesError });
+    }
+
+    const segment = new Segment({
+      name,
+      description,
+      match,
+      rules,
+      createdBy: req.user._id.toString()
+    });
+    await segment.save();
+
+    res.status(201).json(segment);
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(400).json({ error: 'Segment name already exists' });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// Update segment
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, description, match, rules } = req.body;
+
+    if (rules !== undefined) {
+      const rulesError = validateSegmentRules(rules);
+      if (rulesError) {
+        return res.status(400).json({ error: rulesError });
+      }
+    }
+
+    const segment = await Segment.findByIdAndUpdate(
+      req.params.id,
+      { name, description, match, rules },
+      { new: true, runValidators: true }
+    );
+
+    if (!segment) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    res.json(segment);
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(400).json({ error: 'Segment name already exists' });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// Delete segment
+router.delete('/:id', async (req, res) => {
+  try {
+    const segment = await Segment.findById(req.params.id);
+    if (!segment) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    const activeCampaigns = await Campaign.countDocuments({
+      segmentId: segment._id,
+      status: { $in: ACTIVE_CAMPAIGN_STATUSES }
+    });
+    if (activeCampaigns > 0) {
+      return res.status(400).json({
+        error: `Segment is targeted by ${activeCampaigns} active campaign(s)`
+      });
+    }
+
+    await segment.deleteOne();
+    res.json({ message: 'Segment deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,63 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { getWorkspaceSettings, updateWorkspaceSettings } from '../services/workspaceSettings.js';
+import { validateSendWindow } from '../services/sendWindows.js';
+import { isValidTimezone } from '../utils/timezones.js';
+import { validateFrequencyCaps } from '../services/frequencyCaps.js';
+
+const router = express.Router();
+
+// Get workspace settings
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const settings = await getWorkspaceSettings();
+    res.json(settings);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update workspace settings
+router.put('/', authenticate, authorize('admin', 'manager'), async (req, res) => {
+  try {
+    const { sendWindow, defaultTimezone, frequencyCaps } = req.body;
+    const updates = {};
+
+    if (sendWindow !== undefined) {
+      const current = (await getWorkspaceSettings()).toObject().sendWindow;
+      const merged = { ...current, ...sendWindow };
+
+      const sendWindowError = validateSendWindow(merged);
+      if (sendWindowError) {
+        return res.status(400).json({ error: sendWindowError });
+      }
+      updates.sendWindow = {
+        enabled: Boolean(merged.enabled),
+        start: merged.start,
+        end: merged.end
+      };
+    }
+
+    if (defaultTimezone !== undefined) {
+      if (!isValidTimezone(defaultTimezone)) {
+        return res.status(400).json({ error: `Invalid timezone: ${defaultTimezone}` });
+      }
+      updates.defaultTimezone = defaultTimezone;
+    }
+
+    if (frequencyCaps !== undefined) {
+      const capsError = validateFrequencyCaps(frequencyCaps);
+      if (capsError) {
+        return res.status(400).json({ error: capsError });
+      }
+      updates.frequencyCaps = frequencyCaps;
+    }
+
+    const settings = await updateWorkspaceSettings(updates, req.user._id.toString());
+    res.json(settings);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import Template from '../models/Template.js';
-import { fetchLiveWhatsAppTemplates } from '../services/whatsappService.js';
+import { fetchLiveWhatsAppTemplates, formatPhoneNumber } from '../services/whatsappService.js';
+import { getProvider } from '../providers/index.js';
 
 const router = express.Router();
 
@@ -136,51 +137,30 @@ router.post('/test-whatsapp', async (req, res) => {
       return res.status(400).json({ error: 'Phone number is required' });
     }
 
-    const ACCESS_TOKEN = process.env.WHATSAPP_ACCESS_TOKEN;
-    const PHONE_NUMBER_ID = process.env.WHATSAPP_PHONE_NUMBER_ID;
-    const WHATSAPP_API_URL = 'https://graph.facebook.com/v22.0';
-
-    // Format phone number
-    let cleaned = phone.replace(/\D/g, '');
-    if (!cleaned.startsWith('91') && cleaned.length === 10) {
-      cleaned = '91' + cleaned;
-    }
+    const provider = getProvider('whatsapp');
+    const to = formatPhoneNumber(phone);
 
     // Test with hello_world template (exactly like your working curl)
-    const payload = {
-      messaging_product: 'whatsapp',
-      to: cleaned,
-      type: 'template',
+    const message = {
+      to,
       template: {
         name: 'hello_world',
-        language: {
-          code: 'en_US'
-        }
+        language: 'en_US'
       }
     };
 
-    console.log('Testing WhatsApp API with payload:', JSON.stringify(payload, null, 2));
-    console.log('Using URL:', `${WHATSAPP_API_URL}/${PHONE_NUMBER_ID}/messages`);
-    console.log('Access Token Length:', ACCESS_TOKEN?.length);
+    console.log('Testing WhatsApp API with message:', JSON.stringify(message, null, 2));
+    console.log('Using provider config:', provider.describeConfig());
 
-    const response = await axios.post(
-      `${WHATSAPP_API_URL}/${PHONE_NUMBER_ID}/messages`,
-      payload,
-      {
-        headers: {
-          'Authorization': `Bearer ${ACCESS_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const response = await provider.sendTemplate(message);
 
-    console.log('✅ WhatsApp Test Success:', JSON.stringify(response.data, null, 2));
+    console.log('✅ WhatsApp Test Success:', JSON.stringify(response.raw, null, 2));
 
     res.json({
       success: true,
       message: 'WhatsApp message sent successfully',
-      data: response.data,
-      payload: payload
+      data: response.raw,
+      payload: message
     });
 
   } catch (error) {
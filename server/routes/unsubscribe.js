@@ -0,0 +1,57 @@
+import express from 'express';
+import { readUnsubscribeToken, unsubscribeWithToken } from '../services/emailCampaigns.js';
+
+// Public unsubscribe links from campaign emails; the signed token identifies the contact.
+// Opening the link only asks for confirmation, so link scanners and prefetchers that follow
+// it do not unsubscribe anyone; the POST unsubscribes.
+
+const router = express.Router();
+
+const page = (title, text, form = '') => `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${title}</title></head>
+<body style="font-family:sans-serif;max-width:480px;margin:64px auto;text-align:center">
+<h2>${title}</h2><p>${text}</p>${form}
+</body></html>`;
+
+// The form posts back to the link's own URL, like a one-click unsubscribe
+const confirmForm = `<form method="post">
+<input type="hidden" name="List-Unsubscribe" value="One-Click">
+<button type="submit" style="padding:8px 24px;font-size:16px">Unsubscribe</button>
+</form>`;
+
+const invalidLink = () => page('Link not valid', 'This unsubscribe link is invalid or has expired.');
+
+// Link clicked in the email
+router.get('/:token', (req, res) => {
+  if (!readUnsubscribeToken(req.params.token)) {
+    return res.status(404).send(invalidLink());
+  }
+  res.send(page('Unsubscribe from our emails?', 'You will no longer receive these emails from us.', confirmForm));
+});
+
+// The confirmation form, and one-click unsubscribe from the mail client
+// (List-Unsubscribe-Post, RFC 8058)
+router.post('/:token', async (req, res) => {
+  // Browsers submitting the form get a page; mail clients get JSON
+  const wantsPage = req.accepts(['json', 'html']) === 'html';
+
+  try {
+    const contact = await unsubscribeWithToken(req.params.token);
+    if (!contact) {
+      return wantsPage
+        ? res.status(404).send(invalidLink())
+        : res.status(404).json({ error: 'Invalid unsubscribe link' });
+    }
+    if (wantsPage) {
+      return res.send(page('You have been unsubscribed', 'You will no longer receive these emails from us.'));
+    }
+    res.json({ message: 'Unsubscribed' });
+  } catch (error) {
+    if (wantsPage) {
+      return res.status(500).send(page('Something went wrong', 'Please try again later.'));
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+
+// A/B split testing for broadcast campaigns
+//
+// A campaign with two or more `variants` is an A/B test. Each contact is hashed into a stable
+// bucket (0-100) so it always lands in the same variant, including across resumes and retries.
+//
+// mode 'split'  - the whole audience is split across variants by weight
+// mode 'winner' - only `testPercentage` of the audience is split across variants. After
+//                 `winnerDelayHours` the variant with the best read or reply rate is sent
+//                 to the rest of the audience.
+
+export const AB_TEST_MODES = ['split', 'winner'];
+export const AB_WINNER_METRICS = ['read_rate', 'reply_rate'];
+
+export const isAbTest = (campaign) => Array.isArray(campaign?.variants) && campaign.variants.length >= 2;
+
+// Stable position of a contact within a campaign's audience, in [0, 100)
+export const getAudienceBucket = (campaignId, contactId) => {
+  const hash = crypto.createHash('md5').update(`${campaignId}:${contactId}`).digest('hex');
+  return (parseInt(hash.slice(0, 8), 16) / 0x100000000) * 100;
+};
+
+const pickWeighted = (variants, bucket) => {
+  const totalWeight = variants.reduce((sum, variant) => sum + (variant.weight || 0), 0);
+
+  // Missing weights mean an even split
+  if (totalWeight <= 0) {
+    return variants[Math.min(Math.floor(bucket / (100 / variants.length)), variants.length - 1)].key;
+  }
+
+  let cumulative = 0;
+  for (const variant of variants) {
+    cumulative += ((variant.weight || 0) / totalWeight) * 100;
+    if (bucket < cumulative) return variant.key;
+  }
+  return variants[variants.length - 1].key;
+};
+
+// Variant key for a contact, or null when the contact is held back for the winner phase
+export const assignVariant = (campaign, contactId) => {
+  if (!isAbTest(campaign)) return null;
+
+  const bucket = getAudienceBucket(campaign._id, contactId);
+
+  if (campaign.abTest?.mode === 'winner') {
+    const testPercentage = campaign.abTest.testPercentage || 20;
+    if (bucket >= testPercentage) {
+      return campaign.abTest.winnerVariant || null;
+    }
+    return pickWeighted(campaign.variants, (bucket / testPercentage) * 100);
+  }
+
+  return pickWeighted(campaign.variants, bucket);
+};
+
+// The template settings to render for a variant; falls back to the campaign's own settings
+export const getVariantSpec = (campaign, variantKey) => {
+  const variant = variantKey && campaign.variants?.find(v => v.key === variantKey);
+  if (!variant) return campaign;
+
+  return {
+    _id: campaign._id,
+    templateName: variant.templateName,
+    templateLanguage: variant.templateLanguage || campaign.templateLanguage,
+    templateComponents: variant.templateComponents,
+    variableMappings: variant.variableMappings?.length > 0 ? variant.variableMappings : campaign.variableMappings,
+    variables: campaign.variables,
+    templateSnapshot: variant.templateSnapshot
+  };
+};
+
+// Validate variants and A/B settings submitted through the API. Returns an error message or null.
+export const validateAbTest = (variants, abTest) => {
+  if (variants === undefined || variants === null) return null;
+  if (!Array.isArray(variants)) return 'variants must be an array';
+  if (variants.length === 0) return null;
+  if (variants.length < 2) return 'An A/B test needs at least two variants';
+
+  const keys = new Set();
+  for (const [i, variant] of variants.entries()) {
+    if (!variant?.key) return `variants[${i}].key is required`;
+    if (keys.has(variant.key)) return `Duplicate variant key ${variant.key}`;
+    keys.add(variant.key);
+    if (!variant.templateName) return `variants[${i}].templateName is required`;
+    if (variant.weight !== undefined && (typeof variant.weight !== 'number' || variant.weight < 0)) {
+      return `variants[${i}].weight must be a non-negative number`;
+    }
+  }
+
+  const weights = variants.map(v => v.weight).filter(w => w !== undefined);
+  if (weights.length > 0) {
+    if (weights.length !== variants.length) return 'Either all variants have a weight or none do';
+    if (Math.round(weights.reduce((sum, w) => sum + w, 0)) !== 100) return 'Variant weights must add up to 100';
+  }
+
+  if (abTest) {
+    if (abTest.mode && !AB_TEST_MODES.includes(abTest.mode)) {
+      return `abTest.mode must be one of ${AB_TEST_MODES.join(', ')}`;
+    }
+    if (abTest.mode === 'winner') {
+      if (!(abTest.testPercentage > 0 && abTest.testPercentage < 100)) {
+        return 'abTest.testPercentage must be between 0 and 100';
+      }
+      if (!(abTest.winnerDelayHours > 0)) {
+        return 'abTest.winnerDelayHours must be greater than 0';
+      }
+      if (abTest.winnerMetric && !AB_WINNER_METRICS.includes(abTest.winnerMetric)) {
+        return `abTest.winnerMetric must be one of ${AB_WINNER_METRICS.join(', ')}`;
+      }
+    }
+  }
+
+  return null;
+};
+
+const rate = (count, base) => (base > 0 ? Math.round((count / base) * 10000) / 100 : 0);
+
+// Per-variant delivery funnel: sent -> delivered -> read -> replied
+export const computeVariantResults = async (campaign) => {
+  const stats = await Message.aggregate([
+    { $match: { campaignId: new mongoose.Types.ObjectId(campaign._id.toString()), variant: { $ne: null } } },
+    {
+      $lookup: {
+        from: 'responses',
+        let: { messageId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$originalMessageId', '$$messageId'] } } },
+          { $limit: 1 },
+          { $project: { _id: 1 } }
+        ],
+        as: 'responses'
+      }
+    },
+    {
+      $group: {
+        _id: '$variant',
+        messages: { $sum: 1 },
+        sent: { $sum: { $cond: [{ $in: ['$status', ['sent', 'delivered', 'read']] }, 1, 0] } },
+        delivered: { $sum: { $cond: [{ $in: ['$status', ['delivered', 'read']] }, 1, 0] } },
+        read: { $sum: { $cond: [{ $eq: ['$status', 'read'] }, 1, 0] } },
+        failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+        suppressed: { $sum: { $cond: [{ $eq: ['$status', 'skipped'] }, 1, 0] } },
+        replied: { $sum: { $cond: [{ $gt: [{ $size: '$responses' }, 0] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const byVariant = new Map(stats.map(stat => [stat._id, stat]));
+
+  return (campaign.variants || []).map(variant => {
+    const stat = byVariant.get(variant.key) || {};
+    const sent = stat.sent || 0;
+
+    return {
+      key: variant.key,
+      name: variant.name,
+      templateName: variant.templateName,
+      weight: variant.weight,
+      messages: stat.messages || 0,
+      sent,
+      delivered: stat.delivered || 0,
+      read: stat.read || 0,
+      failed: stat.failed || 0,
+      suppressed: stat.suppressed || 0,
+      replied: stat.replied || 0,
+      deliveryRate: rate(stat.delivered || 0, sent),
+      readRate: rate(stat.read || 0, sent),
+      replyRate: rate(stat.replied || 0, sent)
+    };
+  });
+};
+
+// Best variant by the campaign's metric; ties and empty results keep the first variant
+export const pickWinningVariant = (results, metric = 'read_rate') => {
+  const field = metric === 'reply_rate' ? 'replyRate' : 'readRate';
+
+  return results.reduce((best, current) => (current[field] > best[field] ? current : best), results[0])?.key;
+};
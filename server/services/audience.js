@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import Contact from '../models/Contact.js';
+import ContactGroup from '../models/ContactGroup.js';
+import Segment from '../models/Segment.js';
+import { buildSegmentQuery } from './segments.js';
+import { isEmailCampaign, EMAIL_AUDIENCE_QUERY } from './emailCampaigns.js';
+
+// Campaign audience: directly selected contacts, members of the selected groups and
+// contacts matching the campaign's segment. Resolved at send time, so group and segment
+// changes made after scheduling are picked up. Opted-out, inactive and blocked contacts are
+// always excluded, and email campaigns also leave out contacts without an email address or
+// unsubscribed from email; a contact matched several ways is only returned once.
+
+// Every contact the campaign targets, before opted-out and inactive contacts are removed
+export const buildAudienceSourceQuery = async ({ contacts = [], contactGroups = [], segmentId }) => {
+  const sources = [];
+  if (contacts.length > 0) {
+    sources.push({ _id: { $in: contacts } });
+  }
+  if (contactGroups.length > 0) {
+    sources.push({ groups: { $in: contactGroups } });
+  }
+  if (segmentId) {
+    const segment = await Segment.findById(segmentId);
+    if (segment) {
+      sources.push(await buildSegmentQuery(segment));
+    }
+  }
+  if (sources.length === 0) return null;
+
+  return { $or: sources };
+};
+
+export const buildAudienceQuery = async (campaign) => {
+  const sourceQuery = await buildAudienceSourceQuery(campaign);
+  if (!sourceQuery) return null;
+
+  return {
+    ...sourceQuery,
+    status: 'active',
+    optedOut: { $ne: true },
+    ...(isEmailCampaign(campaign) ? EMAIL_AUDIENCE_QUERY : {})
+  };
+};
+
+export const resolveAudience = async (campaign) => {
+  const query = await buildAudienceQuery(campaign);
+  if (!query) return [];
+
+  const contacts = await Contact.find(query).select('_id').lean();
+  return contacts.map(contact => contact._id);
+};
+
+export const countAudience = async (campaign) => {
+  const query = await buildAudienceQuery(campaign);
+  if (!query) return 0;
+
+  return Contact.countDocuments(query);
+};
+
+// Validate group IDs submitted through the API. Returns an error message or null.
+export const validateContactGroups = async (groupIds) => {
+  if (groupIds === undefined || groupIds === null) return null;
+  if (!Array.isArray(groupIds)) return 'groupIds must be an array';
+  if (groupIds.some(id => !mongoose.isValidObjectId(id))) return 'groupIds must contain valid group IDs';
+
+  const uniqueIds = [...new Set(groupIds.map(id => id.toString()))];
+  const found = await ContactGroup.countDocuments({ _id: { $in: uniqueIds } });
+  if (found !== uniqueIds.length) return 'One or more contact groups were not found';
+
+  return null;
+};
+
+// Validate a segment ID submitted through the API. Returns an error message or null.
+export const validateSegment = async (segmentId) => {
+  if (segmentId === undefined || segmentId === null) return null;
+  if (!mongoose.isValidObjectId(segmentId)) return 'segmentId must be a valid segment ID';
+
+  const exists = await Segment.exists({ _id: segmentId });
+  return exists ? null : 'Segment not found';
+};
@@ -0,0 +1,88 @@
+import User from '../models/User.js';
+import { notifyApprovalRequested, notifyApprovalDecision } from './notificationService.js';
+import { recordCampaignEvent, userActor } from './campaignEvents.js';
+
+// Campaign approval
+//
+// Campaigns scheduled by `user`-role members wait in `pending_approval` until a manager or
+// admin approves them (they are then scheduled as usual) or rejects them (back to draft so
+// they can be fixed and resubmitted). scheduleCampaign never queues an unapproved campaign.
+// Every request and decision is appended to Campaign.approvalHistory.
+
+export const APPROVER_ROLES = ['manager', 'admin'];
+
+export const requiresApproval = (user) => !APPROVER_ROLES.includes(user?.role);
+
+const recordApprovalEvent = (campaign, action, user, comment) => {
+  campaign.approvalHistory.push({
+    action,
+    by: user._id.toString(),
+    byName: user.fullName,
+    role: user.role,
+    comment,
+    at: new Date()
+  });
+};
+
+// Put a validated campaign in front of the approvers
+export const submitForApproval = async (campaign, user, io) => {
+  const previousStatus = campaign.status;
+  campaign.status = 'pending_approval';
+  campaign.jobId = null;
+  campaign.approval = {
+    status: 'pending',
+    requestedBy: user._id.toString(),
+    requestedAt: new Date()
+  };
+  recordApprovalEvent(campaign, 'requested', user);
+  await campaign.save();
+  await recordCampaignEvent(campaign, 'approval_requested', {
+    actor: userActor(user),
+    fromStatus: previousStatus,
+    toStatus: 'pending_approval'
+  });
+
+  const approvers = await User.find({ role: { $in: APPROVER_ROLES }, isActive: true }).select('_id');
+  for (const approver of approvers) {
+    try {
+      await notifyApprovalRequested(approver._id, campaign, user, io);
+    } catch (error) {
+      console.error(`Failed to notify approver ${approver._id}:`, error.message);
+    }
+  }
+
+  console.log(`Campaign ${campaign._id} submitted for approval by ${user._id}`);
+  return campaign;
+};
+
+// Record an approve/reject decision; the caller schedules approved campaigns
+export const decideApproval = async (campaign, approved, approver, comment, io) => {
+  campaign.approval.status = approved ? 'approved' : 'rejected';
+  campaign.approval.decidedBy = approver._id.toString();
+  campaign.approval.decidedAt = new Date();
+  campaign.approval.comment = comment;
+  recordApprovalEvent(campaign, approved ? 'approved' : 'rejected', approver, comment);
+
+  const previousStatus = campaign.status;
+  if (!approved) {
+    campaign.status = 'draft';
+  }
+  await campaign.save();
+  await recordCampaignEvent(campaign, approved ? 'approved' : 'rejected', {
+    actor: userActor(approver),
+    fromStatus: approved ? undefined : previousStatus,
+    toStatus: approved ? undefined : 'draft',
+    message: comment
+  });
+
+  if (campaign.approval.requestedBy) {
+    try {
+      await notifyApprovalDecision(campaign.approval.requestedBy, campaign, approved, approver, comment, io);
+    } catch (error) {
+      console.error(`Failed to notify requester ${campaign.approval.requestedBy}:`, error.message);
+    }
+  }
+
+  console.log(`Campaign ${campaign._id} ${approved ? 'approved' : 'rejected'} by ${approver._id}`);
+  return campaign;
+};
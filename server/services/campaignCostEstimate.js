@@ -0,0 +1,144 @@
+import Contact from '../models/Contact.js';
+import { fetchLiveWhatsAppTemplates } from './whatsappService.js';
+import { isAbTest, assignVariant, getVariantSpec } from './abTesting.js';
+import { buildAudienceQuery } from './audience.js';
+import { isEmailCampaign } from './emailCampaigns.js';
+import { getCountryForPhone } from '../utils/phoneCountries.js';
+import { loadRateTable, findRate, roundCost } from './pricing.js';
+import { resolveCampaignProvider } from '../providers/index.js';
+
+// Campaign cost estimate
+//
+// Prices the campaign's current audience before it is scheduled: each recipient's calling code
+// and the category of the template they would receive are looked up in the rate table.
+// It is an upper bound; frequency caps and free conversations can only lower the actual spend.
+
+// Template name -> category, from run snapshots where present and the live templates otherwise
+const resolveTemplateCategories = async (campaign) => {
+  const specs = isAbTest(campaign) ? [campaign, ...campaign.variants] : [campaign];
+  const categories = new Map();
+
+  for (const spec of specs) {
+    if (spec.templateName && spec.templateSnapshot?.category) {
+      categories.set(spec.templateName, spec.templateSnapshot.category.toUpperCase());
+    }
+  }
+
+  const missing = specs.filter(spec => spec.templateName && !categories.has(spec.templateName));
+  if (missing.length === 0) {
+    return { categories, errors: [] };
+  }
+
+  // Same template catalog the run uses
+  let provider;
+  try {
+    provider = resolveCampaignProvider(campaign);
+  } catch (error) {
+    return { categories, errors: [error.message] };
+  }
+
+  const templateResponse = await fetchLiveWhatsAppTemplates({ provider });
+  if (!templateResponse.success) {
+    return { categories, errors: [`Failed to fetch templates: ${templateResponse.error}`] };
+  }
+
+  const errors = [];
+  for (const spec of missing) {
+    const template = templateResponse.templates.find(t => t.name === spec.templateName);
+    if (template?.category) {
+      categories.set(spec.templateName, template.category.toUpperCase());
+    } else {
+      errors.push(`Template ${spec.templateName} not found or not approved`);
+    }
+  }
+
+  return { categories, errors: [...new Set(errors)] };
+};
+
+export const estimateCampaignCost = async (campaign) => {
+  const estimate = {
+    campaignId: campaign._id,
+    templateErrors: [],
+    recipients: 0,
+    pricedRecipients: 0,
+    unpricedRecipients: 0,
+    unknownCountryRecipients: 0,
+    estimatedCost: {},
+    breakdown: []
+  };
+
+  if (!campaign.templateName) {
+    estimate.templateErrors.push('templateName is required');
+    return estimate;
+  }
+
+  // Email has no per-message rates; only the audience is counted
+  if (isEmailCampaign(campaign)) {
+    const query = await buildAudienceQuery(campaign);
+    estimate.recipients = query ? await Contact.countDocuments(query) : 0;
+    return estimate;
+  }
+
+  const { categories, errors } = await resolveTemplateCategories(campaign);
+  estimate.templateErrors = errors;
+  if (errors.length > 0) {
+    return estimate;
+  }
+
+  const query = await buildAudienceQuery(campaign);
+  if (!query) {
+    return estimate;
+  }
+
+  const rateTable = await loadRateTable();
+  const lines = new Map();
+
+  const cursor = Contact.find(query).select('phone').lean().cursor();
+  for await (const contact of cursor) {
+    estimate.recipients++;
+
+    // Contacts held for an A/B winner are priced with the campaign's own template
+    const variantKey = isAbTest(campaign) ? assignVariant(campaign, contact._id) : null;
+    const category = categories.get(getVariantSpec(campaign, variantKey).templateName);
+
+    const country = getCountryForPhone(contact.phone);
+    if (!country) estimate.unknownCountryRecipients++;
+
+    const callingCode = country?.callingCode || null;
+    const lineKey = `${callingCode}:${category}`;
+    let line = lines.get(lineKey);
+    if (!line) {
+      const rate = findRate(rateTable, callingCode, category);
+      line = {
+        callingCode,
+        country: country?.country || null,
+        category,
+        recipients: 0,
+        rate: rate ? rate.rate : null,
+        currency: rate?.currency || null,
+        rateSource: rate ? rate.callingCode : null,
+        cost: 0
+      };
+      lines.set(lineKey, line);
+    }
+
+    line.recipients++;
+    if (line.rate === null) {
+      estimate.unpricedRecipients++;
+    } else {
+      estimate.pricedRecipients++;
+      line.cost += line.rate;
+    }
+  }
+
+  estimate.breakdown = [...lines.values()]
+    .map(line => ({ ...line, cost: roundCost(line.cost) }))
+    .sort((a, b) => b.cost - a.cost || b.recipients - a.recipients);
+
+  for (const line of estimate.breakdown) {
+    if (!line.currency) continue;
+    estimate.estimatedCost[line.currency] = roundCost((estimate.estimatedCost[line.currency] || 0) + line.cost);
+  }
+
+  return estimate;
+};
@@ -0,0 +1,293 @@
+import Contact from '../models/Contact.js';
+import Message from '../models/Message.js';
+import {
+  fetchLiveWhatsAppTemplates,
+  snapshotTemplate,
+  buildTemplatePayload,
+  formatPhoneNumber
+} from './whatsappService.js';
+import { isAbTest, assignVariant, getVariantSpec } from './abTesting.js';
+import { buildAudienceSourceQuery } from './audience.js';
+import { loadFrequencyCapHits } from './frequencyCaps.js';
+import { getCampaignSendWindow, resolveContactTimezone, isWithinSendWindow, getNextWindowStart } from './sendWindows.js';
+import { isEmailCampaign, fetchEmailTemplates, snapshotEmailTemplate, buildEmailPayload } from './emailCampaigns.js';
+import { getHeaderMediaFormat, resolveHeaderMedia, getContactMediaValue } from './mediaLibrary.js';
+import { resolveCampaignProvider } from '../providers/index.js';
+
+// Campaign dry run
+//
+// Runs the same template lookup, audience resolution and payload building as a real send for
+// every recipient, without calling the Graph API (or the SMTP server for email campaigns), and
+// reports who would be skipped or rejected.
+
+const DEFAULT_SAMPLE_SIZE = 5;
+const MAX_LISTED_ISSUES = 200;
+const CAP_CHECK_BATCH_SIZE = 1000;
+
+// E.164 allows at most 15 digits; anything under 8 is not a real mobile number
+const MIN_PHONE_DIGITS = 8;
+const MAX_PHONE_DIGITS = 15;
+
+// The Cloud API rejects text parameters with new lines, tabs or more than 4 consecutive spaces
+const INVALID_TEXT_PARAMETER = /[\n\t]| {5,}/;
+
+const EMAIL_ADDRESS = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Problems in a rendered payload that the Cloud API would reject
+export const validateTemplatePayload = (payload) => {
+  const problems = [];
+
+  if (payload.to.length < MIN_PHONE_DIGITS || payload.to.length > MAX_PHONE_DIGITS) {
+    problems.push({ reason: 'invalid_phone', details: `Phone number ${payload.to} is not a valid international number` });
+  }
+
+  for (const component of payload.template?.components || []) {
+    const label = component.type === 'button' ? `button ${component.index}` : component.type;
+
+    (component.parameters || []).forEach((parameter, i) => {
+      if (parameter.type === 'text') {
+        if (!parameter.text?.trim()) {
+          problems.push({ reason: 'empty_parameter', details: `${label} parameter {{${i + 1}}} is empty` });
+        } else if (INVALID_TEXT_PARAMETER.test(parameter.text)) {
+          problems.push({ reason: 'invalid_parameter', details: `${label} parameter {{${i + 1}}} contains new lines, tabs or repeated spaces` });
+        }
+      } else if (['image', 'video', 'document'].includes(parameter.type) && !parameter[parameter.type]) {
+        problems.push({ reason: 'missing_media', details: `${label} ${parameter.type} is not set` });
+      }
+    });
+  }
+
+  return problems;
+};
+
+// Problems in a rendered email that would stop it from being sent or read
+export const validateEmailPayload = (payload) => {
+  const problems = [];
+
+  if (!EMAIL_ADDRESS.test(payload.to)) {
+    problems.push({ reason: 'invalid_email', details: `${payload.to} is not a valid email address` });
+  }
+  if (!payload.subject.trim()) {
+    problems.push({ reason: 'empty_subject', details: 'Subject is empty' });
+  }
+
+  return problems;
+};
+
+const countReason = (counts, reason) => {
+  counts[reason] = (counts[reason] || 0) + 1;
+};
+
+export const dryRunCampaign = async (campaign, { sampleSize = DEFAULT_SAMPLE_SIZE } = {}) => {
+  const report = {
+    campaignId: campaign._id,
+    templateErrors: [],
+    totals: {
+      recipients: 0,
+      sendable: 0,
+      deferred: 0,
+      skipped: 0,
+      invalid: 0
+    },
+    skippedByReason: {},
+    invalidByReason: {},
+    issues: [],
+    issuesTruncated: false,
+    samples: []
+  };
+
+  // Template lookup, exactly as when the run starts; nothing is saved
+  let provider;
+  try {
+    provider = resolveCampaignProvider(campaign);
+  } catch (error) {
+    report.templateErrors.push(error.message);
+    return report;
+  }
+
+  const isEmail = isEmailCampaign(campaign);
+  const templateResponse = isEmail ? await fetchEmailTemplates() : await fetchLiveWhatsAppTemplates({ provider });
+  if (!templateResponse.success) {
+    report.templateErrors.push(`Failed to fetch templates: ${templateResponse.error}`);
+    return report;
+  }
+
+  const snapshot = isEmail ? snapshotEmailTemplate : snapshotTemplate;
+  const specs = isAbTest(campaign) ? campaign.variants : [campaign];
+  for (const spec of specs) {
+    try {
+      spec.templateSnapshot = snapshot(templateResponse.templates, spec);
+    } catch (error) {
+      report.templateErrors.push(spec.key ? `Variant ${spec.key}: ${error.message}` : error.message);
+    }
+  }
+  if (report.templateErrors.length > 0) {
+    return report;
+  }
+
+  const sourceQuery = await buildAudienceSourceQuery(campaign);
+  if (!sourceQuery) {
+    return report;
+  }
+
+  const processedContactIds = await Message.distinct('contactId', {
+    campaignId: campaign._id,
+    status: { $ne: 'pending' }
+  });
+  const processed = new Set(processedContactIds.map(id => id.toString()));
+  const sendWindow = await getCampaignSendWindow(campaign);
+
+  const addIssue = (contact, reason, details) => {
+    if (report.issues.length >= MAX_LISTED_ISSUES) {
+      report.issuesTruncated = true;
+      return;
+    }
+    report.issues.push({
+      contactId: contact._id,
+      name: contact.name,
+      phone: contact.phone,
+      reason,
+      details
+    });
+  };
+
+  const skip = (contact, reason, details) => {
+    report.totals.skipped++;
+    countReason(report.skippedByReason, reason);
+    addIssue(contact, reason, details);
+  };
+
+  const capCategories = specs.map(spec => spec.templateSnapshot?.category?.toUpperCase());
+
+  // Header media is resolved once per template format and media value, not per contact.
+  // Nothing is uploaded: library media shows as its current media ID (see resolveHeaderMedia)
+  const headerMediaCache = new Map();
+  const resolveCachedHeaderMedia = (contact, mediaFormat) => {
+    const key = `${mediaFormat}:${getContactMediaValue(campaign, contact)}`;
+    if (!headerMediaCache.has(key)) {
+      headerMediaCache.set(key, resolveHeaderMedia(campaign, contact, mediaFormat, null));
+    }
+    return headerMediaCache.get(key);
+  };
+
+  // Checks that need no history; returns the contact's variant spec, or null when skipped
+  const checkContact = (contact) => {
+    if (contact.optedOut) {
+      skip(contact, 'opted_out', 'Contact has opted out');
+      return null;
+    }
+    if (contact.status !== 'active') {
+      skip(contact, `contact_${contact.status}`, `Contact is ${contact.status}`);
+      return null;
+    }
+    if (isEmail && !contact.email) {
+      skip(contact, 'no_email', 'Contact has no email address');
+      return null;
+    }
+    if (isEmail && contact.optOuts?.email) {
+      skip(contact, 'email_opted_out', 'Contact unsubscribed from email');
+      return null;
+    }
+    if (processed.has(contact._id.toString())) {
+      skip(contact, 'already_processed', 'Contact already has a sent, failed or skipped message in this campaign');
+      return null;
+    }
+
+    const variantKey = isAbTest(campaign) ? assignVariant(campaign, contact._id) : null;
+    if (isAbTest(campaign) && !variantKey) {
+      skip(contact, 'held_for_ab_winner', 'Held back until an A/B winner is chosen');
+      return null;
+    }
+    return { contact, variantKey, spec: getVariantSpec(campaign, variantKey) };
+  };
+
+  const checkCandidate = async ({ contact, variantKey, spec }, capHits) => {
+    const category = spec.templateSnapshot?.category?.toUpperCase();
+    const cap = category ? capHits.get(`${contact._id}:${category}`) : null;
+    if (cap) {
+      skip(contact, 'frequency_cap', `${cap.count} ${cap.category} messages in the last ${cap.periodDays} days (cap ${cap.maxMessages})`);
+      return;
+    }
+
+    let payload;
+    let problems;
+    try {
+      if (isEmail) {
+        payload = buildEmailPayload(spec, spec.templateSnapshot, contact);
+        problems = validateEmailPayload(payload);
+      } else {
+        const mediaFormat = getHeaderMediaFormat(spec.templateSnapshot);
+        const headerMedia = mediaFormat ? await resolveCachedHeaderMedia(contact, mediaFormat) : null;
+        payload = buildTemplatePayload(spec, spec.templateSnapshot, contact, { headerMedia });
+        problems = validateTemplatePayload(payload);
+      }
+    } catch (error) {
+      problems = [{ reason: 'render_error', details: error.message }];
+    }
+
+    if (problems.length > 0) {
+      report.totals.invalid++;
+      for (const problem of problems) {
+        countReason(report.invalidByReason, problem.reason);
+        addIssue(contact, problem.reason, problem.details);
+      }
+      return;
+    }
+
+    report.totals.sendable++;
+
+    let deferredUntil = null;
+    if (sendWindow) {
+      const timezone = await resolveContactTimezone(contact);
+      if (!isWithinSendWindow(sendWindow, timezone)) {
+        report.totals.deferred++;
+        deferredUntil = getNextWindowStart(sendWindow, timezone);
+      }
+    }
+
+    if (report.samples.length < sampleSize) {
+      report.samples.push({
+        contactId: contact._id,
+        name: contact.name,
+        phone: formatPhoneNumber(contact.phone),
+        variant: variantKey || undefined,
+        deferredUntil: deferredUntil || undefined,
+        payload
+      });
+    }
+  };
+
+  // Frequency cap history is loaded with one query per batch of contacts that passed the
+  // other checks, which keeps each query well under MongoDB's 16 MB command limit
+  const checkBatch = async (candidates) => {
+    const capHits = await loadFrequencyCapHits({
+      contactIds: candidates.map(candidate => candidate.contact._id),
+      campaignId: campaign._id,
+      categories: capCategories
+    });
+    for (const candidate of candidates) {
+      await checkCandidate(candidate, capHits);
+    }
+  };
+
+  let batch = [];
+  const cursor = Contact.find(sourceQuery).cursor();
+
+  for await (const contact of cursor) {
+    report.totals.recipients++;
+
+    const candidate = checkContact(contact);
+    if (!candidate) continue;
+
+    batch.push(candidate);
+    if (batch.length >= CAP_CHECK_BATCH_SIZE) {
+      await checkBatch(batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    await checkBatch(batch);
+  }
+
+  return report;
+};
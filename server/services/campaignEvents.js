@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+import CampaignEvent from '../models/CampaignEvent.js';
+
+// Campaign timeline
+//
+// Every notable thing that happens to a campaign is appended to its event log with the user
+// or system part responsible: creation and edits, scheduling, approval, job pickup, status
+// changes, throttling, message errors, cancellation and completion. Recording never throws;
+// a timeline write must not break a send.
+
+// Per-message events (throttling, errors) are folded into one entry per window
+const REPEAT_WINDOW_MS = 60 * 1000;
+const MAX_TRACKED_REPEATS = 1000;
+
+const DEFAULT_TIMELINE_LIMIT = 100;
+const MAX_TIMELINE_LIMIT = 500;
+
+const repeats = new Map();
+
+export const systemActor = (name) => ({ type: 'system', name });
+
+export const userActor = (user) => (user ? {
+  type: 'user',
+  userId: user._id.toString(),
+  name: user.fullName || user.email,
+  role: user.role
+} : systemActor('api'));
+
+export const recordCampaignEvent = async (campaign, type, { actor, fromStatus, toStatus, message, details } = {}) => {
+  const campaignId = campaign?._id || campaign;
+
+  try {
+    return await CampaignEvent.create({
+      campaignId,
+      type,
+      fromStatus,
+      toStatus,
+      actor: actor || systemActor('system'),
+      message,
+      details
+    });
+  } catch (error) {
+    console.error(`❌ Failed to record ${type} event for campaign ${campaignId}:`, error.message);
+    return null;
+  }
+};
+
+// Record an event that can happen once per message, at most once a minute per campaign and
+// key; the entry says how many occurrences it stands for
+export const recordRepeatedCampaignEvent = async (campaign, type, key, options = {}) => {
+  const campaignId = (campaign?._id || campaign).toString();
+  const repeatKey = `${campaignId}:${type}:${key}`;
+  const now = Date.now();
+
+  const entry = repeats.get(repeatKey);
+  if (entry && now - entry.lastRecordedAt < REPEAT_WINDOW_MS) {
+    entry.count++;
+    return null;
+  }
+
+  if (repeats.size >= MAX_TRACKED_REPEATS) {
+    for (const [staleKey, stale] of repeats) {
+      if (now - stale.lastRecordedAt >= REPEAT_WINDOW_MS) repeats.delete(staleKey);
+    }
+  }
+  repeats.set(repeatKey, { lastRecordedAt: now, count: 0 });
+
+  return recordCampaignEvent(campaignId, type, {
+    ...options,
+    // Occurrences folded into the window since the last entry, plus this one
+    details: { ...options.details, occurrences: (entry?.count || 0) + 1 }
+  });
+};
+
+// Newest first; `before` pages back from an event's createdAt
+export const getCampaignTimeline = async (campaignId, { limit, before } = {}) => {
+  const query = { campaignId: new mongoose.Types.ObjectId(campaignId.toString()) };
+  if (before) {
+    query.createdAt = { $lt: new Date(before) };
+  }
+
+  const pageSize = Math.min(parseInt(limit, 10) || DEFAULT_TIMELINE_LIMIT, MAX_TIMELINE_LIMIT);
+  const events = await CampaignEvent.find(query)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(pageSize + 1)
+    .lean();
+
+  const hasMore = events.length > pageSize;
+  return {
+    events: events.slice(0, pageSize),
+    hasMore
+  };
+};
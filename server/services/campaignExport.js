@@ -0,0 +1,204 @@
+import mongoose from 'mongoose';
+import ExcelJS from 'exceljs';
+import Message from '../models/Message.js';
+
+// Per-recipient delivery report export
+//
+// Streams one row per campaign message, joined with its contact and replies, straight from an
+// aggregation cursor to the HTTP response, so even very large campaigns are never held in memory.
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const COLUMNS = [
+  { header: 'Name', key: 'name', width: 24 },
+  { header: 'Phone', key: 'phone', width: 18 },
+  { header: 'Variant', key: 'variant', width: 10 },
+  { header: 'Channel', key: 'channel', width: 10 },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Sent At', key: 'sentAt', width: 22 },
+  { header: 'Delivered At', key: 'deliveredAt', width: 22 },
+  { header: 'Read At', key: 'readAt', width: 22 },
+  { header: 'Error', key: 'error', width: 40 },
+  { header: 'Reply', key: 'reply', width: 40 },
+  { header: 'Button Pressed', key: 'button', width: 24 },
+  { header: 'Replied At', key: 'repliedAt', width: 22 }
+];
+
+const DATE_KEYS = ['sentAt', 'deliveredAt', 'readAt', 'repliedAt'];
+
+// Free-text columns that could start with a spreadsheet formula
+const TEXT_KEYS = ['name', 'error', 'reply', 'button'];
+
+// Replies joined per message; more than this is not useful in a report
+const MAX_RESPONSES_PER_MESSAGE = 20;
+
+const CURSOR_BATCH_SIZE = 500;
+
+const buildPipeline = (campaignId, status) => {
+  const match = { campaignId: new mongoose.Types.ObjectId(campaignId.toString()) };
+  if (status) match.status = status;
+
+  return [
+    { $match: match },
+    { $sort: { _id: 1 } },
+    {
+      $lookup: {
+        from: 'contacts',
+        localField: 'contactId',
+        foreignField: '_id',
+        pipeline: [{ $project: { name: 1, phone: 1 } }],
+        as: 'contact'
+      }
+    },
+    {
+      $lookup: {
+        from: 'responses',
+        localField: '_id',
+        foreignField: 'originalMessageId',
+        pipeline: [
+          { $sort: { createdAt: 1 } },
+          { $limit: MAX_RESPONSES_PER_MESSAGE },
+          { $project: { responseType: 1, responseContent: 1, buttonText: 1, buttonPayload: 1, createdAt: 1 } }
+        ],
+        as: 'responses'
+      }
+    },
+    {
+      $project: {
+        variant: 1,
+        channel: 1,
+        status: 1,
+        sentAt: 1,
+        deliveredAt: 1,
+        readAt: 1,
+        errorMessage: 1,
+        skipReason: 1,
+        contact: { $first: '$contact' },
+        responses: 1
+      }
+    }
+  ];
+};
+
+const toRow = (message) => {
+  const responses = message.responses || [];
+  const buttons = responses.filter(r => r.responseType === 'button');
+  const replies = responses.filter(r => r.responseType !== 'button');
+
+  return {
+    name: message.contact?.name || '',
+    phone: message.contact?.phone || '',
+    variant: message.variant || '',
+    channel: message.channel || 'whatsapp',
+    status: message.status,
+    sentAt: message.sentAt || null,
+    deliveredAt: message.deliveredAt || null,
+    readAt: message.readAt || null,
+    error: message.errorMessage || message.skipReason || '',
+    reply: replies.map(r => r.responseContent).join(' | '),
+    button: buttons.map(r => r.buttonText || r.buttonPayload || r.responseContent).join(' | '),
+    repliedAt: responses[0]?.createdAt || null
+  };
+};
+
+// Keep spreadsheet apps from evaluating cell text as a formula
+const neutralizeFormula = (value) => (/^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+const csvValue = (key, value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (TEXT_KEYS.includes(key)) text = neutralizeFormula(text);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (row) => COLUMNS.map(column => csvValue(column.key, row[column.key])).join(',') + '\r\n';
+
+// Resolves when the socket drains, or closes, so a slow client is never buffered for
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+const writeWithBackpressure = async (res, chunk) => {
+  if (!res.write(chunk)) {
+    await waitForDrain(res);
+  }
+};
+
+export const getExportFilename = (campaign, format) => {
+  const slug = String(campaign.name || 'campaign')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '') || 'campaign';
+  const date = new Date().toISOString().slice(0, 10);
+
+  return `${slug}-delivery-report-${date}.${format}`;
+};
+
+// Write the report for a campaign to an HTTP response as CSV or XLSX
+export const streamDeliveryReport = async (campaign, res, { format = 'csv', status } = {}) => {
+  const cursor = Message.aggregate(buildPipeline(campaign._id, status))
+    .allowDiskUse(true)
+    .cursor({ batchSize: CURSOR_BATCH_SIZE });
+
+  // Stop reading from MongoDB when the client goes away
+  let aborted = false;
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      aborted = true;
+      cursor.close().catch(() => {});
+    }
+  });
+
+  res.setHeader('Content-Disposition', `attachment; filename="${getExportFilename(campaign, format)}"`);
+
+  let rows = 0;
+
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const worksheet = workbook.addWorksheet('Delivery report');
+    worksheet.columns = COLUMNS;
+    worksheet.getRow(1).font = { bold: true };
+    for (const key of DATE_KEYS) {
+      worksheet.getColumn(key).numFmt = 'yyyy-mm-dd hh:mm:ss';
+    }
+
+    for await (const message of cursor) {
+      if (aborted) break;
+      const row = toRow(message);
+      for (const key of TEXT_KEYS) row[key] = neutralizeFormula(row[key]);
+      worksheet.addRow(row).commit();
+      rows++;
+      if (res.writableNeedDrain) {
+        await waitForDrain(res);
+      }
+    }
+
+    if (aborted) return rows;
+    worksheet.commit();
+    await workbook.commit();
+    return rows;
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+
+  // BOM so Excel opens the file as UTF-8
+  await writeWithBackpressure(res, '\ufeff' + COLUMNS.map(column => column.header).join(',') + '\r\n');
+  for await (const message of cursor) {
+    if (aborted) break;
+    await writeWithBackpressure(res, csvLine(toRow(message)));
+    rows++;
+  }
+
+  if (!aborted) res.end();
+  return rows;
+};
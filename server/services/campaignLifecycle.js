@@ -0,0 +1,268 @@
+import mongoose from 'mongoose';
+import Campaign from '../models/Campaign.js';
+import Contact from '../models/Contact.js';
+import { scheduleCampaign } from './scheduler.js';
+import { validateVariableMappings } from './templateVariables.js';
+import { validateAbTest, isAbTest } from './abTesting.js';
+import { validateRecurrence, getUpcomingOccurrences, registerRecurringCampaign } from './recurringCampaigns.js';
+import { validateSendWindow } from './sendWindows.js';
+import { isValidTimezone } from '../utils/timezones.js';
+import { validateContactGroups, validateSegment, countAudience } from './audience.js';
+import { recordCampaignEvent } from './campaignEvents.js';
+import { validateHeaderMedia } from './mediaLibrary.js';
+
+// Campaign lifecycle
+//
+// draft -> [pending_approval] -> scheduled (or recurring for a series) -> sending -> completed
+//
+// pending_approval only applies to `user`-role members (see services/campaignApproval.js).
+// Drafts can be saved incomplete and are only validated in full when they are scheduled.
+// PUT /api/campaigns/:id may only change the fields listed for the campaign's status;
+// status itself changes through the schedule, pause, resume and cancel actions.
+
+// API fields describing what a campaign sends and to whom
+const CONTENT_FIELDS = [
+  'name',
+  'templateName',
+  'templateLanguage',
+  'templateComponents',
+  'headerMedia',
+  'contactIds',
+  'groupIds',
+  'segmentId',
+  'variables',
+  'variableMappings',
+  'variants',
+  'abTest',
+  'timezone',
+  'sendWindow',
+  'rateLimitPerMinute',
+  'provider',
+  'smsFallbackTimeoutMinutes'
+];
+
+// Fields copied as-is from API input onto the model
+const DIRECT_FIELDS = [
+  'name',
+  'templateName',
+  'templateLanguage',
+  'templateComponents',
+  'headerMedia',
+  'variableMappings',
+  'variants',
+  'abTest',
+  'recurrence',
+  'timezone',
+  'sendWindow',
+  'rateLimitPerMinute',
+  'provider',
+  'smsFallbackTimeoutMinutes'
+];
+
+export const EDITABLE_FIELDS = {
+  draft: [...CONTENT_FIELDS, 'scheduledAt', 'recurrence'],
+  pending_approval: [...CONTENT_FIELDS, 'scheduledAt', 'recurrence'],
+  scheduled: [...CONTENT_FIELDS, 'scheduledAt'],
+  // Runs copy the series at each occurrence; its schedule has its own endpoints
+  recurring: CONTENT_FIELDS,
+  // Changing what is sent mid-run would mix two versions in one campaign
+  paused: ['name', 'sendWindow', 'rateLimitPerMinute'],
+  sending: ['name'],
+  completed: ['name'],
+  cancelled: ['name'],
+  failed: ['name']
+};
+
+// Validate campaign fields submitted through the API. Missing fields are not an error here;
+// on updates, `current` supplies the values the input is combined with.
+export const validateCampaignInput = async (input, current) => {
+  if (input.name !== undefined && !String(input.name || '').trim()) {
+    return 'name cannot be empty';
+  }
+
+  if (input.scheduledAt && Number.isNaN(new Date(input.scheduledAt).getTime())) {
+    return 'scheduledAt must be a valid date';
+  }
+
+  if (input.timezone !== undefined && !isValidTimezone(input.timezone)) {
+    return `Invalid timezone: ${input.timezone}`;
+  }
+
+  if (input.rateLimitPerMinute !== undefined && !(Number.isInteger(input.rateLimitPerMinute) && input.rateLimitPerMinute > 0)) {
+    return 'rateLimitPerMinute must be a positive integer';
+  }
+
+  if (input.contactIds !== undefined && (!Array.isArray(input.contactIds) || input.contactIds.some(id => !mongoose.isValidObjectId(id)))) {
+    return 'contactIds must be an array of contact IDs';
+  }
+
+  const mappingError = validateVariableMappings(input.variableMappings) ||
+    (input.variants || []).map(variant => validateVariableMappings(variant?.variableMappings)).find(Boolean);
+  if (mappingError) return mappingError;
+
+  const existing = current?.toObject();
+  if (input.variants !== undefined || input.abTest !== undefined) {
+    const abTestError = validateAbTest(
+      input.variants !== undefined ? input.variants : existing?.variants,
+      input.abTest !== undefined ? input.abTest : existing?.abTest
+    );
+    if (abTestError) return abTestError;
+  }
+
+  const recurrenceError = validateRecurrence(input.recurrence, input.timezone || existing?.timezone || 'UTC');
+  if (recurrenceError) return recurrenceError;
+
+  const sendWindowError = validateSendWindow(input.sendWindow);
+  if (sendWindowError) return sendWindowError;
+
+  const headerMediaError = await validateHeaderMedia(input.headerMedia);
+  if (headerMediaError) return headerMediaError;
+
+  const groupError = await validateContactGroups(input.groupIds);
+  if (groupError) return groupError;
+
+  return validateSegment(input.segmentId || undefined);
+};
+
+// Apply API input to a campaign document
+export const applyCampaignInput = async (campaign, input) => {
+  for (const field of DIRECT_FIELDS) {
+    if (input[field] !== undefined) {
+      campaign.set(field, input[field]);
+    }
+  }
+
+  if (input.contactIds !== undefined) {
+    // Only contacts that can currently be messaged are kept
+    const contacts = await Contact.find({
+      _id: { $in: input.contactIds || [] },
+      status: 'active',
+      optedOut: false
+    }).select('_id');
+    campaign.contacts = contacts.map(c => c._id);
+  }
+  if (input.groupIds !== undefined) {
+    campaign.contactGroups = input.groupIds || [];
+  }
+  if (input.segmentId !== undefined) {
+    campaign.segmentId = input.segmentId || undefined;
+  }
+  if (input.variables !== undefined) {
+    campaign.variables = new Map(Object.entries(input.variables || {}));
+  }
+  if (input.scheduledAt !== undefined) {
+    campaign.scheduledAt = input.scheduledAt ? new Date(input.scheduledAt) : undefined;
+  }
+
+  // A/B campaigns default their top-level template to the first variant
+  if (isAbTest(campaign)) {
+    campaign.templateName = campaign.templateName || campaign.variants[0].templateName;
+    campaign.templateLanguage = campaign.templateLanguage || campaign.variants[0].templateLanguage;
+  }
+
+  return campaign;
+};
+
+export const hasRecurrence = (campaign) => Boolean(campaign.recurrence?.cron || campaign.recurrence?.rule?.frequency);
+
+// Everything that stops a campaign from being scheduled, plus the audience it would reach
+export const getSchedulingErrors = async (campaign) => {
+  const errors = [];
+
+  if (!campaign.name) errors.push('name is required');
+  if (!campaign.templateName) errors.push('templateName is required');
+  if (!campaign.templateLanguage) errors.push('templateLanguage is required');
+
+  const { variants, abTest, recurrence, timezone } = campaign.toObject();
+  const abTestError = validateAbTest(variants, abTest);
+  if (abTestError) errors.push(abTestError);
+
+  if (hasRecurrence(campaign)) {
+    const recurrenceError = validateRecurrence(recurrence, timezone || 'UTC');
+    if (recurrenceError) errors.push(recurrenceError);
+  }
+
+  const audienceSize = await countAudience(campaign);
+  if (audienceSize === 0) errors.push('No valid contacts found');
+
+  return { errors, audienceSize };
+};
+
+// Move a validated campaign out of draft: queue its send, or register the series
+export const activateCampaign = async (campaign, audienceSize, actor) => {
+  campaign.progress.total = audienceSize;
+  const previousStatus = campaign.isNew ? undefined : campaign.status;
+
+  // A recurring series never sends itself; each occurrence creates a run
+  if (hasRecurrence(campaign)) {
+    campaign.status = 'recurring';
+    campaign.scheduledAt = getUpcomingOccurrences(campaign, 1)[0]?.at || new Date();
+    await campaign.save();
+    registerRecurringCampaign(campaign);
+    await recordCampaignEvent(campaign, 'scheduled', {
+      actor,
+      fromStatus: previousStatus,
+      toStatus: 'recurring',
+      message: 'Recurring series registered',
+      details: { audience: audienceSize, nextRunAt: campaign.scheduledAt }
+    });
+    return campaign;
+  }
+
+  campaign.status = 'scheduled';
+  // If scheduled time is missing or in the past, schedule immediately
+  if (!campaign.scheduledAt || campaign.scheduledAt <= new Date()) {
+    campaign.scheduledAt = new Date();
+  }
+  await campaign.save();
+  await scheduleCampaign(campaign);
+  await recordCampaignEvent(campaign, 'scheduled', {
+    actor,
+    fromStatus: previousStatus,
+    toStatus: 'scheduled',
+    details: { audience: audienceSize, scheduledAt: campaign.scheduledAt }
+  });
+
+  return campaign;
+};
+
+// New draft with the same template, variables, audience and settings; no run state is copied
+export const cloneCampaign = async (source, { name, createdBy } = {}) => {
+  const original = source.toObject();
+
+  const clone = new Campaign({
+    name: name || `${original.name} (copy)`,
+    status: 'draft',
+    templateName: original.templateName,
+    templateLanguage: original.templateLanguage,
+    templateComponents: original.templateComponents,
+    headerMedia: original.headerMedia,
+    contacts: original.contacts,
+    contactGroups: original.contactGroups,
+    segmentId: original.segmentId,
+    variables: original.variables,
+    variableMappings: original.variableMappings,
+    variants: (original.variants || []).map(({ templateSnapshot, ...variant }) => variant),
+    abTest: original.abTest?.mode ? {
+      mode: original.abTest.mode,
+      testPercentage: original.abTest.testPercentage,
+      winnerMetric: original.abTest.winnerMetric,
+      winnerDelayHours: original.abTest.winnerDelayHours
+    } : undefined,
+    recurrence: hasRecurrence(source) ? {
+      cron: original.recurrence.cron,
+      rule: original.recurrence.rule,
+      endAt: original.recurrence.endAt
+    } : undefined,
+    timezone: original.timezone,
+    sendWindow: original.sendWindow,
+    rateLimitPerMinute: original.rateLimitPerMinute,
+    provider: original.provider,
+    smsFallbackTimeoutMinutes: original.smsFallbackTimeoutMinutes,
+    createdBy: createdBy || original.createdBy,
+    triggerSource: 'manual'
+  });
+  await clone.save();
+
+  return clone;
+};
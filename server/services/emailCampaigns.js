@@ -0,0 +1,135 @@
+import jwt from 'jsonwebtoken';
+import Contact from '../models/Contact.js';
+import Template from '../models/Template.js';
+import { renderTemplateVariables } from './templateVariables.js';
+
+// Email campaigns
+//
+// Campaigns with provider 'email' send a local template with provider 'email' to
+// Contact.email. Subject, HTML and text parts take {{variable}} placeholders: numbered ones use
+// the campaign's variable mappings (header for the subject, body for both bodies), named ones
+// the contact's fields and metadata and the campaign variables. {{unsubscribe_url}} is the
+// contact's unsubscribe link, which is appended to the email when the template does not use it.
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
+const API_URL = process.env.API_URL || 'http://localhost:3001/api';
+
+const UNSUBSCRIBE_PURPOSE = 'unsubscribe';
+
+export const isEmailCampaign = (campaign) => campaign?.provider === 'email';
+
+// Whether a contact can receive email campaigns
+export const canEmailContact = (contact) => Boolean(contact?.email) && !contact.optOuts?.email;
+
+// Audience conditions email campaigns add to the usual ones
+export const EMAIL_AUDIENCE_QUERY = {
+  email: { $nin: [null, ''] },
+  'optOuts.email': { $ne: true }
+};
+
+// Unsubscribe tokens are signed rather than stored, so old emails keep working
+export const createUnsubscribeToken = (contactId, channel = 'email') =>
+  jwt.sign({ purpose: UNSUBSCRIBE_PURPOSE, contactId: contactId.toString(), channel }, JWT_SECRET);
+
+export const getUnsubscribeUrl = (contactId) => `${API_URL}/unsubscribe/${createUnsubscribeToken(contactId)}`;
+
+// The token's contact and channel, or null when it is not a valid email unsubscribe token
+export const readUnsubscribeToken = (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  if (payload.purpose !== UNSUBSCRIBE_PURPOSE || payload.channel !== 'email') return null;
+  return payload;
+};
+
+// Opt the token's contact out of its channel. Returns the contact, or null for an invalid
+// token or a contact that no longer exists.
+export const unsubscribeWithToken = async (token) => {
+  const payload = readUnsubscribeToken(token);
+  if (!payload) return null;
+
+  const contact = await Contact.findByIdAndUpdate(
+    payload.contactId,
+    { $set: { 'optOuts.email': true } },
+    { new: true }
+  );
+  if (contact) {
+    console.log(`✅ Contact ${contact._id} unsubscribed from email`);
+  }
+  return contact;
+};
+
+// Email templates by name, in the same shape as fetchLiveWhatsAppTemplates. Rejected
+// templates are left out.
+export const fetchEmailTemplates = async () => {
+  try {
+    const templates = await Template.find({ provider: 'email', status: { $ne: 'rejected' } }).lean();
+    return { success: true, templates, total: templates.length };
+  } catch (error) {
+    return { success: false, error: error.message, templates: [] };
+  }
+};
+
+// Validate the template of a campaign (or A/B variant) and snapshot it, like snapshotTemplate
+export const snapshotEmailTemplate = (templates, spec) => {
+  const template = templates.find(t => t.name === spec.templateName);
+  if (!template) {
+    throw new Error(`Email template ${spec.templateName} not found`);
+  }
+  if (!template.email?.subject) {
+    throw new Error(`Email template ${spec.templateName} has no subject`);
+  }
+
+  return {
+    name: template.name,
+    category: template.category,
+    language: template.language,
+    subject: template.email.subject,
+    html: template.email.html || '',
+    text: template.body
+  };
+};
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const textToHtml = (text) => escapeHtml(text).replace(/\r?\n/g, '<br>');
+
+// Build the email for a single contact from a template snapshot
+export const buildEmailPayload = (campaign, template, contact) => {
+  const unsubscribeUrl = getUnsubscribeUrl(contact._id);
+  const context = { campaign, contact, values: { unsubscribe_url: unsubscribeUrl } };
+  const usesUnsubscribeUrl = (part) => /\{\{\s*unsubscribe_url\s*\}\}/.test(part || '');
+
+  const subject = renderTemplateVariables(template.subject, { ...context, component: 'header' });
+
+  let text = renderTemplateVariables(template.text, context);
+  if (!usesUnsubscribeUrl(template.text)) {
+    text += `\n\nUnsubscribe: ${unsubscribeUrl}`;
+  }
+
+  let html = template.html
+    ? renderTemplateVariables(template.html, { ...context, escape: escapeHtml })
+    : textToHtml(renderTemplateVariables(template.text, context));
+  if (!usesUnsubscribeUrl(template.html || template.text)) {
+    html += `<p style="font-size:12px;color:#888"><a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a></p>`;
+  }
+
+  return {
+    to: contact.email,
+    subject,
+    html,
+    text,
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+};
@@ -66,16 +66,17 @@ export const sendVerificationEmailGraph = async (toEmail, firstName, token) => {
     throw new Error('Failed to send verification email. Please try again later.');
   }
 };
-// Create reusable transporter object using SMTP transport
-const createTransporter = () => {
+// Create reusable transporter object using SMTP transport. SMTP_USER stays unset for servers
+// without authentication, such as a local SMTP catcher.
+export const createTransporter = () => {
   const emailConfig = {
     host: process.env.SMTP_HOST || 'smtp.gmail.com',
     port: parseInt(process.env.SMTP_PORT) || 587,
-    secure: false, // true for 465, false for other ports
-    auth: {
+    secure: process.env.SMTP_SECURE === 'true', // true for 465, false for other ports
+    auth: process.env.SMTP_USER ? {
       user: process.env.SMTP_USER,
       pass: process.env.SMTP_PASS,
-    },
+    } : undefined,
     pool: true,
     maxConnections: 5,
     maxMessages: 100,
@@ -0,0 +1,103 @@
+import Message from '../models/Message.js';
+import { getWorkspaceSettings } from './workspaceSettings.js';
+
+// Per-contact frequency caps by template category, e.g. at most 2 MARKETING messages per
+// 7 days. Configured in workspace settings and checked against Message history before each
+// campaign message; capped contacts are recorded as skipped and counted as suppressed.
+
+export const FREQUENCY_CAP_CATEGORIES = ['MARKETING', 'UTILITY', 'AUTHENTICATION'];
+
+const SENT_STATUSES = ['sent', 'delivered', 'read'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Validate caps submitted through the API. Returns an error message or null.
+export const validateFrequencyCaps = (caps) => {
+  if (!Array.isArray(caps)) return 'frequencyCaps must be an array';
+
+  const seen = new Set();
+  for (const [i, cap] of caps.entries()) {
+    if (!FREQUENCY_CAP_CATEGORIES.includes(cap?.category)) {
+      return `frequencyCaps[${i}].category must be one of ${FREQUENCY_CAP_CATEGORIES.join(', ')}`;
+    }
+    if (seen.has(cap.category)) return `Duplicate frequency cap for ${cap.category}`;
+    seen.add(cap.category);
+    if (!(Number.isInteger(cap.maxMessages) && cap.maxMessages > 0)) {
+      return `frequencyCaps[${i}].maxMessages must be a positive integer`;
+    }
+    if (!(Number.isInteger(cap.periodDays) && cap.periodDays > 0)) {
+      return `frequencyCaps[${i}].periodDays must be a positive integer`;
+    }
+  }
+
+  return null;
+};
+
+export const getFrequencyCap = async (category) => {
+  if (!category) return null;
+
+  const settings = await getWorkspaceSettings();
+  return settings.frequencyCaps?.find(cap => cap.category === category.toUpperCase()) || null;
+};
+
+// The cap a contact has reached for this category, or null when the message may be sent.
+// Messages from the campaign itself are not counted, so retries and resumes are never capped.
+export const checkFrequencyCap = async ({ contactId, campaignId, category }) => {
+  const cap = await getFrequencyCap(category);
+  if (!cap) return null;
+
+  const count = await Message.countDocuments({
+    contactId,
+    campaignId: { $ne: campaignId },
+    category: category.toUpperCase(),
+    status: { $in: SENT_STATUSES },
+    sentAt: { $gte: new Date(Date.now() - cap.periodDays * DAY_MS) }
+  });
+
+  if (count < cap.maxMessages) return null;
+
+  return {
+    category: cap.category,
+    maxMessages: cap.maxMessages,
+    periodDays: cap.periodDays,
+    count
+  };
+};
+
+// Caps reached by a batch of contacts, for the dry run: one aggregate over the contacts'
+// history instead of a count per contact. Callers keep batches small enough for the $in. Returns a Map of `${contactId}:${category}` to the
+// cap reached, in the shape checkFrequencyCap returns.
+export const loadFrequencyCapHits = async ({ contactIds, campaignId, categories }) => {
+  const hits = new Map();
+  const caps = (await Promise.all([...new Set(categories.filter(Boolean))].map(getFrequencyCap))).filter(Boolean);
+  if (caps.length === 0 || contactIds.length === 0) return hits;
+
+  const counts = await Message.aggregate([
+    {
+      $match: {
+        contactId: { $in: contactIds },
+        campaignId: { $ne: campaignId },
+        status: { $in: SENT_STATUSES },
+        $or: caps.map(cap => ({
+          category: cap.category,
+          sentAt: { $gte: new Date(Date.now() - cap.periodDays * DAY_MS) }
+        }))
+      }
+    },
+    { $group: { _id: { contactId: '$contactId', category: '$category' }, count: { $sum: 1 } } }
+  ]);
+
+  const capsByCategory = new Map(caps.map(cap => [cap.category, cap]));
+  for (const { _id, count } of counts) {
+    const cap = capsByCategory.get(_id.category);
+    if (!cap || count < cap.maxMessages) continue;
+
+    hits.set(`${_id.contactId}:${cap.category}`, {
+      category: cap.category,
+      maxMessages: cap.maxMessages,
+      periodDays: cap.periodDays,
+      count
+    });
+  }
+
+  return hits;
+};
@@ -0,0 +1,201 @@
+import Response from '../models/Response.js';
+
+// Session messages: free-form messages inside a contact's 24h customer service window
+//
+// The API and n8n describe them in one flat shape:
+//   { type: 'text', body }
+//   { type: 'buttons', body, header, footer, buttons: [{ id, title }] }            up to 3
+//   { type: 'list', body, header, footer, buttonText, sections: [{ title, rows: [{ id, title, description }] }] }
+//   { type: 'cta_url', body, header, footer, displayText, url }
+// header is text. Replies to buttons and list rows come back as interactive button_reply and
+// list_reply messages (see handleIncomingMessage).
+
+export const SESSION_MESSAGE_TYPES = ['text', 'buttons', 'list', 'cta_url'];
+
+// The window opens with each message the contact sends
+const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Cloud API limits
+const MAX_TEXT_LENGTH = 4096;
+const MAX_BODY_LENGTH = 1024;
+const MAX_HEADER_LENGTH = 60;
+const MAX_FOOTER_LENGTH = 60;
+const MAX_BUTTONS = 3;
+const MAX_BUTTON_TITLE_LENGTH = 20;
+const MAX_BUTTON_ID_LENGTH = 256;
+const MAX_SECTIONS = 10;
+const MAX_ROWS = 10;
+const MAX_SECTION_TITLE_LENGTH = 24;
+const MAX_ROW_TITLE_LENGTH = 24;
+const MAX_ROW_ID_LENGTH = 200;
+const MAX_ROW_DESCRIPTION_LENGTH = 72;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const tooLong = (value, max) => !isBlank(value) && String(value).length > max;
+
+const findDuplicate = (values) => values.find((value, i) => values.indexOf(value) !== i);
+
+const validateButtons = (buttons) => {
+  if (!Array.isArray(buttons) || buttons.length === 0 || buttons.length > MAX_BUTTONS) {
+    return `buttons must have between 1 and ${MAX_BUTTONS} buttons`;
+  }
+  for (const [i, button] of buttons.entries()) {
+    if (isBlank(button?.id) || isBlank(button?.title)) return `buttons[${i}] needs an id and a title`;
+    if (tooLong(button.title, MAX_BUTTON_TITLE_LENGTH)) return `buttons[${i}].title can be at most ${MAX_BUTTON_TITLE_LENGTH} characters`;
+    if (tooLong(button.id, MAX_BUTTON_ID_LENGTH)) return `buttons[${i}].id can be at most ${MAX_BUTTON_ID_LENGTH} characters`;
+  }
+  if (findDuplicate(buttons.map(button => String(button.id)))) return 'Button ids must be unique';
+  if (findDuplicate(buttons.map(button => String(button.title)))) return 'Button titles must be unique';
+  return null;
+};
+
+const validateSections = (sections) => {
+  if (!Array.isArray(sections) || sections.length === 0 || sections.length > MAX_SECTIONS) {
+    return `sections must have between 1 and ${MAX_SECTIONS} sections`;
+  }
+
+  const rows = [];
+  for (const [i, section] of sections.entries()) {
+    if (sections.length > 1 && isBlank(section?.title)) return `sections[${i}].title is required when there are several sections`;
+    if (tooLong(section?.title, MAX_SECTION_TITLE_LENGTH)) return `sections[${i}].title can be at most ${MAX_SECTION_TITLE_LENGTH} characters`;
+    if (!Array.isArray(section?.rows) || section.rows.length === 0) return `sections[${i}] needs at least one row`;
+
+    for (const [j, row] of section.rows.entries()) {
+      const label = `sections[${i}].rows[${j}]`;
+      if (isBlank(row?.id) || isBlank(row?.title)) return `${label} needs an id and a title`;
+      if (tooLong(row.title, MAX_ROW_TITLE_LENGTH)) return `${label}.title can be at most ${MAX_ROW_TITLE_LENGTH} characters`;
+      if (tooLong(row.id, MAX_ROW_ID_LENGTH)) return `${label}.id can be at most ${MAX_ROW_ID_LENGTH} characters`;
+      if (tooLong(row.description, MAX_ROW_DESCRIPTION_LENGTH)) return `${label}.description can be at most ${MAX_ROW_DESCRIPTION_LENGTH} characters`;
+      rows.push(row);
+    }
+  }
+
+  if (rows.length > MAX_ROWS) return `A list can have at most ${MAX_ROWS} rows`;
+  if (findDuplicate(rows.map(row => String(row.id)))) return 'Row ids must be unique';
+  return null;
+};
+
+// Validate a session message submitted through the API. Returns an error message or null.
+export const validateSessionMessage = (message) => {
+  if (!message || typeof message !== 'object') return 'message is required';
+
+  const type = message.type || 'text';
+  if (!SESSION_MESSAGE_TYPES.includes(type)) {
+    return `type must be one of ${SESSION_MESSAGE_TYPES.join(', ')}`;
+  }
+  if (isBlank(message.body)) return 'body is required';
+
+  if (type === 'text') {
+    return tooLong(message.body, MAX_TEXT_LENGTH) ? `body can be at most ${MAX_TEXT_LENGTH} characters` : null;
+  }
+
+  if (tooLong(message.body, MAX_BODY_LENGTH)) return `body can be at most ${MAX_BODY_LENGTH} characters`;
+  if (tooLong(message.header, MAX_HEADER_LENGTH)) return `header can be at most ${MAX_HEADER_LENGTH} characters`;
+  if (tooLong(message.footer, MAX_FOOTER_LENGTH)) return `footer can be at most ${MAX_FOOTER_LENGTH} characters`;
+
+  if (type === 'buttons') {
+    return validateButtons(message.buttons);
+  }
+
+  if (type === 'list') {
+    if (isBlank(message.buttonText)) return 'buttonText is required for list messages';
+    if (tooLong(message.buttonText, MAX_BUTTON_TITLE_LENGTH)) return `buttonText can be at most ${MAX_BUTTON_TITLE_LENGTH} characters`;
+    return validateSections(message.sections);
+  }
+
+  // cta_url
+  if (isBlank(message.displayText)) return 'displayText is required for CTA URL messages';
+  if (tooLong(message.displayText, MAX_BUTTON_TITLE_LENGTH)) return `displayText can be at most ${MAX_BUTTON_TITLE_LENGTH} characters`;
+  if (!/^https?:\/\/\S+$/i.test(String(message.url || ''))) return 'url must be an http(s) URL';
+  return null;
+};
+
+// Header, body and footer shared by every interactive type
+const frame = ({ body, header, footer }) => ({
+  ...(isBlank(header) ? {} : { header: { type: 'text', text: String(header) } }),
+  body: { text: String(body) },
+  ...(isBlank(footer) ? {} : { footer: { text: String(footer) } })
+});
+
+export const buildReplyButtons = (message) => ({
+  type: 'button',
+  ...frame(message),
+  action: {
+    buttons: message.buttons.map(button => ({
+      type: 'reply',
+      reply: { id: String(button.id), title: String(button.title) }
+    }))
+  }
+});
+
+export const buildListMessage = (message) => ({
+  type: 'list',
+  ...frame(message),
+  action: {
+    button: String(message.buttonText),
+    sections: message.sections.map(section => ({
+      ...(isBlank(section.title) ? {} : { title: String(section.title) }),
+      rows: section.rows.map(row => ({
+        id: String(row.id),
+        title: String(row.title),
+        ...(isBlank(row.description) ? {} : { description: String(row.description) })
+      }))
+    }))
+  }
+});
+
+export const buildCtaUrlMessage = (message) => ({
+  type: 'cta_url',
+  ...frame(message),
+  action: {
+    name: 'cta_url',
+    parameters: {
+      display_text: String(message.displayText),
+      url: String(message.url)
+    }
+  }
+});
+
+// Cloud API `interactive` object for a validated message; null for text
+export const buildInteractive = (message) => {
+  switch (message.type) {
+    case 'buttons':
+      return buildReplyButtons(message);
+    case 'list':
+      return buildListMessage(message);
+    case 'cta_url':
+      return buildCtaUrlMessage(message);
+    default:
+      return null;
+  }
+};
+
+// The session message fields of a request body
+export const pickSessionMessage = (fields = {}) => ({
+  type: fields.type || 'text',
+  body: fields.body,
+  header: fields.header,
+  footer: fields.footer,
+  buttons: fields.buttons,
+  buttonText: fields.buttonText,
+  sections: fields.sections,
+  displayText: fields.displayText,
+  url: fields.url
+});
+
+// The contact's customer service window, from the last message they sent us
+export const getServiceWindow = async (contactId) => {
+  const lastResponse = await Response.findOne({ contactId }).sort({ createdAt: -1 });
+  if (!lastResponse) {
+    return { open: false, lastMessageAt: null, expiresAt: null };
+  }
+
+  const expiresAt = new Date(lastResponse.createdAt.getTime() + SERVICE_WINDOW_MS);
+  return {
+    open: expiresAt > new Date(),
+    lastMessageAt: lastResponse.createdAt,
+    expiresAt,
+    lastMessageId: lastResponse.whatsappMessageId
+  };
+};
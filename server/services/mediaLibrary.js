@@ -0,0 +1,299 @@
+import mongoose from 'mongoose';
+import axios from 'axios';
+import MediaAsset from '../models/MediaAsset.js';
+import { readMapValue } from './templateVariables.js';
+
+// Media library
+//
+// Header media for IMAGE, VIDEO and DOCUMENT templates. Uploaded files are stored in GridFS
+// and pushed to the provider's media endpoint; the media ID it returns is kept per provider
+// and sending number, and uploaded again before it expires (Cloud API media IDs last 30 days).
+// Link media is sent as a public URL that WhatsApp downloads itself.
+//
+// Campaigns pick media with headerMedia: { assetId, metadataKey }. metadataKey names a
+// Contact.metadata field holding a library asset ID or a link for that contact; contacts
+// without one get assetId.
+
+// Cloud API limits for header media
+export const MEDIA_RULES = {
+  image: {
+    mimeTypes: ['image/jpeg', 'image/png'],
+    maxBytes: 5 * 1024 * 1024
+  },
+  video: {
+    mimeTypes: ['video/mp4', 'video/3gpp'],
+    maxBytes: 16 * 1024 * 1024
+  },
+  document: {
+    mimeTypes: [
+      'application/pdf',
+      'text/plain',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+    ],
+    maxBytes: 100 * 1024 * 1024
+  }
+};
+
+export const MAX_MEDIA_BYTES = Math.max(...Object.values(MEDIA_RULES).map(rule => rule.maxBytes));
+
+const MEDIA_ID_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// Media IDs this close to expiry are renewed, so a run never sends one that lapses mid-way
+const MEDIA_ID_RENEW_MS = 2 * 24 * 60 * 60 * 1000;
+
+const LINK_CHECK_TIMEOUT_MS = 10000;
+
+const getBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'media' });
+
+export const normalizeMimeType = (mimeType) => String(mimeType || '').split(';')[0].trim().toLowerCase();
+
+export const getMediaType = (mimeType) => {
+  const normalized = normalizeMimeType(mimeType);
+  return Object.keys(MEDIA_RULES).find(type => MEDIA_RULES[type].mimeTypes.includes(normalized)) || null;
+};
+
+const isLink = (value) => /^https?:\/\/\S+$/i.test(String(value || ''));
+
+// Type and size checks. Returns an error message or null.
+export const validateMedia = ({ mimeType, size, type }) => {
+  const mediaType = getMediaType(mimeType);
+  if (!mediaType) {
+    return `Unsupported media type ${mimeType || '(none)'}`;
+  }
+  if (type && type !== mediaType) {
+    return `${normalizeMimeType(mimeType)} is not a valid ${type}`;
+  }
+  if (size === 0) {
+    return 'File is empty';
+  }
+  if (size > MEDIA_RULES[mediaType].maxBytes) {
+    return `${mediaType} files can be at most ${MEDIA_RULES[mediaType].maxBytes / 1024 / 1024} MB`;
+  }
+  return null;
+};
+
+// Content type and length a link reports. Returns { error } when it cannot be fetched.
+export const inspectMediaLink = async (link) => {
+  if (!isLink(link)) {
+    return { error: 'link must be an http(s) URL' };
+  }
+
+  try {
+    const response = await axios.head(link, { timeout: LINK_CHECK_TIMEOUT_MS, maxRedirects: 5, validateStatus: () => true });
+    if (response.status >= 400) {
+      return { error: `Link returned HTTP ${response.status}` };
+    }
+    const length = Number(response.headers['content-length']);
+    return {
+      mimeType: response.headers['content-type'] ? normalizeMimeType(response.headers['content-type']) : undefined,
+      size: Number.isFinite(length) && length > 0 ? length : undefined
+    };
+  } catch (error) {
+    return { error: `Link could not be reached: ${error.message}` };
+  }
+};
+
+const writeFile = (data, { filename, mimeType }) => new Promise((resolve, reject) => {
+  const upload = getBucket().openUploadStream(filename, { metadata: { mimeType } });
+  upload.once('finish', () => resolve(upload.id));
+  upload.once('error', reject);
+  upload.end(data);
+});
+
+export const readMediaFile = async (asset) => {
+  const chunks = [];
+  for await (const chunk of getBucket().openDownloadStream(asset.fileId)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+export const openMediaFile = (asset) => getBucket().openDownloadStream(asset.fileId);
+
+export const createUploadedMedia = async ({ name, filename, mimeType, data, createdBy }) => {
+  const type = getMediaType(mimeType);
+  const fileId = await writeFile(data, { filename, mimeType: normalizeMimeType(mimeType) });
+
+  const asset = new MediaAsset({
+    name: name || filename,
+    type,
+    mimeType: normalizeMimeType(mimeType),
+    filename,
+    size: data.length,
+    source: 'upload',
+    fileId,
+    createdBy
+  });
+  await asset.save();
+
+  return asset;
+};
+
+export const createLinkMedia = async ({ name, link, mimeType, size, createdBy }) => {
+  const asset = new MediaAsset({
+    name: name || link.split('/').pop(),
+    type: getMediaType(mimeType),
+    mimeType: normalizeMimeType(mimeType),
+    filename: link.split('/').pop().split('?')[0] || undefined,
+    size,
+    source: 'link',
+    link,
+    createdBy
+  });
+  await asset.save();
+
+  return asset;
+};
+
+export const deleteMedia = async (asset) => {
+  if (asset.fileId) {
+    await getBucket().delete(asset.fileId).catch(error => {
+      console.error(`❌ Could not delete media file ${asset.fileId}:`, error.message);
+    });
+  }
+  await asset.deleteOne();
+};
+
+const findProviderMedia = (asset, provider) => asset.providerMedia?.find(entry =>
+  entry.provider === provider.name && entry.senderId === provider.senderId());
+
+const isFresh = (entry) => Boolean(entry) && (!entry.expiresAt || entry.expiresAt.getTime() - Date.now() > MEDIA_ID_RENEW_MS);
+
+const uploadToProvider = async (asset, provider) => {
+  const data = await readMediaFile(asset);
+  const { mediaId } = await provider.uploadMedia({
+    data,
+    mimeType: asset.mimeType,
+    filename: asset.filename || asset.name
+  });
+
+  const entry = {
+    provider: provider.name,
+    senderId: provider.senderId(),
+    mediaId,
+    uploadedAt: new Date(),
+    expiresAt: new Date(Date.now() + MEDIA_ID_TTL_MS)
+  };
+  // Replaces the entry for the same provider and number
+  await MediaAsset.updateOne({ _id: asset._id }, { $pull: { providerMedia: { provider: entry.provider, senderId: entry.senderId } } });
+  await MediaAsset.updateOne({ _id: asset._id }, { $push: { providerMedia: entry } });
+  asset.providerMedia = [
+    ...(asset.providerMedia || []).filter(e => e.provider !== entry.provider || e.senderId !== entry.senderId),
+    entry
+  ];
+
+  console.log(`✅ Media ${asset._id} uploaded to ${provider.name} as ${mediaId}`);
+  return entry;
+};
+
+// Message jobs running side by side share one upload per asset and number
+const pendingUploads = new Map();
+
+// Upload an asset to the provider, or upload it again; `force` renews an ID that is still valid
+export const pushMediaToProvider = async (asset, provider, { force = false } = {}) => {
+  const current = findProviderMedia(asset, provider);
+  if (!force && isFresh(current)) return current;
+
+  const key = `${asset._id}:${provider.name}:${provider.senderId()}`;
+  if (!pendingUploads.has(key)) {
+    pendingUploads.set(key, uploadToProvider(asset, provider).finally(() => pendingUploads.delete(key)));
+  }
+  return pendingUploads.get(key);
+};
+
+// Header parameter value for the provider: { id } for uploads, { link } for link media
+export const getMediaParameter = async (asset, provider) => {
+  const filename = asset.type === 'document' && asset.filename ? { filename: asset.filename } : {};
+  if (asset.source === 'link') {
+    return { link: asset.link, ...filename };
+  }
+
+  const { mediaId } = await pushMediaToProvider(asset, provider);
+  return { id: mediaId, ...filename };
+};
+
+// The media a contact gets: the asset or link in their metadata field, else the campaign's
+// asset. Returns { asset } or { link }, or null when there is none.
+export const selectHeaderMedia = async (campaign, contact) => {
+  const { assetId, metadataKey } = campaign.headerMedia || {};
+
+  const value = metadataKey ? readMapValue(contact?.metadata, metadataKey) : undefined;
+  if (isLink(value)) {
+    return { link: value };
+  }
+
+  for (const id of [value, assetId]) {
+    if (!id || !mongoose.isValidObjectId(id)) continue;
+    const asset = await MediaAsset.findById(id);
+    if (asset) return { asset };
+  }
+  return null;
+};
+
+// The contact's own header media value (a link or asset ID), or '' when they get the
+// campaign's; contacts with the same value get the same media
+export const getContactMediaValue = (campaign, contact) => {
+  const { metadataKey } = campaign.headerMedia || {};
+  return (metadataKey && readMapValue(contact?.metadata, metadataKey)) || '';
+};
+
+// IMAGE, VIDEO or DOCUMENT when a template snapshot has a media header
+export const getHeaderMediaFormat = (template) => {
+  const format = template?.components?.find(c => c.type === 'HEADER')?.format;
+  return ['IMAGE', 'VIDEO', 'DOCUMENT'].includes(format) ? format : null;
+};
+
+// Header media parameter for one contact and a template header `format`, uploading or
+// renewing library media as needed. null when there is none. Dry runs pass no provider and
+// nothing is uploaded: library media not uploaded yet shows as library:<asset id>.
+export const resolveHeaderMedia = async (campaign, contact, format, provider) => {
+  const selected = await selectHeaderMedia(campaign, contact);
+  if (!selected) return null;
+  if (selected.link) return { link: selected.link };
+
+  const { asset } = selected;
+  const type = format.toLowerCase();
+  if (asset.type !== type) {
+    throw new Error(`Template header needs ${type} media, but ${asset.name} is ${asset.type}`);
+  }
+  if (!provider) {
+    return asset.source === 'link'
+      ? { link: asset.link }
+      : { id: asset.providerMedia?.find(isFresh)?.mediaId || `library:${asset._id}` };
+  }
+  return getMediaParameter(asset, provider);
+};
+
+// Upload or renew the campaign's own header media once, before its message jobs run
+export const prepareCampaignMedia = async (campaign, provider) => {
+  const assetId = campaign.headerMedia?.assetId;
+  if (!assetId || provider.channel !== 'whatsapp') return;
+
+  const asset = await MediaAsset.findById(assetId);
+  if (!asset) {
+    throw new Error('Header media was removed from the media library');
+  }
+  await getMediaParameter(asset, provider);
+};
+
+// Validate headerMedia submitted through the API. Returns an error message or null.
+export const validateHeaderMedia = async (headerMedia) => {
+  if (headerMedia === undefined || headerMedia === null) return null;
+  if (typeof headerMedia !== 'object') return 'headerMedia must be an object';
+
+  const { assetId, metadataKey } = headerMedia;
+  if (metadataKey !== undefined && metadataKey !== null && typeof metadataKey !== 'string') {
+    return 'headerMedia.metadataKey must be a string';
+  }
+  if (assetId === undefined || assetId === null) {
+    return metadataKey ? null : 'headerMedia needs an assetId or a metadataKey';
+  }
+  if (!mongoose.isValidObjectId(assetId)) return 'headerMedia.assetId must be a valid media ID';
+
+  const exists = await MediaAsset.exists({ _id: assetId });
+  return exists ? null : 'Media not found';
+};
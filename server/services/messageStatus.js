@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+
+// Message status transitions and the campaign progress counters they drive
+//
+// Statuses only move forward: pending < sent < delivered < read. failed and skipped are
+// terminal, and a message can only fail before it is delivered. Webhooks that arrive out of
+// order (delivered after read) keep their timestamp but do not move the status back. A manual
+// retry is the one way out of failed: it puts the message back to pending.
+//
+// Counters are a funnel: progress.sent counts messages that reached sent or beyond,
+// delivered counts delivered or read, read counts read. A sent message that later fails
+// moves from sent to failed.
+//
+// progress.channels keeps the same funnel per channel (whatsapp, sms, email) for every message.
+// The overall counters count each contact once: a message replaced by an SMS fallback
+// (see smsFallback.js) stops counting there and the fallback message counts instead.
+
+const STATUS_RANK = {
+  pending: 0,
+  sent: 1,
+  delivered: 2,
+  read: 3
+};
+
+const TERMINAL_STATUSES = ['failed', 'skipped'];
+
+export const canTransition = (from, to, { retry = false } = {}) => {
+  if (retry) return from === 'failed' && to === 'pending';
+  if (from === to || TERMINAL_STATUSES.includes(from)) return false;
+  if (to === 'failed') return STATUS_RANK[from] <= STATUS_RANK.sent;
+  if (STATUS_RANK[to] === undefined) return false;
+
+  return STATUS_RANK[to] > STATUS_RANK[from];
+};
+
+export const CHANNELS = ['whatsapp', 'sms', 'email'];
+
+// $inc for Campaign.progress when a message moves from one status to another; `prefix`
+// selects a channel's counters instead
+export const progressDelta = (from, to, prefix = 'progress') => {
+  const delta = {};
+  const add = (field, amount) => {
+    delta[`${prefix}.${field}`] = (delta[`${prefix}.${field}`] || 0) + amount;
+  };
+
+  if (to === 'failed') {
+    if (from === 'sent') add('sent', -1);
+    add('failed', 1);
+    return delta;
+  }
+
+  const fromRank = STATUS_RANK[from];
+  const toRank = STATUS_RANK[to];
+  if (fromRank < STATUS_RANK.sent && toRank >= STATUS_RANK.sent) add('sent', 1);
+  if (fromRank < STATUS_RANK.delivered && toRank >= STATUS_RANK.delivered) add('delivered', 1);
+  if (fromRank < STATUS_RANK.read && toRank >= STATUS_RANK.read) add('read', 1);
+
+  return delta;
+};
+
+export const channelProgressDelta = (channel, from, to) => progressDelta(from, to, `progress.channels.${channel}`);
+
+// The counters a message in `status` currently adds to, negated; used when another message
+// takes over counting for its contact
+export const withdrawProgress = (status, prefix = 'progress') => Object.fromEntries(
+  Object.entries(status === 'failed' ? { [`${prefix}.failed`]: 1 } : progressDelta('pending', status, prefix))
+    .map(([field, amount]) => [field, -amount])
+);
+
+// $inc for `count` messages going back from failed to pending on a manual retry
+export const retryDelta = (count, prefix = 'progress') => ({ [`${prefix}.failed`]: -count });
+
+// Sum several $inc objects
+export const mergeDeltas = (...deltas) => {
+  const merged = {};
+  for (const delta of deltas) {
+    for (const [field, amount] of Object.entries(delta || {})) {
+      merged[field] = (merged[field] || 0) + amount;
+    }
+  }
+  return merged;
+};
+
+const funnel = (byStatus) => {
+  const count = (...statuses) => statuses.reduce((sum, status) => sum + (byStatus[status] || 0), 0);
+  return {
+    sent: count('sent', 'delivered', 'read'),
+    delivered: count('delivered', 'read'),
+    read: count('read'),
+    failed: count('failed')
+  };
+};
+
+// Campaign progress counters recomputed from its Message documents; total is not included
+export const countCampaignProgress = async (campaignId) => {
+  const counts = await Message.aggregate([
+    { $match: { campaignId: new mongoose.Types.ObjectId(campaignId.toString()) } },
+    {
+      $group: {
+        _id: {
+          status: '$status',
+          channel: { $ifNull: ['$channel', 'whatsapp'] },
+          replaced: { $gt: ['$fallback.messageId', null] }
+        },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const overall = {};
+  const byChannel = Object.fromEntries(CHANNELS.map(channel => [channel, {}]));
+  for (const { _id, count } of counts) {
+    if (!_id.replaced) {
+      overall[_id.status] = (overall[_id.status] || 0) + count;
+    }
+    if (byChannel[_id.channel]) {
+      byChannel[_id.channel][_id.status] = (byChannel[_id.channel][_id.status] || 0) + count;
+    }
+  }
+
+  return {
+    ...funnel(overall),
+    suppressed: overall.skipped || 0,
+    channels: Object.fromEntries(CHANNELS.map(channel => [channel, funnel(byChannel[channel])]))
+  };
+};
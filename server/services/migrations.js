@@ -0,0 +1,31 @@
+import Campaign from '../models/Campaign.js';
+import Migration from '../models/Migration.js';
+
+// One-time data migrations, applied in order at startup. Each runs once per database: its
+// name is recorded in the migrations collection when it succeeds.
+const MIGRATIONS = [
+  {
+    // Campaigns saved before providers were selectable carry the old 'twilio' default but
+    // were always sent through the WhatsApp Cloud API
+    name: '2026-10-campaign-provider-default',
+    up: async () => {
+      const { modifiedCount } = await Campaign.updateMany({ provider: 'twilio' }, { $set: { provider: 'whatsapp' } });
+      return { campaignsUpdated: modifiedCount };
+    }
+  }
+];
+
+export const runMigrations = async () => {
+  for (const migration of MIGRATIONS) {
+    if (await Migration.exists({ name: migration.name })) continue;
+
+    try {
+      const result = await migration.up();
+      await Migration.create({ name: migration.name, result });
+      console.log(`✅ Migration ${migration.name} applied`, result);
+    } catch (error) {
+      console.error(`❌ Migration ${migration.name} failed:`, error.message);
+      throw error;
+    }
+  }
+};
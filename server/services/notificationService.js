@@ -16,7 +16,7 @@ export const createNotification = async (notificationData, io) => {
 
     // Emit socket event to the specific user
     if (io) {
-      io.to(`user_${notification.userId}`).emit('new-notification', notification);
+      io.emitToUser(notification.userId, 'new-notification', notification);
     }
 
     console.log(`✅ Notification created for user ${notification.userId}: ${notification.title}`);
@@ -74,6 +74,36 @@ export const notifyBroadcastStarted = async (userId, campaign, io) => {
   }, io);
 };
 
+export const notifyApprovalRequested = async (userId, campaign, requester, io) => {
+  return createNotification({
+    userId,
+    type: 'broadcast',
+    title: 'Campaign Awaiting Approval',
+    description: `${requester?.fullName || 'A team member'} submitted campaign "${campaign.name}" (${campaign.progress.total} contacts) for approval.`,
+    priority: 'high',
+    metadata: {
+      campaignId: campaign._id,
+      actionUrl: `/campaigns/${campaign._id}`
+    }
+  }, io);
+};
+
+export const notifyApprovalDecision = async (userId, campaign, approved, approver, comment, io) => {
+  const decision = approved ? 'approved' : 'rejected';
+
+  return createNotification({
+    userId,
+    type: approved ? 'success' : 'warning',
+    title: approved ? 'Campaign Approved' : 'Campaign Rejected',
+    description: `Campaign "${campaign.name}" was ${decision} by ${approver?.fullName || 'an approver'}.${comment ? ` Comment: ${comment}` : ''}`,
+    priority: approved ? 'medium' : 'high',
+    metadata: {
+      campaignId: campaign._id,
+      actionUrl: `/campaigns/${campaign._id}`
+    }
+  }, io);
+};
+
 export const notifyTemplateStatusChanged = async (userId, template, oldStatus, newStatus, io) => {
   let type = 'template';
   let priority = 'medium';
@@ -0,0 +1,250 @@
+import mongoose from 'mongoose';
+import PricingRate from '../models/PricingRate.js';
+import Message from '../models/Message.js';
+import Contact from '../models/Contact.js';
+import Campaign from '../models/Campaign.js';
+import { getCallingCode } from '../utils/phoneCountries.js';
+
+// Conversation pricing
+//
+// Admins keep a rate table keyed by destination calling code and category. Estimates price a
+// campaign's audience from it before scheduling; actual spend is recorded on each Message when
+// a status webhook reports its `pricing` and `conversation`, at the rate in force at the time.
+
+export const PRICING_CATEGORIES = ['MARKETING', 'UTILITY', 'AUTHENTICATION', 'SERVICE'];
+export const DEFAULT_CALLING_CODE = '*';
+
+export const SPEND_GROUPS = ['campaign', 'template', 'month'];
+
+// Validate a rate submitted through the API; `partial` allows updates that omit fields
+export const validatePricingRate = (input, { partial = false } = {}) => {
+  if (!partial || input.callingCode !== undefined) {
+    const code = String(input.callingCode ?? '').replace(/^\+/, '');
+    if (code !== DEFAULT_CALLING_CODE && !/^\d{1,4}$/.test(code)) {
+      return `callingCode must be 1-4 digits or '${DEFAULT_CALLING_CODE}'`;
+    }
+  }
+  if (!partial || input.category !== undefined) {
+    if (!PRICING_CATEGORIES.includes(String(input.category || '').toUpperCase())) {
+      return `category must be one of ${PRICING_CATEGORIES.join(', ')}`;
+    }
+  }
+  if (!partial || input.rate !== undefined) {
+    if (typeof input.rate !== 'number' || !Number.isFinite(input.rate) || input.rate < 0) {
+      return 'rate must be a non-negative number';
+    }
+  }
+  if (input.currency !== undefined && !/^[A-Za-z]{3}$/.test(input.currency)) {
+    return 'currency must be a 3-letter currency code';
+  }
+
+  return null;
+};
+
+// Normalized rate fields from API input
+export const toPricingRateFields = (input) => {
+  const fields = {};
+  if (input.callingCode !== undefined) fields.callingCode = String(input.callingCode).replace(/^\+/, '');
+  if (input.country !== undefined) fields.country = input.country;
+  if (input.category !== undefined) fields.category = String(input.category).toUpperCase();
+  if (input.rate !== undefined) fields.rate = input.rate;
+  if (input.currency !== undefined) fields.currency = input.currency;
+  return fields;
+};
+
+const rateKey = (callingCode, category) => `${callingCode}:${category}`;
+
+// The whole rate table, for pricing many recipients at once
+export const loadRateTable = async () => {
+  const rates = await PricingRate.find().lean();
+  return new Map(rates.map(rate => [rateKey(rate.callingCode, rate.category), rate]));
+};
+
+// Only the rates one message can be priced at: its calling code's and the '*' fallback
+const loadRatesFor = async (callingCode, category) => {
+  const rates = await PricingRate.find({
+    category,
+    callingCode: { $in: callingCode ? [callingCode, DEFAULT_CALLING_CODE] : [DEFAULT_CALLING_CODE] }
+  }).lean();
+  return new Map(rates.map(rate => [rateKey(rate.callingCode, rate.category), rate]));
+};
+
+// Rate for a calling code and category, falling back to the '*' rate for the category
+export const findRate = (rateTable, callingCode, category) => {
+  if (!category) return null;
+  const normalized = category.toUpperCase();
+
+  return (callingCode && rateTable.get(rateKey(callingCode, normalized))) ||
+    rateTable.get(rateKey(DEFAULT_CALLING_CODE, normalized)) ||
+    null;
+};
+
+export const roundCost = (value) => Math.round(value * 10000) / 10000;
+
+// Free entry point and customer service conversations are reported with billable false
+// (older payloads) or a `free_*` type (per-message pricing)
+const isBillable = (pricing) => pricing.billable !== false && !String(pricing.type || '').startsWith('free');
+
+// Store pricing and conversation details from a normalized status (see providers/index.js)
+// and price the message.
+// Pricing is reported on several statuses of the same message; it is only recorded once.
+export const recordMessagePricing = async (message, { pricing, conversation }) => {
+  if (!pricing && !conversation) return;
+
+  if (conversation?.id) {
+    message.conversation = {
+      id: conversation.id,
+      originType: conversation.originType || message.conversation?.originType,
+      expiresAt: conversation.expiresAt || message.conversation?.expiresAt
+    };
+  }
+
+  if (!pricing || message.cost !== undefined) return;
+
+  const category = String(pricing.category || conversation?.originType || '').toUpperCase() || undefined;
+  message.pricing = {
+    billable: pricing.billable,
+    category,
+    pricingModel: pricing.pricingModel,
+    type: pricing.type
+  };
+
+  if (!isBillable(pricing)) {
+    message.cost = 0;
+    return;
+  }
+
+  // Conversation-based pricing charges once per conversation, not per message in it
+  if (pricing.pricingModel === 'CBP' && conversation?.id) {
+    const alreadyCharged = await Message.exists({
+      _id: { $ne: message._id },
+      'conversation.id': conversation.id,
+      cost: { $gt: 0 }
+    });
+    if (alreadyCharged) {
+      message.cost = 0;
+      return;
+    }
+  }
+
+  if (!message.countryCode) {
+    const contact = await Contact.findById(message.contactId).select('phone').lean();
+    message.countryCode = getCallingCode(contact?.phone) || undefined;
+  }
+
+  const rate = category ? findRate(await loadRatesFor(message.countryCode, category), message.countryCode, category) : null;
+  if (!rate) {
+    // Left unpriced; a later status with pricing gets another chance once a rate exists
+    console.log(`No pricing rate for +${message.countryCode || '?'} ${category}, message ${message._id} left unpriced`);
+    return;
+  }
+
+  message.cost = rate.rate;
+  message.currency = rate.currency;
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Recorded spend grouped by campaign, template or month (UTC), split by currency
+export const getSpendReport = async ({ groupBy = 'campaign', from, to, campaignId } = {}) => {
+  if (!SPEND_GROUPS.includes(groupBy)) {
+    throw new Error(`groupBy must be one of ${SPEND_GROUPS.join(', ')}`);
+  }
+
+  const fromDate = toDate(from);
+  const toDateValue = toDate(to);
+  if (fromDate === undefined || toDateValue === undefined) {
+    throw new Error('from and to must be valid dates');
+  }
+
+  const match = { cost: { $exists: true } };
+  if (fromDate || toDateValue) {
+    match.sentAt = {};
+    if (fromDate) match.sentAt.$gte = fromDate;
+    if (toDateValue) match.sentAt.$lte = toDateValue;
+  }
+  if (campaignId) {
+    match.campaignId = new mongoose.Types.ObjectId(campaignId);
+  }
+
+  const pipeline = [{ $match: match }];
+
+  let key;
+  if (groupBy === 'campaign') {
+    key = '$campaignId';
+  } else if (groupBy === 'template') {
+    // Messages sent before templateName was recorded fall back to the campaign's template
+    pipeline.push(
+      { $lookup: { from: 'campaigns', localField: 'campaignId', foreignField: '_id', as: 'campaign', pipeline: [{ $project: { templateName: 1 } }] } },
+      { $addFields: { reportTemplate: { $ifNull: ['$templateName', { $first: '$campaign.templateName' }] } } }
+    );
+    key = '$reportTemplate';
+  } else {
+    key = { $dateToString: { format: '%Y-%m', date: { $ifNull: ['$sentAt', '$createdAt'] } } };
+  }
+
+  pipeline.push(
+    {
+      $group: {
+        _id: { key, currency: '$currency' },
+        messages: { $sum: 1 },
+        billableMessages: { $sum: { $cond: [{ $gt: ['$cost', 0] }, 1, 0] } },
+        cost: { $sum: '$cost' }
+      }
+    },
+    { $sort: groupBy === 'month' ? { '_id.key': 1 } : { cost: -1 } }
+  );
+
+  const groups = await Message.aggregate(pipeline);
+
+  let campaignsById = new Map();
+  if (groupBy === 'campaign') {
+    const campaigns = await Campaign
+      .find({ _id: { $in: groups.map(group => group._id.key) } })
+      .select('name templateName')
+      .lean();
+    campaignsById = new Map(campaigns.map(campaign => [campaign._id.toString(), campaign]));
+  }
+
+  const rows = groups.map(group => {
+    const row = {
+      currency: group._id.currency || null,
+      messages: group.messages,
+      billableMessages: group.billableMessages,
+      cost: roundCost(group.cost)
+    };
+
+    if (groupBy === 'campaign') {
+      const campaign = campaignsById.get(group._id.key?.toString());
+      return { campaignId: group._id.key, campaignName: campaign?.name || null, templateName: campaign?.templateName || null, ...row };
+    }
+    if (groupBy === 'template') {
+      return { templateName: group._id.key || null, ...row };
+    }
+    return { month: group._id.key, ...row };
+  });
+
+  const totals = {};
+  for (const row of rows) {
+    // Free messages carry no currency and add nothing
+    if (!row.currency) continue;
+    totals[row.currency] = roundCost((totals[row.currency] || 0) + row.cost);
+  }
+
+  // Messages whose pricing arrived but no rate matched
+  const unpricedQuery = { ...match, cost: { $exists: false }, 'pricing.category': { $exists: true } };
+  const unpricedMessages = await Message.countDocuments(unpricedQuery);
+
+  return {
+    groupBy,
+    from: fromDate || null,
+    to: toDateValue || null,
+    totals,
+    unpricedMessages,
+    rows
+  };
+};
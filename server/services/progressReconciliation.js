@@ -0,0 +1,89 @@
+import Campaign from '../models/Campaign.js';
+import { countCampaignProgress, CHANNELS } from './messageStatus.js';
+import { completeCampaignIfSettled } from './whatsappService.js';
+import { emitCampaignProgress } from './socketService.js';
+import { recordCampaignEvent, systemActor } from './campaignEvents.js';
+
+// Progress reconciliation
+//
+// Campaign.progress is kept with $inc as messages change status, so a lost webhook or a crash
+// between saving a message and counting it leaves the counters off. This recomputes them from
+// the Message documents. It runs periodically from the scheduler and on demand per campaign.
+
+const CHANNEL_COUNTERS = ['sent', 'delivered', 'read', 'failed'];
+
+// Paths under Campaign.progress
+const COUNTERS = [
+  'sent',
+  'delivered',
+  'read',
+  'failed',
+  'suppressed',
+  ...CHANNELS.flatMap(channel => CHANNEL_COUNTERS.map(counter => `channels.${channel}.${counter}`))
+];
+
+const readCounter = (progress, path) => path.split('.').reduce((value, key) => value?.[key], progress) || 0;
+
+// Sending campaigns are only reconciled once idle, so in-flight sends are not counted twice
+const SENDING_IDLE_MS = 2 * 60 * 1000;
+
+// Delivery and read receipts keep arriving for a while after a campaign finishes
+const SETTLED_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const reconcileCampaignProgress = async (campaignId, io, { actor = systemActor('reconciliation') } = {}) => {
+  const campaign = await Campaign.findById(campaignId);
+  if (!campaign) {
+    throw new Error('Campaign not found');
+  }
+
+  const counted = await countCampaignProgress(campaign._id);
+  const progress = campaign.toObject().progress;
+  const changes = {};
+  for (const counter of COUNTERS) {
+    const current = readCounter(progress, counter);
+    const actual = readCounter(counted, counter);
+    if (current !== actual) {
+      changes[counter] = { from: current, to: actual };
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { campaignId: campaign._id, changed: false, progress: campaign.progress };
+  }
+
+  const $set = {};
+  for (const counter of Object.keys(changes)) {
+    $set[`progress.${counter}`] = changes[counter].to;
+  }
+  const updatedCampaign = await Campaign.findByIdAndUpdate(campaign._id, { $set }, { new: true });
+
+  console.log(`Campaign ${campaign._id} progress reconciled:`, JSON.stringify(changes));
+  await recordCampaignEvent(campaign, 'progress_reconciled', { actor, details: { changes } });
+  emitCampaignProgress(io, updatedCampaign);
+  await completeCampaignIfSettled(updatedCampaign, io);
+
+  return { campaignId: campaign._id, changed: true, changes, progress: updatedCampaign.progress };
+};
+
+// Reconcile every campaign whose counters can still be moving
+export const reconcileRecentCampaigns = async (io) => {
+  const now = Date.now();
+  const campaigns = await Campaign.find({
+    $or: [
+      { status: 'sending', updatedAt: { $lt: new Date(now - SENDING_IDLE_MS) } },
+      { status: { $in: ['completed', 'paused', 'cancelled'] }, updatedAt: { $gte: new Date(now - SETTLED_LOOKBACK_MS) } }
+    ]
+  }).select('_id');
+
+  let changed = 0;
+  for (const { _id } of campaigns) {
+    try {
+      const result = await reconcileCampaignProgress(_id, io);
+      if (result.changed) changed++;
+    } catch (error) {
+      console.error(`❌ Failed to reconcile campaign ${_id}:`, error.message);
+    }
+  }
+
+  return { checked: campaigns.length, changed };
+};
@@ -0,0 +1,276 @@
+import cron from 'node-cron';
+import parser from 'cron-parser';
+import Campaign from '../models/Campaign.js';
+import { scheduleCampaign } from './scheduler.js';
+import { countAudience } from './audience.js';
+import { recordCampaignEvent, systemActor } from './campaignEvents.js';
+
+// Recurring campaigns
+//
+// A recurring campaign is a parent "series" (status 'recurring') that never sends itself.
+// Each occurrence of its cron expression creates a child campaign (parentCampaignId) that goes
+// through the normal scheduler with its own progress and messages.
+//
+// Schedules are either a raw cron expression or a simple rule:
+//   { frequency: 'daily', time: '09:30' }
+//   { frequency: 'weekly', time: '10:00', daysOfWeek: [1, 4] }   // Mon and Thu
+//   { frequency: 'monthly', time: '08:00', dayOfMonth: 1 }
+// and are evaluated in the campaign's timezone.
+
+const tasks = new Map();
+
+// Fields copied from the series into every run
+const RUN_FIELDS = [
+  'templateName',
+  'templateLanguage',
+  'templateComponents',
+  'headerMedia',
+  'contactGroups',
+  'contacts',
+  'segmentId',
+  'variables',
+  'variableMappings',
+  'variants',
+  'timezone',
+  'sendWindow',
+  'rateLimitPerMinute',
+  'provider',
+  'smsFallbackTimeoutMinutes',
+  'createdBy',
+  'triggerSource'
+];
+
+const parseTime = (time = '09:00') => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time);
+  if (!match) return null;
+
+  const hour = Number(match[1]);
+  const minute = Number(match[2]);
+  if (hour > 23 || minute > 59) return null;
+
+  return { hour, minute };
+};
+
+// Cron expression for a recurrence, built from the simple rule when no expression is given
+export const toCronExpression = (recurrence) => {
+  if (recurrence?.cron) return recurrence.cron;
+
+  const rule = recurrence?.rule;
+  const time = parseTime(rule?.time);
+  if (!rule || !time) return null;
+
+  switch (rule.frequency) {
+    case 'daily':
+      return `${time.minute} ${time.hour} * * *`;
+    case 'weekly':
+      if (!rule.daysOfWeek?.length) return null;
+      return `${time.minute} ${time.hour} * * ${[...rule.daysOfWeek].sort((a, b) => a - b).join(',')}`;
+    case 'monthly':
+      return `${time.minute} ${time.hour} ${rule.dayOfMonth || 1} * *`;
+    default:
+      return null;
+  }
+};
+
+// Validate a recurrence submitted through the API. Returns an error message or null.
+export const validateRecurrence = (recurrence, timezone = 'UTC') => {
+  if (!recurrence) return null;
+
+  if (recurrence.rule) {
+    const { frequency, time, daysOfWeek, dayOfMonth } = recurrence.rule;
+    if (!['daily', 'weekly', 'monthly'].includes(frequency)) {
+      return 'recurrence.rule.frequency must be daily, weekly or monthly';
+    }
+    if (!parseTime(time)) {
+      return 'recurrence.rule.time must be HH:mm';
+    }
+    if (frequency === 'weekly' && (!Array.isArray(daysOfWeek) || daysOfWeek.length === 0 ||
+      daysOfWeek.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+      return 'recurrence.rule.daysOfWeek must list days 0 (Sunday) to 6 (Saturday)';
+    }
+    if (frequency === 'monthly' && dayOfMonth !== undefined && !(Number.isInteger(dayOfMonth) && dayOfMonth >= 1 && dayOfMonth <= 28)) {
+      return 'recurrence.rule.dayOfMonth must be between 1 and 28';
+    }
+  }
+
+  const expression = toCronExpression(recurrence);
+  if (!expression) {
+    return 'recurrence needs a cron expression or a rule';
+  }
+  if (!cron.validate(expression)) {
+    return `Invalid cron expression: ${expression}`;
+  }
+
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (error) {
+    return `Invalid timezone: ${timezone}`;
+  }
+
+  if (recurrence.endAt && Number.isNaN(new Date(recurrence.endAt).getTime())) {
+    return 'recurrence.endAt must be a valid date';
+  }
+
+  return null;
+};
+
+// Next occurrences of a series. Occurrences that will be skipped are flagged, not dropped.
+export const getUpcomingOccurrences = (campaign, count = 5) => {
+  const { recurrence } = campaign;
+  const expression = toCronExpression(recurrence);
+  if (!expression || campaign.status !== 'recurring' || recurrence.paused) return [];
+
+  const options = {
+    currentDate: new Date(),
+    tz: campaign.timezone || 'UTC'
+  };
+  if (recurrence.endAt) {
+    options.endDate = new Date(recurrence.endAt);
+  }
+
+  const occurrences = [];
+  try {
+    const interval = parser.parseExpression(expression, options);
+    while (occurrences.length < count && interval.hasNext()) {
+      occurrences.push({
+        at: interval.next().toDate(),
+        skipped: occurrences.length < (recurrence.skipNext || 0)
+      });
+    }
+  } catch (error) {
+    console.error(`Error computing occurrences for campaign ${campaign._id}:`, error.message);
+  }
+
+  return occurrences;
+};
+
+// Create and schedule the child run for one occurrence of a series
+export const runOccurrence = async (campaignId, occurrenceAt = new Date()) => {
+  try {
+    // Claim the occurrence so several server instances never create the same run twice
+    const occurrenceKey = new Date(Math.floor(occurrenceAt.getTime() / 60000) * 60000);
+    const parent = await Campaign.findOneAndUpdate(
+      {
+        _id: campaignId,
+        status: 'recurring',
+        'recurrence.paused': { $ne: true },
+        'recurrence.lastOccurrenceAt': { $ne: occurrenceKey }
+      },
+      { $set: { 'recurrence.lastOccurrenceAt': occurrenceKey } },
+      { new: true }
+    );
+    if (!parent) return null;
+
+    if (parent.recurrence.endAt && new Date(parent.recurrence.endAt) < occurrenceAt) {
+      parent.status = 'completed';
+      parent.completedAt = new Date();
+      await parent.save();
+      await recordCampaignEvent(parent, 'completed', {
+        actor: systemActor('recurrence'),
+        fromStatus: 'recurring',
+        toStatus: 'completed',
+        message: 'Recurring series reached its end date'
+      });
+      unregisterRecurringCampaign(campaignId);
+      console.log(`Recurring campaign ${campaignId} reached its end date`);
+      return null;
+    }
+
+    if (parent.recurrence.skipNext > 0) {
+      parent.recurrence.skipNext -= 1;
+      await parent.save();
+      console.log(`Recurring campaign ${campaignId}: skipped occurrence at ${occurrenceKey.toISOString()}`);
+      return null;
+    }
+
+    const runNumber = (parent.recurrence.runCount || 0) + 1;
+    const runData = {};
+    for (const field of RUN_FIELDS) {
+      runData[field] = parent[field];
+    }
+
+    const run = new Campaign({
+      ...runData,
+      name: `${parent.name} #${runNumber}`,
+      abTest: parent.abTest?.mode ? {
+        mode: parent.abTest.mode,
+        testPercentage: parent.abTest.testPercentage,
+        winnerMetric: parent.abTest.winnerMetric,
+        winnerDelayHours: parent.abTest.winnerDelayHours
+      } : undefined,
+      parentCampaignId: parent._id,
+      runNumber,
+      scheduledAt: new Date(),
+      status: 'scheduled',
+      progress: {
+        total: await countAudience(parent),
+        sent: 0,
+        delivered: 0,
+        read: 0,
+        failed: 0
+      }
+    });
+    await run.save();
+    await recordCampaignEvent(run, 'created', {
+      actor: systemActor('recurrence'),
+      toStatus: 'scheduled',
+      message: `Run #${runNumber} of recurring series`,
+      details: { parentCampaignId: parent._id, runNumber, occurrenceAt: occurrenceKey }
+    });
+    await scheduleCampaign(run);
+
+    parent.recurrence.runCount = runNumber;
+    parent.recurrence.lastRunAt = new Date();
+    await parent.save();
+
+    console.log(`Recurring campaign ${campaignId}: created run #${runNumber} (${run._id})`);
+    return run;
+  } catch (error) {
+    console.error(`Error running occurrence of recurring campaign ${campaignId}:`, error);
+    return null;
+  }
+};
+
+export const registerRecurringCampaign = (campaign) => {
+  const campaignId = campaign._id.toString();
+  unregisterRecurringCampaign(campaignId);
+
+  if (campaign.status !== 'recurring' || campaign.recurrence?.paused) return;
+
+  const expression = toCronExpression(campaign.recurrence);
+  if (!expression || !cron.validate(expression)) {
+    console.error(`Recurring campaign ${campaignId} has an invalid schedule, not registering`);
+    return;
+  }
+
+  const task = cron.schedule(expression, () => {
+    runOccurrence(campaignId, new Date());
+  }, {
+    timezone: campaign.timezone || 'UTC'
+  });
+
+  tasks.set(campaignId, task);
+  console.log(`Recurring campaign ${campaignId} registered (${expression}, ${campaign.timezone || 'UTC'})`);
+};
+
+export const unregisterRecurringCampaign = (campaignId) => {
+  const task = tasks.get(campaignId.toString());
+  if (task) {
+    task.stop();
+    tasks.delete(campaignId.toString());
+  }
+};
+
+export const initializeRecurringCampaigns = async () => {
+  try {
+    const recurringCampaigns = await Campaign.find({ status: 'recurring' });
+
+    for (const campaign of recurringCampaigns) {
+      registerRecurringCampaign(campaign);
+    }
+
+    console.log(`Registered ${recurringCampaigns.length} recurring campaigns`);
+  } catch (error) {
+    console.error('Error initializing recurring campaigns:', error);
+  }
+};
@@ -1,11 +1,30 @@
 import Bull from 'bull';
 import Redis from 'redis';
 import Campaign from '../models/Campaign.js';
-import { sendCampaignMessages } from './whatsappService.js';
+import Message from '../models/Message.js';
+import { startCampaignRun, sendCampaignMessage, sendSessionMessage, markResponseReplied } from './whatsappService.js';
+import { whatsappBackoff } from './whatsappErrors.js';
+import { computeVariantResults, pickWinningVariant } from './abTesting.js';
+import { initializeThroughputGovernor } from './throughputGovernor.js';
+import { reconcileRecentCampaigns } from './progressReconciliation.js';
+import { sweepUndeliveredMessages } from './smsFallback.js';
+import { recordCampaignEvent, recordRepeatedCampaignEvent, systemActor } from './campaignEvents.js';
+import { canTransition, retryDelta, mergeDeltas } from './messageStatus.js';
 
 let campaignQueue;
+let messageQueue;
 let redisClient;
 
+// Per-message delivery settings
+const MESSAGE_CONCURRENCY = Number(process.env.MESSAGE_QUEUE_CONCURRENCY) || 5;
+const MESSAGE_RATE_LIMIT_PER_SECOND = Number(process.env.MESSAGE_QUEUE_RATE_LIMIT) || 80;
+const MESSAGE_MAX_RETRIES = 3; // Matches the Message.maxRetries default
+const FAN_OUT_CHUNK_SIZE = 500;
+
+// How often campaign progress counters are recomputed from Message documents
+const PROGRESS_RECONCILE_INTERVAL_MS = (Number(process.env.PROGRESS_RECONCILE_INTERVAL_MINUTES) || 10) * 60 * 1000;
+const SMS_FALLBACK_SWEEP_INTERVAL_MS = 60 * 1000;
+
 export const initializeScheduler = async (io) => {
   try {
     // Build Redis URL for debug (mask password)
@@ -21,6 +40,8 @@ export const initializeScheduler = async (io) => {
     await redisClient.connect();
     console.log('Connected to Redis (TLS/SSL enabled)');
 
+    initializeThroughputGovernor(redisClient);
+
     // Debug Bull queue Redis URL
     // console.log('[DEBUG] Redis URL for Bull queue:', maskedRedisUrl); // dev-only logging commented out
 
@@ -34,6 +55,25 @@ export const initializeScheduler = async (io) => {
       }
     });
 
+    // Per-recipient message jobs; Bull's limiter caps the phone number's overall throughput
+    messageQueue = new Bull('message queue', {
+      redis: {
+        host: process.env.REDIS_HOST,
+        port: Number(process.env.REDIS_PORT),
+        password: process.env.REDIS_PASSWORD,
+        db: 0
+      },
+      limiter: {
+        max: MESSAGE_RATE_LIMIT_PER_SECOND,
+        duration: 1000
+      },
+      settings: {
+        backoffStrategies: {
+          whatsapp: whatsappBackoff
+        }
+      }
+    });
+
     // Add error logging for Bull queue
     // # campaignQueue.on('error', (err) => {
     // #   console.error('[Bull Queue Error]', err);
@@ -42,8 +82,8 @@ export const initializeScheduler = async (io) => {
 
     // Process campaign jobs
     campaignQueue.process('send-campaign', async (job) => {
-      const { campaignId } = job.data;
-      console.log(`Processing campaign: ${campaignId}`);
+      const { campaignId, resume } = job.data;
+      console.log(`Processing campaign: ${campaignId}${resume ? ' (resume)' : ''}`);
 
       try {
         const campaign = await Campaign.findById(campaignId);
@@ -51,46 +91,170 @@ export const initializeScheduler = async (io) => {
           throw new Error(`Campaign ${campaignId} not found`);
         }
 
-        if (campaign.status !== 'scheduled') {
-          console.log(`Campaign ${campaignId} is not scheduled, current status: ${campaign.status}`);
+        // Resume jobs pick up campaigns the resume route already moved back to sending
+        const expectedStatus = resume ? 'sending' : 'scheduled';
+        if (campaign.status !== expectedStatus) {
+          console.log(`Campaign ${campaignId} is not ${expectedStatus}, current status: ${campaign.status}`);
           return;
         }
 
-        // Update campaign status to sending
-        campaign.status = 'sending';
-        await campaign.save();
-
-        // Emit status update
-        io.emit('campaign-status-update', {
-          campaignId: campaign._id,
-          status: 'sending',
-          progress: campaign.progress
+        await recordCampaignEvent(campaign, 'job_started', {
+          actor: systemActor('scheduler'),
+          message: resume ? 'Resume job picked up' : 'Send job picked up',
+          details: { jobId: job.id.toString(), resume: Boolean(resume), attempt: job.attemptsMade + 1 }
         });
 
-        // Send campaign messages using WhatsApp Cloud API
-        await sendCampaignMessages(campaign, io);
+        // Resolve the audience and split it into per-recipient message jobs
+        const runId = job.id.toString();
+        const pendingContactIds = await startCampaignRun(campaign, io, { runId });
+        await fanOutCampaign(campaign, pendingContactIds, runId);
+
+        console.log(`Campaign ${campaignId} fanned out ${pendingContactIds.length} message jobs`);
 
-        console.log(`Campaign ${campaignId} completed successfully using WhatsApp Cloud API`);
+        // Winner-mode A/B tests send the rest of the audience once the test cell has had time to perform
+        if (campaign.abTest?.mode === 'winner' && !campaign.abTest.winnerVariant && !campaign.abTest.winnerJobId) {
+          await scheduleWinnerSelection(campaign);
+        }
       } catch (error) {
         console.error(`Error processing campaign ${campaignId}:`, error);
+        await markCampaignFailed(campaignId, error, job, io);
+        throw error;
+      }
+    });
 
-        // Update campaign status to failed
-        const campaign = await Campaign.findById(campaignId);
-        if (campaign) {
-          campaign.status = 'failed';
+    // Pick the A/B test winner and send it to the held-back audience
+    campaignQueue.process('select-ab-winner', async (job) => {
+      const { campaignId } = job.data;
+      console.log(`Selecting A/B winner for campaign: ${campaignId}`);
+
+      const campaign = await Campaign.findById(campaignId);
+      if (!campaign || campaign.abTest?.winnerSentAt) {
+        return;
+      }
+
+      if (['cancelled', 'failed', 'completed'].includes(campaign.status)) {
+        console.log(`Campaign ${campaignId} is ${campaign.status}, skipping A/B winner selection`);
+        return;
+      }
+
+      try {
+        // A retry after a failed fan-out keeps the winner already picked
+        if (!campaign.abTest.winnerVariant) {
+          const results = await computeVariantResults(campaign);
+          const winner = pickWinningVariant(results, campaign.abTest.winnerMetric);
+
+          campaign.abTest.winnerVariant = winner;
+          campaign.abTest.winnerSelectedAt = new Date();
           await campaign.save();
 
-          io.emit('campaign-status-update', {
+          console.log(`Campaign ${campaignId} A/B winner: ${winner} (${campaign.abTest.winnerMetric})`);
+          await recordCampaignEvent(campaign, 'ab_winner_selected', {
+            actor: systemActor('scheduler'),
+            message: `Variant ${winner} won on ${campaign.abTest.winnerMetric}`,
+            details: { winnerVariant: winner, results }
+          });
+
+          io.emitToCampaign(campaign, 'campaign-ab-winner', {
             campaignId: campaign._id,
-            status: 'failed',
-            error: error.message
+            winnerVariant: winner,
+            results
           });
         }
 
+        // Paused campaigns send the winner when they are resumed
+        if (campaign.status === 'sending') {
+          const runId = job.id.toString();
+          const pendingContactIds = await startCampaignRun(campaign, io, { runId });
+          await fanOutCampaign(campaign, pendingContactIds, runId);
+          await Campaign.updateOne({ _id: campaign._id }, { $set: { 'abTest.winnerSentAt': new Date() } });
+        }
+      } catch (error) {
+        console.error(`Error sending A/B winner for campaign ${campaignId}:`, error);
+
+        // Bull retries the job; only the last attempt gives up on the campaign
+        if (job.attemptsMade + 1 >= (job.opts.attempts || 1)) {
+          await markCampaignFailed(campaignId, error, job, io);
+        }
         throw error;
       }
     });
 
+    // Process per-recipient message jobs
+    messageQueue.process('send-message', MESSAGE_CONCURRENCY, async (job) => {
+      const isLastAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+      const result = await sendCampaignMessage(job.data, io, { isLastAttempt });
+
+      // Outside quiet hours or out of throughput: requeue for when the message can go out
+      if (result?.status === 'deferred') {
+        await deferMessageJob(job.data, result.until, result.reason);
+        await recordRepeatedCampaignEvent(
+          job.data.campaignId,
+          result.reason === 'send_window' ? 'send_window_deferred' : 'throttled',
+          result.reason,
+          {
+            actor: systemActor('sender'),
+            message: result.reason === 'send_window'
+              ? 'Messages held until the recipients\' send window opens'
+              : `Messages held by the ${result.reason} limit`,
+            details: { reason: result.reason, until: result.until }
+          }
+        );
+      }
+
+      return result;
+    });
+
+    // Session replies (text or interactive) that were over the throughput limit when first
+    // sent. The job keeps its original name so jobs queued before interactive messages still run.
+    messageQueue.process('send-text', async (job) => {
+      const { phone, message, responseId, replyTo } = job.data;
+      const result = await sendSessionMessage(phone, message, { replyTo });
+
+      if (result.throttled) {
+        await queueSessionMessage(job.data, result.retryAfterMs);
+        return { status: 'deferred' };
+      }
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      await markResponseReplied(responseId, result.messageId);
+      return { status: 'sent', messageId: result.messageId };
+    });
+
+    // Recompute campaign progress counters that missed a webhook or an increment
+    campaignQueue.process('reconcile-progress', async () => {
+      const result = await reconcileRecentCampaigns(io);
+      if (result.changed > 0) {
+        console.log(`Progress reconciliation corrected ${result.changed} of ${result.checked} campaigns`);
+      }
+      return result;
+    });
+
+    // One repeatable job shared by every server instance
+    await campaignQueue.add('reconcile-progress', {}, {
+      jobId: 'reconcile-progress',
+      repeat: { every: PROGRESS_RECONCILE_INTERVAL_MS },
+      removeOnComplete: true,
+      removeOnFail: true
+    });
+
+    // Re-send WhatsApp messages of 'auto' campaigns that stay undelivered as SMS
+    campaignQueue.process('sms-fallback', async () => {
+      const result = await sweepUndeliveredMessages(io);
+      if (result.fallbacks > 0) {
+        console.log(`SMS fallback sent ${result.fallbacks} messages`);
+      }
+      return result;
+    });
+
+    await campaignQueue.add('sms-fallback', {}, {
+      jobId: 'sms-fallback',
+      repeat: { every: SMS_FALLBACK_SWEEP_INTERVAL_MS },
+      removeOnComplete: true,
+      removeOnFail: true
+    });
+
     // Schedule existing campaigns
     await scheduleExistingCampaigns();
 
@@ -100,19 +264,134 @@ export const initializeScheduler = async (io) => {
   }
 };
 
-const determineProvider = (campaign) => {
-  // Check for WhatsApp Cloud API credentials
-  const hasWhatsAppCredentials = process.env.WHATSAPP_ACCESS_TOKEN && process.env.WHATSAPP_PHONE_NUMBER_ID;
+const scheduleWinnerSelection = async (campaign) => {
+  const job = await campaignQueue.add('select-ab-winner', {
+    campaignId: campaign._id.toString()
+  }, {
+    delay: campaign.abTest.winnerDelayHours * 60 * 60 * 1000,
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 2000
+    }
+  });
+
+  await Campaign.updateOne({ _id: campaign._id }, { 'abTest.winnerJobId': job.id.toString() });
+  console.log(`Campaign ${campaign._id} A/B winner selection scheduled in ${campaign.abTest.winnerDelayHours}h`);
+};
+
+// Enqueue one job per pending contact. Jobs are released in per-minute waves so a campaign
+// never exceeds its own rateLimitPerMinute, while the queue limiter caps overall throughput.
+// Job ids are deterministic, so re-running a fan-out (e.g. on resume) never duplicates queued jobs.
+const messageJobOptions = (jobId, delay) => ({
+  jobId,
+  delay,
+  attempts: MESSAGE_MAX_RETRIES + 1,
+  backoff: {
+    type: 'whatsapp'
+  },
+  removeOnComplete: true,
+  removeOnFail: true
+});
+
+// The job id includes the window start, so repeated deferrals of a contact collapse into one job
+const deferMessageJob = async (data, until, reason) => {
+  // Spread per-second retries so throttled jobs do not all come back in the same instant
+  const jitter = reason === 'throughput' ? Math.floor(Math.random() * 1000) : 0;
+  const releaseAt = new Date(until).getTime() + jitter;
+  await messageQueue.add(
+    'send-message',
+    data,
+    messageJobOptions(`${data.campaignId}:${data.contactId}:${releaseAt}`, Math.max(releaseAt - Date.now(), 0))
+  );
+};
+
+// Mark a campaign failed after its job could not run, and tell connected clients
+const markCampaignFailed = async (campaignId, error, job, io) => {
+  const campaign = await Campaign.findById(campaignId);
+  if (!campaign) return;
+
+  const previousStatus = campaign.status;
+  campaign.status = 'failed';
+  await campaign.save();
+
+  if (previousStatus !== 'failed') {
+    await recordCampaignEvent(campaign, 'failed', {
+      actor: systemActor('scheduler'),
+      fromStatus: previousStatus,
+      toStatus: 'failed',
+      message: error.message,
+      details: { jobId: job.id.toString() }
+    });
+  }
+
+  io.emitToCampaign(campaign, 'campaign-status-update', {
+    campaignId: campaign._id,
+    status: 'failed',
+    error: error.message
+  });
+};
+
+const queueSessionMessage = async (data, delay) => {
+  await messageQueue.add('send-text', data, {
+    delay: delay + Math.floor(Math.random() * 1000),
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 2000
+    },
+    removeOnComplete: true
+  });
+};
 
-  if (!hasWhatsAppCredentials) {
-    throw new Error('WhatsApp Cloud API credentials not configured. Please set WHATSAPP_ACCESS_TOKEN and WHATSAPP_PHONE_NUMBER_ID environment variables.');
+// Send a session reply now, or queue it when the phone number is out of throughput. message is
+// text or a session message (see services/interactiveMessages.js).
+export const sendOrQueueSessionMessage = async (phone, message, { responseId, replyTo } = {}) => {
+  const result = await sendSessionMessage(phone, message, { replyTo });
+  if (!result.throttled) {
+    if (result.success) {
+      await markResponseReplied(responseId, result.messageId);
+    }
+    return result;
   }
 
-  return 'whatsapp';
+  await queueSessionMessage({ phone, message, responseId, replyTo }, result.retryAfterMs);
+  console.log(`Session message to ${phone} queued for ${result.retryAfterMs}ms (throughput limit)`);
+
+  return {
+    success: true,
+    queued: true,
+    retryAfterMs: result.retryAfterMs
+  };
+};
+
+const fanOutCampaign = async (campaign, contactIds, runId) => {
+  const campaignId = campaign._id.toString();
+  const ratePerMinute = campaign.rateLimitPerMinute || 1000;
+
+  const jobs = contactIds.map((contactId, index) => ({
+    name: 'send-message',
+    data: {
+      campaignId,
+      contactId: contactId.toString(),
+      runId
+    },
+    opts: messageJobOptions(`${campaignId}:${contactId}`, Math.floor(index / ratePerMinute) * 60 * 1000)
+  }));
+
+  for (let i = 0; i < jobs.length; i += FAN_OUT_CHUNK_SIZE) {
+    await messageQueue.addBulk(jobs.slice(i, i + FAN_OUT_CHUNK_SIZE));
+  }
 };
 
 export const scheduleCampaign = async (campaign) => {
   try {
+    // Campaigns waiting for (or refused) manager approval are never queued
+    if (campaign.status === 'pending_approval' || ['pending', 'rejected'].includes(campaign.approval?.status)) {
+      console.log(`Campaign ${campaign._id} is not approved, not scheduling`);
+      return null;
+    }
+
     const delay = new Date(campaign.scheduledAt).getTime() - Date.now();
 
     if (delay <= 0) {
@@ -154,23 +433,42 @@ export const scheduleCampaign = async (campaign) => {
   }
 };
 
+// Remove the campaign's send job if it has not started yet
+const removeCampaignJob = async (campaign) => {
+  if (!campaign.jobId) return;
+
+  const job = await campaignQueue.getJob(campaign.jobId);
+  if (job) {
+    try {
+      await job.remove();
+    } catch (error) {
+      console.log(`Job ${campaign.jobId} is running, it will stop at the next message`);
+    }
+  } else {
+    console.log(`Job ${campaign.jobId} not found in queue, may have already been processed or removed`);
+  }
+};
+
+// Take a queued campaign off the queue; the caller sets its new status
+export const unscheduleCampaign = async (campaign) => {
+  await removeCampaignJob(campaign);
+  campaign.jobId = null;
+};
+
 export const cancelCampaign = async (campaignId) => {
   try {
     const campaign = await Campaign.findById(campaignId);
-    if (!campaign || !campaign.jobId) {
-      throw new Error('Campaign or job not found');
+    if (!campaign) {
+      throw new Error('Campaign not found');
     }
 
-    // Remove job from queue
-    const job = await campaignQueue.getJob(campaign.jobId);
-    if (job) {
-      await job.remove();
-    } else {
-      console.log(`Job ${campaign.jobId} not found in queue, may have already been processed or removed`);
-    }
+    // A running job cannot be removed; it sees the cancelled status before its next message
+    // and stops on its own.
+    await removeCampaignJob(campaign);
 
     // Update campaign status
     campaign.status = 'cancelled';
+    campaign.cancelledAt = new Date();
     campaign.jobId = null;
     await campaign.save();
 
@@ -182,17 +480,128 @@ export const cancelCampaign = async (campaignId) => {
   }
 };
 
-export const rescheduleCampaign = async (campaignId, newScheduledAt) => {
+export const resumeCampaign = async (campaignId) => {
   try {
     const campaign = await Campaign.findById(campaignId);
     if (!campaign) {
       throw new Error('Campaign not found');
     }
 
-    // Cancel existing job if it exists
-    if (campaign.jobId) {
-      await cancelCampaign(campaignId);
+    campaign.status = 'sending';
+    campaign.resumedAt = new Date();
+
+    // Re-enqueue the remaining work; contacts that already have a message are skipped
+    const job = await campaignQueue.add('send-campaign', {
+      campaignId: campaign._id.toString(),
+      resume: true
+    }, {
+      attempts: 3,
+      backoff: {
+        type: 'exponential',
+        delay: 2000
+      }
+    });
+
+    campaign.jobId = job.id.toString();
+    await campaign.save();
+
+    console.log(`Campaign ${campaignId} resumed with job ID: ${campaign.jobId}`);
+    return campaign;
+  } catch (error) {
+    console.error('Error resuming campaign:', error);
+    throw error;
+  }
+};
+
+// Re-send every failed message of a campaign whose error was not permanent
+export const retryFailedMessages = async (campaignId) => {
+  try {
+    const campaign = await Campaign.findById(campaignId);
+    if (!campaign) {
+      throw new Error('Campaign not found');
+    }
+
+    // SMS fallbacks and the WhatsApp messages they replaced are not re-sent
+    const query = {
+      campaignId: campaign._id,
+      status: 'failed',
+      retryable: { $ne: false },
+      fallbackFor: null,
+      'fallback.messageId': { $exists: false }
+    };
+    const failedMessages = await Message.find(query).select('_id contactId channel status');
+    const retryable = failedMessages.filter(message => canTransition(message.status, 'pending', { retry: true }));
+    if (retryable.length === 0) {
+      return { retried: 0 };
+    }
+
+    // Reset per channel so the channel counters move with the messages actually reset; the
+    // status filter skips messages a webhook changed in the meantime
+    const byChannel = new Map();
+    for (const message of retryable) {
+      const channel = message.channel || 'whatsapp';
+      byChannel.set(channel, [...(byChannel.get(channel) || []), message]);
+    }
+
+    const deltas = [];
+    for (const [channel, messages] of byChannel) {
+      // Fresh retry budget; the retry history keeps the earlier attempts
+      const { modifiedCount } = await Message.updateMany(
+        { _id: { $in: messages.map(message => message._id) }, status: 'failed' },
+        {
+          $set: { status: 'pending', retryCount: 0 },
+          $push: {
+            retryHistory: {
+              at: new Date(),
+              errorMessage: 'Manual retry requested',
+              source: 'manual'
+            }
+          }
+        }
+      );
+      if (modifiedCount === 0) continue;
+
+      deltas.push(retryDelta(modifiedCount), retryDelta(modifiedCount, `progress.channels.${channel}`));
+    }
+    if (deltas.length === 0) {
+      return { retried: 0 };
+    }
+    const contactIds = await Message.distinct('contactId', {
+      _id: { $in: retryable.map(message => message._id) },
+      status: 'pending'
+    });
+
+    // A completed campaign goes back to sending until the retries settle
+    const update = { $inc: mergeDeltas(...deltas) };
+    if (campaign.status === 'completed') {
+      update.$set = { status: 'sending' };
+      update.$unset = { completedAt: 1 };
     }
+    const updatedCampaign = await Campaign.findByIdAndUpdate(campaign._id, update, { new: true });
+
+    // Paused campaigns pick these up again when resumed
+    if (updatedCampaign.status === 'sending') {
+      await fanOutCampaign(updatedCampaign, contactIds, updatedCampaign.runId);
+    }
+
+    console.log(`Campaign ${campaignId}: retrying ${contactIds.length} failed messages`);
+    return { retried: contactIds.length, campaign: updatedCampaign };
+  } catch (error) {
+    console.error('Error retrying failed messages:', error);
+    throw error;
+  }
+};
+
+export const rescheduleCampaign = async (campaignId, newScheduledAt) => {
+  try {
+    const campaign = await Campaign.findById(campaignId);
+    if (!campaign) {
+      throw new Error('Campaign not found');
+    }
+
+    // Drop the existing job; the campaign keeps its status until the new job is queued
+    await removeCampaignJob(campaign);
+    campaign.jobId = null;
 
     // Update scheduled time
     campaign.scheduledAt = newScheduledAt;
@@ -228,4 +637,4 @@ const scheduleExistingCampaigns = async () => {
   }
 };
 
-export { campaignQueue };
+export { campaignQueue, messageQueue };
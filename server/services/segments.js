@@ -0,0 +1,198 @@
+import mongoose from 'mongoose';
+import Contact from '../models/Contact.js';
+import Message from '../models/Message.js';
+import Response from '../models/Response.js';
+
+// Dynamic audience segments
+//
+// A segment is a list of filter rules evaluated against contacts whenever it is used, so a
+// campaign targeting a segment picks up contacts that match at send time.
+//
+//   { type: 'tags', operator: 'any' | 'all' | 'none', values: ['vip', 'beta'] }
+//   { type: 'metadata', key: 'city', operator: 'eq', value: 'Pune' }
+//       operators: eq, ne, contains, exists, not_exists, gt, gte, lt, lte (numeric)
+//   { type: 'status', operator: 'in' | 'not_in', values: ['active'] }
+//   { type: 'lastMessageAt', operator: 'between', from, to }
+//   { type: 'lastMessageAt', operator: 'within_days' | 'older_than_days', days: 7 }
+//   { type: 'lastMessageAt', operator: 'never' }
+//   { type: 'responded', campaignId }           - replied to a campaign
+//   { type: 'clicked', payload, campaignId? }   - tapped a button with this payload
+//   { type: 'not_read', days: 30 }              - has not read any message in the last N days
+
+export const SEGMENT_RULE_OPERATORS = {
+  tags: ['any', 'all', 'none'],
+  metadata: ['eq', 'ne', 'contains', 'exists', 'not_exists', 'gt', 'gte', 'lt', 'lte'],
+  status: ['in', 'not_in'],
+  lastMessageAt: ['between', 'within_days', 'older_than_days', 'never']
+};
+
+const NUMERIC_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const METADATA_KEY_PATTERN = /^[\w-]+$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+// Validate segment rules submitted through the API. Returns an error message or null.
+export const validateSegmentRules = (rules) => {
+  if (!Array.isArray(rules) || rules.length === 0) return 'A segment needs at least one rule';
+
+  for (const [i, rule] of rules.entries()) {
+    const field = `rules[${i}]`;
+    const operators = SEGMENT_RULE_OPERATORS[rule?.type];
+
+    if (operators && !operators.includes(rule.operator)) {
+      return `${field}.operator must be one of ${operators.join(', ')}`;
+    }
+
+    switch (rule?.type) {
+      case 'tags':
+      case 'status':
+        if (!Array.isArray(rule.values) || rule.values.length === 0) return `${field}.values must be a non-empty array`;
+        break;
+      case 'metadata':
+        if (!rule.key || !METADATA_KEY_PATTERN.test(rule.key)) return `${field}.key must contain only letters, numbers, _ or -`;
+        if (!['exists', 'not_exists'].includes(rule.operator) && (rule.value === undefined || rule.value === null)) {
+          return `${field}.value is required`;
+        }
+        if (NUMERIC_OPERATORS.includes(rule.operator) && Number.isNaN(Number(rule.value))) {
+          return `${field}.value must be a number for ${rule.operator}`;
+        }
+        break;
+      case 'lastMessageAt':
+        if (rule.operator === 'between' && !rule.from && !rule.to) return `${field} needs from and/or to`;
+        if (rule.operator === 'between') {
+          for (const bound of ['from', 'to']) {
+            if (rule[bound] && Number.isNaN(new Date(rule[bound]).getTime())) return `${field}.${bound} must be a valid date`;
+          }
+        }
+        if (['within_days', 'older_than_days'].includes(rule.operator) && !(rule.days > 0)) return `${field}.days must be greater than 0`;
+        break;
+      case 'responded':
+        if (!mongoose.isValidObjectId(rule.campaignId)) return `${field}.campaignId must be a campaign ID`;
+        break;
+      case 'clicked':
+        if (!rule.payload) return `${field}.payload is required`;
+        if (rule.campaignId && !mongoose.isValidObjectId(rule.campaignId)) return `${field}.campaignId must be a campaign ID`;
+        break;
+      case 'not_read':
+        if (rule.days !== undefined && !(rule.days > 0)) return `${field}.days must be greater than 0`;
+        break;
+      default:
+        return `${field}.type must be one of tags, metadata, status, lastMessageAt, responded, clicked, not_read`;
+    }
+  }
+
+  return null;
+};
+
+const metadataQuery = ({ key, operator, value }) => {
+  const path = `metadata.${key}`;
+
+  switch (operator) {
+    case 'eq':
+      return { [path]: String(value) };
+    case 'ne':
+      return { [path]: { $ne: String(value) } };
+    case 'contains':
+      return { [path]: { $regex: escapeRegex(value), $options: 'i' } };
+    case 'exists':
+      return { [path]: { $exists: true } };
+    case 'not_exists':
+      return { [path]: { $exists: false } };
+    default:
+      // Metadata values are strings; compare numerically and ignore values that are not numbers
+      return {
+        $expr: {
+          $let: {
+            vars: { number: { $convert: { input: `$${path}`, to: 'double', onError: null, onNull: null } } },
+            in: {
+              $and: [
+                { $ne: ['$$number', null] },
+                { [`$${operator}`]: ['$$number', Number(value)] }
+              ]
+            }
+          }
+        }
+      };
+  }
+};
+
+const lastMessageAtQuery = ({ operator, from, to, days }) => {
+  switch (operator) {
+    case 'within_days':
+      return { lastMessageAt: { $gte: daysAgo(days) } };
+    case 'older_than_days':
+      return { lastMessageAt: { $lt: daysAgo(days) } };
+    case 'never':
+      return { lastMessageAt: null };
+    default: {
+      const range = {};
+      if (from) range.$gte = new Date(from);
+      if (to) range.$lte = new Date(to);
+      return { lastMessageAt: range };
+    }
+  }
+};
+
+// Contact query for one rule; activity rules are resolved to contact IDs first
+const ruleToQuery = async (rule) => {
+  switch (rule.type) {
+    case 'tags':
+      if (rule.operator === 'all') return { tags: { $all: rule.values } };
+      if (rule.operator === 'none') return { tags: { $nin: rule.values } };
+      return { tags: { $in: rule.values } };
+    case 'metadata':
+      return metadataQuery(rule);
+    case 'status':
+      return { status: rule.operator === 'not_in' ? { $nin: rule.values } : { $in: rule.values } };
+    case 'lastMessageAt':
+      return lastMessageAtQuery(rule);
+    case 'responded': {
+      const contactIds = await Response.distinct('contactId', { originalCampaignId: rule.campaignId });
+      return { _id: { $in: contactIds } };
+    }
+    case 'clicked': {
+      const filter = { buttonPayload: rule.payload };
+      if (rule.campaignId) filter.originalCampaignId = rule.campaignId;
+      const contactIds = await Response.distinct('contactId', filter);
+      return { _id: { $in: contactIds } };
+    }
+    case 'not_read': {
+      const contactIds = await Message.distinct('contactId', { readAt: { $gte: daysAgo(rule.days || 30) } });
+      return { _id: { $nin: contactIds } };
+    }
+    default:
+      throw new Error(`Unknown segment rule type: ${rule.type}`);
+  }
+};
+
+export const buildSegmentQuery = async (segment) => {
+  const clauses = await Promise.all((segment.rules || []).map(ruleToQuery));
+  if (clauses.length === 0) return { _id: { $in: [] } };
+
+  return segment.match === 'any' ? { $or: clauses } : { $and: clauses };
+};
+
+// Audience size and a few example contacts; only contacts that can be messaged are counted
+export const previewSegment = async (segment, sampleSize = 10) => {
+  const segmentQuery = await buildSegmentQuery(segment);
+  const sendableQuery = { $and: [segmentQuery, { status: 'active', optedOut: { $ne: true } }] };
+
+  const [matched, count, sample] = await Promise.all([
+    Contact.countDocuments(segmentQuery),
+    Contact.countDocuments(sendableQuery),
+    Contact.find(sendableQuery)
+      .select('name phone email tags status lastMessageAt')
+      .sort({ createdAt: -1 })
+      .limit(sampleSize)
+  ]);
+
+  return {
+    matched,
+    count,
+    excluded: matched - count,
+    sample
+  };
+};
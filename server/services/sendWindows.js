@@ -0,0 +1,85 @@
+import { getWorkspaceSettings } from './workspaceSettings.js';
+import { getTimezoneForPhone } from '../utils/phoneCountries.js';
+import { isValidTimezone } from '../utils/timezones.js';
+
+// Allowed send windows ("quiet hours"), evaluated in each contact's local time.
+// A window is { start: 'HH:mm', end: 'HH:mm' }; start > end spans midnight (e.g. 20:00-06:00).
+
+export const parseTimeOfDay = (time) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  if (!match) return null;
+
+  const hour = Number(match[1]);
+  const minute = Number(match[2]);
+  if (hour > 23 || minute > 59) return null;
+
+  return hour * 60 + minute;
+};
+
+// Validate a window submitted through the API. Returns an error message or null.
+export const validateSendWindow = (window, field = 'sendWindow') => {
+  if (!window) return null;
+  if (parseTimeOfDay(window.start) === null) return `${field}.start must be HH:mm`;
+  if (parseTimeOfDay(window.end) === null) return `${field}.end must be HH:mm`;
+  if (window.start === window.end) return `${field}.start and ${field}.end must differ`;
+  return null;
+};
+
+// Minutes since local midnight (and seconds into the minute) in a timezone
+const getLocalTime = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const value = (type) => Number(parts.find(part => part.type === type)?.value || 0);
+  return {
+    minutes: value('hour') * 60 + value('minute'),
+    seconds: value('second')
+  };
+};
+
+export const isWithinSendWindow = (window, timezone, date = new Date()) => {
+  const start = parseTimeOfDay(window?.start);
+  const end = parseTimeOfDay(window?.end);
+  if (start === null || end === null) return true;
+
+  const { minutes } = getLocalTime(date, isValidTimezone(timezone) ? timezone : 'UTC');
+
+  if (start < end) {
+    return minutes >= start && minutes < end;
+  }
+  return minutes >= start || minutes < end;
+};
+
+// When the window next opens for a contact in this timezone
+export const getNextWindowStart = (window, timezone, date = new Date()) => {
+  const start = parseTimeOfDay(window?.start);
+  if (start === null || isWithinSendWindow(window, timezone, date)) return date;
+
+  const { minutes, seconds } = getLocalTime(date, isValidTimezone(timezone) ? timezone : 'UTC');
+  const minutesUntilStart = (start - minutes + 24 * 60) % (24 * 60);
+
+  return new Date(date.getTime() + (minutesUntilStart * 60 - seconds) * 1000);
+};
+
+// Campaign window if set, otherwise the workspace quiet hours when enabled
+export const getCampaignSendWindow = async (campaign) => {
+  if (campaign.sendWindow?.start && campaign.sendWindow?.end) {
+    return campaign.sendWindow;
+  }
+
+  const settings = await getWorkspaceSettings();
+  return settings.sendWindow?.enabled ? settings.sendWindow : null;
+};
+
+// Contact timezone, then the phone's country, then the workspace default
+export const resolveContactTimezone = async (contact) => {
+  if (contact.timezone) return contact.timezone;
+
+  const settings = await getWorkspaceSettings();
+  return getTimezoneForPhone(contact.phone) || settings.defaultTimezone;
+};
@@ -0,0 +1,181 @@
+import Campaign from '../models/Campaign.js';
+import Message from '../models/Message.js';
+import { resolveSmsProvider } from '../providers/index.js';
+import { renderTemplateText } from '../providers/templateText.js';
+import { getVariantSpec } from './abTesting.js';
+import { progressDelta, channelProgressDelta, withdrawProgress, mergeDeltas } from './messageStatus.js';
+import { emitCampaignProgress } from './socketService.js';
+import { recordRepeatedCampaignEvent, systemActor } from './campaignEvents.js';
+
+// SMS fallback for 'auto' campaigns
+//
+// A WhatsApp message is re-sent as SMS when the recipient is not on WhatsApp (a permanent
+// undeliverable error, when sending or from a status webhook) or when it is still not
+// delivered after the campaign's timeout. The SMS is a separate Message with fallbackFor
+// pointing at the WhatsApp one, which records the fallback. From then on the SMS counts for
+// the contact in the campaign's overall progress; the WhatsApp message only in its channel.
+
+// Cloud API and Twilio errors for a recipient without WhatsApp
+const NOT_ON_WHATSAPP_CODES = ['131026', '63003'];
+
+const DEFAULT_TIMEOUT_MINUTES = Number(process.env.SMS_FALLBACK_TIMEOUT_MINUTES ?? 60);
+
+// Completed campaigns keep falling back for undelivered messages for this long
+const SWEEP_LOOKBACK_MS = 2 * 24 * 60 * 60 * 1000;
+const SWEEP_BATCH_SIZE = 500;
+
+const getTimeoutMs = (campaign) => {
+  const minutes = campaign.smsFallbackTimeoutMinutes ?? DEFAULT_TIMEOUT_MINUTES;
+  return minutes > 0 ? minutes * 60 * 1000 : null;
+};
+
+const isReplaceable = (campaign, message) =>
+  campaign?.provider === 'auto' &&
+  message.channel !== 'sms' &&
+  !message.fallback?.messageId;
+
+// Whether a WhatsApp send error should be answered with an SMS
+export const shouldFallBackToSms = (campaign, message, classification) =>
+  isReplaceable(campaign, message) &&
+  classification?.kind === 'permanent' &&
+  NOT_ON_WHATSAPP_CODES.includes(String(classification.code)) &&
+  Boolean(resolveSmsProvider());
+
+// The template's plain text with the contact's values, as sent on WhatsApp
+const renderSmsBody = (campaign, message) => {
+  let sent = {};
+  try {
+    sent = JSON.parse(message.content || '{}');
+  } catch (error) {
+    sent = {};
+  }
+
+  const definition = getVariantSpec(campaign, message.variant)?.templateSnapshot;
+  const body = sent.template && definition ? renderTemplateText({ template: sent.template, definition }) : message.body;
+  return { to: sent.to, body };
+};
+
+// Send the SMS that replaces `message`. `countedAs` is the status the message counts as in
+// the overall progress, which moves to the SMS. Returns the SMS outcome, or skipped when
+// another fallback for the message already started.
+export const startSmsFallback = async (campaign, message, { reason, countedAs }, io) => {
+  const sms = resolveSmsProvider();
+  if (!sms) return null;
+
+  const smsMessage = new Message({
+    campaignId: message.campaignId,
+    contactId: message.contactId,
+    channel: 'sms',
+    provider: sms.name,
+    fallbackFor: message._id,
+    templateName: message.templateName,
+    countryCode: message.countryCode,
+    status: 'pending'
+  });
+
+  // Claimed atomically: a failure webhook and the timeout sweep can race for the same message
+  const fallback = { reason, messageId: smsMessage._id, at: new Date() };
+  const claimed = await Message.updateOne(
+    { _id: message._id, 'fallback.messageId': { $exists: false } },
+    { $set: { fallback } }
+  );
+  if (claimed.modifiedCount !== 1) {
+    return { status: 'skipped', reason: 'SMS fallback already started' };
+  }
+  message.fallback = fallback;
+
+  let $inc = withdrawProgress(countedAs);
+  try {
+    const { to, body } = renderSmsBody(campaign, message);
+    if (!to || !body) {
+      throw new Error('Nothing to send as SMS');
+    }
+    smsMessage.body = body;
+    smsMessage.content = JSON.stringify({ to, body });
+
+    const { messageId } = await sms.sendText({ to, body });
+    smsMessage.status = 'sent';
+    smsMessage.whatsappMessageId = messageId;
+    smsMessage.sentAt = new Date();
+    $inc = mergeDeltas($inc, progressDelta('pending', 'sent'), channelProgressDelta('sms', 'pending', 'sent'));
+    console.log(`✅ SMS fallback ${messageId} sent for message ${message._id} (${reason})`);
+  } catch (error) {
+    const classification = sms.classifyError(error);
+    smsMessage.status = 'failed';
+    smsMessage.errorMessage = classification.message;
+    smsMessage.errorCode = classification.code !== null ? String(classification.code) : undefined;
+    smsMessage.retryable = false;
+    smsMessage.retryHistory.push({
+      attempt: 1,
+      errorCode: smsMessage.errorCode,
+      errorMessage: classification.message,
+      kind: classification.kind,
+      source: 'send'
+    });
+    $inc = mergeDeltas($inc, progressDelta('pending', 'failed'), channelProgressDelta('sms', 'pending', 'failed'));
+    console.error(`❌ SMS fallback for message ${message._id} failed:`, classification.message);
+  }
+
+  await smsMessage.save();
+  const updatedCampaign = await Campaign.findByIdAndUpdate(campaign._id, { $inc }, { new: true });
+
+  await recordRepeatedCampaignEvent(campaign, 'sms_fallback', reason, {
+    actor: systemActor('sender'),
+    message: reason === 'undelivered'
+      ? 'WhatsApp messages still undelivered were re-sent as SMS'
+      : 'Recipients not on WhatsApp were sent an SMS instead',
+    details: { reason, provider: sms.name }
+  });
+
+  emitCampaignProgress(io, updatedCampaign);
+
+  return { status: smsMessage.status, messageId: smsMessage._id, campaign: updatedCampaign };
+};
+
+// Fall back for a WhatsApp message that a status webhook reported failed. Returns null when
+// the failure is not one to fall back on.
+export const fallBackAfterFailedStatus = async (message, error, countedAs, io) => {
+  const campaign = await Campaign.findById(message.campaignId);
+  if (!shouldFallBackToSms(campaign, message, error)) return null;
+
+  return startSmsFallback(campaign, message, { reason: 'not_on_whatsapp', countedAs }, io);
+};
+
+// Re-send as SMS the WhatsApp messages of 'auto' campaigns that are sent but still not
+// delivered after the campaign's timeout. Runs periodically from the scheduler.
+export const sweepUndeliveredMessages = async (io) => {
+  if (!resolveSmsProvider()) return { checked: 0, fallbacks: 0 };
+
+  const campaigns = await Campaign.find({
+    provider: 'auto',
+    $or: [
+      { status: 'sending' },
+      { status: 'completed', completedAt: { $gte: new Date(Date.now() - SWEEP_LOOKBACK_MS) } }
+    ]
+  });
+
+  let fallbacks = 0;
+  for (const campaign of campaigns) {
+    const timeoutMs = getTimeoutMs(campaign);
+    if (!timeoutMs) continue;
+
+    const messages = await Message.find({
+      campaignId: campaign._id,
+      status: 'sent',
+      channel: { $ne: 'sms' },
+      'fallback.messageId': { $exists: false },
+      sentAt: { $lte: new Date(Date.now() - timeoutMs) }
+    }).limit(SWEEP_BATCH_SIZE);
+
+    for (const message of messages) {
+      try {
+        const result = await startSmsFallback(campaign, message, { reason: 'undelivered', countedAs: 'sent' }, io);
+        if (result?.messageId) fallbacks++;
+      } catch (error) {
+        console.error(`❌ SMS fallback for message ${message._id} failed:`, error.message);
+      }
+    }
+  }
+
+  return { checked: campaigns.length, fallbacks };
+};
@@ -1,19 +1,79 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Campaign from '../models/Campaign.js';
+import { verifyToken } from '../middleware/auth.js';
+
+// Token from the handshake: `auth: { token }` from socket.io-client, or an Authorization header
+const getHandshakeToken = (handshake) => {
+  const header = handshake.headers?.authorization;
+  return handshake.auth?.token || (header?.startsWith('Bearer ') ? header.slice(7) : null);
+};
+
+// Campaigns are visible to every workspace member, as in GET /api/campaigns
+const canViewCampaign = async (user, campaignId) => {
+  if (!user || !mongoose.isValidObjectId(campaignId)) return false;
+  return Boolean(await Campaign.exists({ _id: campaignId }));
+};
+
+// Reply through the client's acknowledgement callback when it passed one
+const acknowledge = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
+
 export const setupSocketHandlers = (io) => {
+  // Verify the JWT before the connection is accepted, like the authenticate middleware
+  io.use(async (socket, next) => {
+    try {
+      const token = getHandshakeToken(socket.handshake);
+      if (!token) {
+        return next(new Error('Access denied. No token provided.'));
+      }
+
+      const decoded = verifyToken(token);
+      const user = await User.findById(decoded.userId).select('-password');
+      if (!user || !user.isActive) {
+        return next(new Error('Invalid token.'));
+      }
+
+      socket.data.user = user;
+      next();
+    } catch (error) {
+      next(new Error('Invalid token.'));
+    }
+  });
+
   io.on('connection', (socket) => {
-    console.log('Client connected:', socket.id);
+    const user = socket.data.user;
+    const userId = user._id.toString();
+    console.log(`Client connected: ${socket.id} (user ${userId})`);
+
+    // Every socket receives its own user's events
+    socket.join(`user_${userId}`);
 
-    // Handle user authentication and join user-specific room
-    socket.on('authenticate', (userId) => {
-      if (userId) {
-        socket.join(`user_${userId}`);
-        console.log(`Socket ${socket.id} joined user room: user_${userId}`);
+    // Kept for older clients; the handshake already joined the user room
+    socket.on('authenticate', (requestedUserId, ack) => {
+      if (requestedUserId && requestedUserId !== userId) {
+        console.log(`Socket ${socket.id} denied user room: user_${requestedUserId}`);
+        return acknowledge(ack, { ok: false, error: 'Access denied' });
       }
+      acknowledge(ack, { ok: true, userId });
     });
 
     // Join campaign room for real-time updates
-    socket.on('join-campaign', (campaignId) => {
-      socket.join(`campaign-${campaignId}`);
-      console.log(`Socket ${socket.id} joined campaign room: ${campaignId}`);
+    socket.on('join-campaign', async (campaignId, ack) => {
+      try {
+        if (!(await canViewCampaign(user, campaignId))) {
+          console.log(`Socket ${socket.id} denied campaign room: ${campaignId}`);
+          return acknowledge(ack, { ok: false, error: 'Campaign not found' });
+        }
+
+        socket.join(`campaign-${campaignId}`);
+        console.log(`Socket ${socket.id} joined campaign room: ${campaignId}`);
+        acknowledge(ack, { ok: true });
+      } catch (error) {
+        console.error('Error joining campaign room:', error);
+        acknowledge(ack, { ok: false, error: error.message });
+      }
     });
 
     // Leave campaign room
@@ -22,20 +82,22 @@ export const setupSocketHandlers = (io) => {
       console.log(`Socket ${socket.id} left campaign room: ${campaignId}`);
     });
 
-    // Join dashboard room for real-time dashboard updates
-    socket.on('join-dashboard', (userId) => {
-      if (userId) {
-        socket.join(`dashboard_${userId}`);
-        console.log(`Socket ${socket.id} joined dashboard room: dashboard_${userId}`);
+    // Join dashboard room for real-time dashboard updates; only the user's own dashboard
+    socket.on('join-dashboard', (requestedUserId, ack) => {
+      if (requestedUserId && requestedUserId !== userId) {
+        console.log(`Socket ${socket.id} denied dashboard room: dashboard_${requestedUserId}`);
+        return acknowledge(ack, { ok: false, error: 'Access denied' });
       }
+
+      socket.join(`dashboard_${userId}`);
+      console.log(`Socket ${socket.id} joined dashboard room: dashboard_${userId}`);
+      acknowledge(ack, { ok: true });
     });
 
     // Leave dashboard room
-    socket.on('leave-dashboard', (userId) => {
-      if (userId) {
-        socket.leave(`dashboard_${userId}`);
-        console.log(`Socket ${socket.id} left dashboard room: dashboard_${userId}`);
-      }
+    socket.on('leave-dashboard', () => {
+      socket.leave(`dashboard_${userId}`);
+      console.log(`Socket ${socket.id} left dashboard room: dashboard_${userId}`);
     });
 
     socket.on('disconnect', () => {
@@ -43,9 +105,15 @@ export const setupSocketHandlers = (io) => {
     });
   });
 
-  // Helper function to emit to specific campaign room
-  io.emitToCampaign = (campaignId, event, data) => {
-    io.to(`campaign-${campaignId}`).emit(event, data);
+  // Emit to clients watching a campaign. Given the campaign document, its owner's user room
+  // gets the event too (once, even when the owner is also watching the campaign).
+  io.emitToCampaign = (campaign, event, data) => {
+    const campaignId = campaign?._id || campaign;
+    let rooms = io.to(`campaign-${campaignId}`);
+    if (campaign?.createdBy) {
+      rooms = rooms.to(`user_${campaign.createdBy}`);
+    }
+    rooms.emit(event, data);
   };
 
   // Helper function to emit to specific user room
@@ -60,4 +128,14 @@ export const setupSocketHandlers = (io) => {
       data
     });
   };
-};
\ No newline at end of file
+};
+
+// Live progress for a campaign, pushed to the clients watching it
+export const emitCampaignProgress = (io, campaign) => {
+  if (!io || !campaign) return;
+
+  io.emitToCampaign(campaign, 'campaign-progress-update', {
+    campaignId: campaign._id,
+    progress: campaign.progress
+  });
+};
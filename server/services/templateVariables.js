@@ -0,0 +1,147 @@
+// Per-recipient resolution of WhatsApp template placeholders ({{1}}, {{2}}, ...)
+//
+// A campaign stores one mapping per placeholder, e.g.
+//   { component: 'body', placeholder: 1, source: 'contact', key: 'name', fallback: 'there' }
+//   { component: 'body', placeholder: 2, source: 'metadata', key: 'orderId' }
+//   { component: 'header', placeholder: 1, source: 'campaign', key: 'offer' }
+//   { component: 'button', buttonIndex: 0, placeholder: 1, source: 'metadata', key: 'trackingCode' }
+//
+// Sources:
+//   contact  - a Contact field (name, phone, email)
+//   metadata - a key in Contact.metadata
+//   campaign - a key in Campaign.variables (campaign-level constant)
+// When the source yields nothing, the mapping's fallback is used.
+//
+// Free-text templates (email) also take named placeholders such as {{name}} or {{orderId}},
+// looked up in the same sources without a mapping.
+
+export const MAPPING_COMPONENTS = ['header', 'body', 'button'];
+export const MAPPING_SOURCES = ['contact', 'metadata', 'campaign'];
+export const CONTACT_FIELDS = ['name', 'phone', 'email'];
+
+// Works for both Mongoose Maps and plain objects (lean documents / request bodies)
+export const readMapValue = (map, key) => {
+  if (!map || !key) return undefined;
+  if (map instanceof Map) return map.get(key);
+  return map[key];
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Extract the placeholder numbers used in a piece of template text, in ascending order
+export const extractPlaceholderNumbers = (text) => {
+  if (!text) return [];
+
+  const numbers = new Set();
+  const regex = /\{\{(\d+)\}\}/g;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    numbers.add(Number(match[1]));
+  }
+
+  return [...numbers].sort((a, b) => a - b);
+};
+
+export const findMapping = (mappings, component, placeholder, buttonIndex) => {
+  if (!Array.isArray(mappings)) return null;
+
+  return mappings.find(mapping =>
+    mapping.component === component &&
+    Number(mapping.placeholder) === Number(placeholder) &&
+    (component !== 'button' || Number(mapping.buttonIndex) === Number(buttonIndex))
+  ) || null;
+};
+
+export const resolveMappingValue = (mapping, contact, campaign) => {
+  let value;
+
+  switch (mapping.source) {
+    case 'contact':
+      if (CONTACT_FIELDS.includes(mapping.key)) {
+        value = contact?.[mapping.key];
+      }
+      break;
+    case 'metadata':
+      value = readMapValue(contact?.metadata, mapping.key);
+      break;
+    case 'campaign':
+      value = readMapValue(campaign?.variables, mapping.key);
+      break;
+  }
+
+  if (isBlank(value)) {
+    value = mapping.fallback;
+  }
+
+  return isBlank(value) ? '' : String(value);
+};
+
+// Resolve the value for one placeholder of one component for a specific contact.
+// Returns '' when the campaign has no mapping for the placeholder.
+export const resolvePlaceholder = (campaign, contact, component, placeholder, buttonIndex) => {
+  const mapping = findMapping(campaign?.variableMappings, component, placeholder, buttonIndex);
+  if (!mapping) return '';
+
+  return resolveMappingValue(mapping, contact, campaign);
+};
+
+// A named {{variable}}: a Contact field, then a key in Contact.metadata, then a campaign variable
+export const resolveNamedVariable = (campaign, contact, key) => {
+  const value = [
+    CONTACT_FIELDS.includes(key) ? contact?.[key] : undefined,
+    readMapValue(contact?.metadata, key),
+    readMapValue(campaign?.variables, key)
+  ].find(candidate => !isBlank(candidate));
+
+  return value === undefined ? '' : String(value);
+};
+
+// Fill in every placeholder of a free-text template (email subject and bodies). Numbered
+// placeholders use the campaign's mappings for `component`, named ones resolveNamedVariable;
+// `values` take precedence over both. `escape` is applied to every substituted value.
+export const renderTemplateVariables = (text, { campaign, contact, component = 'body', values = {}, escape = (value) => value }) => {
+  if (!text) return '';
+
+  return text.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, key) => {
+    let value;
+    if (Object.prototype.hasOwnProperty.call(values, key)) {
+      value = values[key];
+    } else if (/^\d+$/.test(key)) {
+      value = resolvePlaceholder(campaign, contact, component, Number(key));
+    } else {
+      value = resolveNamedVariable(campaign, contact, key);
+    }
+    return escape(String(value ?? ''));
+  });
+};
+
+// Validate mappings submitted through the API. Returns an error message or null.
+export const validateVariableMappings = (mappings) => {
+  if (mappings === undefined || mappings === null) return null;
+  if (!Array.isArray(mappings)) return 'variableMappings must be an array';
+
+  for (const [i, mapping] of mappings.entries()) {
+    // The schema defaults a missing component to body
+    const component = mapping?.component ?? 'body';
+    if (!MAPPING_COMPONENTS.includes(component)) {
+      return `variableMappings[${i}].component must be one of ${MAPPING_COMPONENTS.join(', ')}`;
+    }
+    if (!Number.isInteger(Number(mapping.placeholder)) || Number(mapping.placeholder) < 1) {
+      return `variableMappings[${i}].placeholder must be a positive integer`;
+    }
+    if (component === 'button' && !(Number.isInteger(mapping.buttonIndex) && mapping.buttonIndex >= 0)) {
+      return `variableMappings[${i}].buttonIndex must be a non-negative integer for button mappings`;
+    }
+    if (!MAPPING_SOURCES.includes(mapping.source)) {
+      return `variableMappings[${i}].source must be one of ${MAPPING_SOURCES.join(', ')}`;
+    }
+    if (mapping.source === 'contact' && !CONTACT_FIELDS.includes(mapping.key)) {
+      return `variableMappings[${i}].key must be one of ${CONTACT_FIELDS.join(', ')} for contact mappings`;
+    }
+    if (mapping.source !== 'contact' && !mapping.key) {
+      return `variableMappings[${i}].key is required`;
+    }
+  }
+
+  return null;
+};
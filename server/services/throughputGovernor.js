@@ -0,0 +1,150 @@
+// Throughput governor shared by every sender on a WhatsApp phone number
+//
+// Two limits are enforced in Redis, so they hold across campaigns, text replies and server
+// instances:
+//   - messages per second for the phone number (WHATSAPP_THROUGHPUT_PER_SECOND, default 80)
+//   - unique recipients of business-initiated messages in a rolling 24h window, the
+//     messaging tier (WHATSAPP_MESSAGING_TIER: 1K, 10K, 100K or unlimited; default 1K)
+// Replies inside a customer service window do not count toward the tier, only throughput.
+//
+// acquireSendSlot never waits; when there is no capacity it says how long until there is,
+// and the caller requeues the work for then.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KEY_PREFIX = 'wa:governor';
+
+const TIERS = {
+  '1K': 1000,
+  '10K': 10000,
+  '100K': 100000,
+  UNLIMITED: 0
+};
+
+let redisClient = null;
+
+// Checks both limits and takes a slot atomically. Returns { allowed, retryAfterMs, reason }.
+const ACQUIRE_SCRIPT = `
+local secondKey = KEYS[1]
+local recipientsKey = KEYS[2]
+local now = tonumber(ARGV[1])
+local perSecond = tonumber(ARGV[2])
+local tierLimit = tonumber(ARGV[3])
+local recipient = ARGV[4]
+local windowMs = tonumber(ARGV[5])
+local countsTowardTier = ARGV[6] == '1'
+
+local used = tonumber(redis.call('GET', secondKey) or '0')
+if used >= perSecond then
+  return {0, 1000 - (now % 1000), 'throughput'}
+end
+
+if countsTowardTier and tierLimit > 0 then
+  redis.call('ZREMRANGEBYSCORE', recipientsKey, '-inf', now - windowMs)
+  if not redis.call('ZSCORE', recipientsKey, recipient) then
+    if redis.call('ZCARD', recipientsKey) >= tierLimit then
+      local oldest = redis.call('ZRANGE', recipientsKey, 0, 0, 'WITHSCORES')
+      return {0, tonumber(oldest[2]) + windowMs - now, 'tier'}
+    end
+    redis.call('ZADD', recipientsKey, now, recipient)
+    redis.call('PEXPIRE', recipientsKey, windowMs)
+  end
+end
+
+redis.call('INCR', secondKey)
+redis.call('PEXPIRE', secondKey, 2000)
+return {1, 0, 'ok'}
+`;
+
+export const getThroughputLimits = () => {
+  const tierSetting = String(process.env.WHATSAPP_MESSAGING_TIER || '1K').toUpperCase();
+
+  return {
+    perSecond: Number(process.env.WHATSAPP_THROUGHPUT_PER_SECOND) || 80,
+    tier: TIERS[tierSetting] ?? (Number(tierSetting) || TIERS['1K'])
+  };
+};
+
+const getPhoneNumberId = (phoneNumberId) => phoneNumberId || process.env.WHATSAPP_PHONE_NUMBER_ID || 'default';
+
+const secondKey = (phoneNumberId, now) => `${KEY_PREFIX}:${phoneNumberId}:second:${Math.floor(now / 1000)}`;
+const recipientsKey = (phoneNumberId) => `${KEY_PREFIX}:${phoneNumberId}:recipients`;
+
+export const initializeThroughputGovernor = (client) => {
+  redisClient = client;
+  const { perSecond, tier } = getThroughputLimits();
+  console.log(`Throughput governor ready: ${perSecond}/s, tier ${tier || 'unlimited'} unique recipients per 24h`);
+};
+
+export const acquireSendSlot = async ({ recipient, businessInitiated = true, phoneNumberId } = {}) => {
+  // Without Redis there is nothing shared to coordinate with; Bull's limiter still applies
+  if (!redisClient?.isReady) {
+    return { allowed: true, retryAfterMs: 0, reason: 'governor_unavailable' };
+  }
+
+  const numberId = getPhoneNumberId(phoneNumberId);
+  const { perSecond, tier } = getThroughputLimits();
+  const now = Date.now();
+
+  try {
+    const [allowed, retryAfterMs, reason] = await redisClient.eval(ACQUIRE_SCRIPT, {
+      keys: [secondKey(numberId, now), recipientsKey(numberId)],
+      arguments: [
+        String(now),
+        String(perSecond),
+        String(tier),
+        String(recipient),
+        String(DAY_MS),
+        businessInitiated ? '1' : '0'
+      ]
+    });
+
+    return {
+      allowed: allowed === 1,
+      retryAfterMs: Math.max(Number(retryAfterMs) || 0, 0),
+      reason
+    };
+  } catch (error) {
+    // Fail open: a Redis hiccup should not stop delivery
+    console.error('Throughput governor error, allowing send:', error.message);
+    return { allowed: true, retryAfterMs: 0, reason: 'governor_error' };
+  }
+};
+
+// Current usage and remaining capacity for a phone number
+export const getThroughputHeadroom = async (phoneNumberId) => {
+  const numberId = getPhoneNumberId(phoneNumberId);
+  const { perSecond, tier } = getThroughputLimits();
+
+  if (!redisClient?.isReady) {
+    return { phoneNumberId: numberId, available: false, limits: { perSecond, tier } };
+  }
+
+  const now = Date.now();
+  const key = recipientsKey(numberId);
+
+  await redisClient.zRemRangeByScore(key, '-inf', now - DAY_MS);
+  const [usedThisSecond, uniqueRecipients, oldest] = await Promise.all([
+    redisClient.get(secondKey(numberId, now)),
+    redisClient.zCard(key),
+    redisClient.zRangeWithScores(key, 0, 0)
+  ]);
+
+  const used = Number(usedThisSecond) || 0;
+
+  return {
+    phoneNumberId: numberId,
+    available: true,
+    perSecond: {
+      limit: perSecond,
+      used,
+      remaining: Math.max(perSecond - used, 0)
+    },
+    tier: {
+      limit: tier || null,
+      uniqueRecipients24h: uniqueRecipients,
+      remaining: tier ? Math.max(tier - uniqueRecipients, 0) : null,
+      // When the oldest recipient leaves the window and frees a slot
+      nextSlotAt: tier && uniqueRecipients >= tier && oldest[0] ? new Date(oldest[0].score + DAY_MS) : null
+    }
+  };
+};
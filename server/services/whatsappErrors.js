@@ -0,0 +1,80 @@
+// Classification of WhatsApp Cloud API errors
+// https://developers.facebook.com/docs/whatsapp/cloud-api/support/error-codes
+//
+// transient - worth retrying automatically with backoff (rate limits, 5xx, timeouts)
+// permanent - retrying can never succeed (invalid number, not a WhatsApp user, template paused)
+// unknown   - not retried automatically, but can be retried on demand (e.g. after fixing a token)
+
+// Throughput / rate limit errors, retried with a longer backoff
+const RATE_LIMIT_CODES = [4, 80007, 130429, 131048, 131056];
+
+const TRANSIENT_CODES = [
+  ...RATE_LIMIT_CODES,
+  1, // API unknown
+  2, // API service
+  131000, // Something went wrong
+  131016, // Service unavailable
+  131057, // Business account in maintenance mode
+  133004 // Server temporarily unavailable
+];
+
+const PERMANENT_CODES = [
+  100, // Invalid parameter
+  131008, // Required parameter is missing
+  131009, // Parameter value is not valid
+  131021, // Recipient cannot be sender
+  131026, // Message undeliverable (not a WhatsApp user, old app version, ...)
+  131047, // Re-engagement message (outside the 24h window)
+  131050, // User stopped marketing messages
+  131051, // Unsupported message type
+  131052, // Media download error
+  131053, // Media upload error
+  132000, // Template parameter count mismatch
+  132001, // Template does not exist
+  132005, // Template hydrated text too long
+  132007, // Template format character policy violated
+  132012, // Template parameter format mismatch
+  132015, // Template is paused
+  132016, // Template is disabled
+  132068, // Flow is blocked
+  132069 // Flow is throttled
+];
+
+const NETWORK_ERROR_CODES = ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'];
+
+export const isRateLimitCode = (code) => RATE_LIMIT_CODES.includes(Number(code));
+
+// Classify an error from a Graph API request (axios error) or a status webhook error object
+export const classifyWhatsAppError = (error) => {
+  const apiError = error?.response?.data?.error || (error?.response ? null : error);
+  const httpStatus = error?.response?.status;
+  const code = apiError?.code ?? null;
+  const message = apiError?.error_data?.details || apiError?.message || apiError?.title || error?.message || 'Unknown error';
+
+  let kind = 'unknown';
+
+  if (typeof code === 'number' && PERMANENT_CODES.includes(code)) {
+    kind = 'permanent';
+  } else if (typeof code === 'number' && TRANSIENT_CODES.includes(code)) {
+    kind = 'transient';
+  } else if (httpStatus === 429 || httpStatus >= 500) {
+    kind = 'transient';
+  } else if (!error?.response && NETWORK_ERROR_CODES.includes(error?.code)) {
+    kind = 'transient';
+  }
+
+  return {
+    code: typeof code === 'number' ? code : (error?.code || httpStatus || null),
+    message,
+    kind,
+    transient: kind === 'transient',
+    retryable: kind !== 'permanent',
+    rateLimited: httpStatus === 429 || isRateLimitCode(code)
+  };
+};
+
+// Custom Bull backoff: rate limits wait a minute and up, other transient errors start at 5s
+export const whatsappBackoff = (attemptsMade, err) => {
+  const base = err?.classification?.rateLimited ? 60 * 1000 : 5 * 1000;
+  return Math.min(base * Math.pow(2, Math.max(attemptsMade - 1, 0)), 30 * 60 * 1000);
+};
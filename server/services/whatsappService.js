@@ -10,339 +10,605 @@ import {
   notifyMessageFailed,
   notifyIncomingResponse
 } from './notificationService.js';
-
-const WHATSAPP_API_URL = 'https://graph.facebook.com/v23.0';
-const ACCESS_TOKEN = process.env.WHATSAPP_ACCESS_TOKEN;
-const PHONE_NUMBER_ID = process.env.WHATSAPP_PHONE_NUMBER_ID;
+import { extractPlaceholderNumbers, resolvePlaceholder } from './templateVariables.js';
+import { isAbTest, assignVariant, getVariantSpec } from './abTesting.js';
+import { resolveAudience } from './audience.js';
+import { acquireSendSlot } from './throughputGovernor.js';
+import { checkFrequencyCap } from './frequencyCaps.js';
+import { getCampaignSendWindow, resolveContactTimezone, isWithinSendWindow, getNextWindowStart } from './sendWindows.js';
+import { getCallingCode } from '../utils/phoneCountries.js';
+import { recordMessagePricing } from './pricing.js';
+import { canTransition, progressDelta, channelProgressDelta, mergeDeltas } from './messageStatus.js';
+import { emitCampaignProgress } from './socketService.js';
+import { recordCampaignEvent, recordRepeatedCampaignEvent, systemActor } from './campaignEvents.js';
+import { getProvider, resolveCampaignProvider } from '../providers/index.js';
+import { shouldFallBackToSms, startSmsFallback, fallBackAfterFailedStatus } from './smsFallback.js';
+import { isEmailCampaign, canEmailContact, fetchEmailTemplates, snapshotEmailTemplate, buildEmailPayload } from './emailCampaigns.js';
+import { getHeaderMediaFormat, resolveHeaderMedia, prepareCampaignMedia } from './mediaLibrary.js';
+import { validateSessionMessage, buildInteractive } from './interactiveMessages.js';
 
 // Add logging for debugging
-console.log('WhatsApp Service Configuration:');
-console.log('API URL:', WHATSAPP_API_URL);
-console.log('Phone Number ID:', PHONE_NUMBER_ID);
-console.log('Access Token Length:', ACCESS_TOKEN?.length);
+console.log('WhatsApp Service Configuration:', getProvider('whatsapp').describeConfig());
 
-export const sendCampaignMessages = async (campaign, io) => {
+// Prepare a campaign run: validate the template, resolve the audience and mark the campaign as sending.
+// Returns the ids of contacts that still need a message; the scheduler fans them out as queue jobs.
+export const startCampaignRun = async (campaign, io, { runId } = {}) => {
   try {
-    console.log('Starting campaign message sending for campaign:', campaign._id);
+    console.log('Starting campaign run for campaign:', campaign._id);
     console.log('Campaign data:', {
       templateName: campaign.templateName,
       templateLanguage: campaign.templateLanguage,
       templateComponents: campaign.templateComponents
     });
 
-    // Fetch template details to validate components
-    const templateResponse = await fetchLiveWhatsAppTemplates();
+    // Fails early when the campaign's provider is not configured
+    const provider = resolveCampaignProvider(campaign);
+
+    // Fetch template details to validate components; email campaigns use local email templates
+    const isEmail = provider.channel === 'email';
+    const templateResponse = isEmail ? await fetchEmailTemplates() : await fetchLiveWhatsAppTemplates({ provider });
     if (!templateResponse.success) {
       throw new Error(`Failed to fetch templates: ${templateResponse.error}`);
     }
-    const template = templateResponse.templates.find(t => t.name === campaign.templateName);
-    if (!template) {
-      throw new Error(`Template ${campaign.templateName} not found or not approved`);
-    }
-    console.log(`Template details for ${campaign.templateName}:`, JSON.stringify(template, null, 2));
-    console.log('DEBUG: campaign.templateComponents before auto-populate:', campaign.templateComponents);
-    // Auto-populate campaign.templateComponents if empty
-    if (!campaign.templateComponents || campaign.templateComponents.length === 0) {
-      campaign.templateComponents = template.components ? JSON.parse(JSON.stringify(template.components)) : [];
-      await campaign.save();
-      console.log('Auto-populated campaign.templateComponents from template:', campaign.templateComponents);
-    }
-    console.log('DEBUG: campaign.templateComponents after auto-populate:', campaign.templateComponents);
-
-    // Get contacts
-    const contacts = await Contact.find({
-      _id: { $in: campaign.contacts },
-      status: 'active',
-      optedOut: false
-    });
 
-    console.log(`Found ${contacts.length} active contacts for campaign`);
+    // Message jobs build their payloads from these snapshots instead of refetching templates
+    const snapshot = isEmail ? snapshotEmailTemplate : snapshotTemplate;
+    if (isAbTest(campaign)) {
+      for (const variant of campaign.variants) {
+        variant.templateSnapshot = snapshot(templateResponse.templates, variant);
+      }
+      campaign.markModified('variants');
+    } else {
+      campaign.templateSnapshot = snapshot(templateResponse.templates, campaign);
+    }
+
+    // Library header media is uploaded (or renewed) once here rather than by every message job
+    await prepareCampaignMedia(campaign, provider);
+
+    // Selected contacts plus group members, deduplicated, without opted-out or blocked contacts
+    // (and, for email, without contacts lacking an address or unsubscribed from email)
+    const audience = await resolveAudience(campaign);
 
-    if (contacts.length === 0) {
+    console.log(`Found ${audience.length} active contacts for campaign`);
+
+    if (audience.length === 0) {
       throw new Error('No active contacts found');
     }
 
-    // Update campaign progress
-    campaign.progress.total = contacts.length;
-    await campaign.save();
-
-    // Update campaign status to sending
+    // Skip contacts that already have a settled message from an earlier (paused) run
+    const processedContactIds = await Message.distinct('contactId', {
+      campaignId: campaign._id,
+      status: { $ne: 'pending' }
+    });
+    const processed = new Set(processedContactIds.map(id => id.toString()));
+    // Contacts held back for an A/B winner that has not been chosen yet stay pending
+    const pendingContactIds = audience
+      .filter(contactId => !processed.has(contactId.toString()))
+      .filter(contactId => !isAbTest(campaign) || assignVariant(campaign, contactId) !== null);
+    const isResumedRun = processed.size > 0;
+
+    // Update campaign progress and status; contacts settled earlier still count even if
+    // they have since left the audience
+    const audienceIds = new Set(audience.map(id => id.toString()));
+    const settledOutsideAudience = [...processed].filter(id => !audienceIds.has(id)).length;
+    campaign.progress.total = audience.length + settledOutsideAudience;
+    const previousStatus = campaign.status;
     campaign.status = 'sending';
+    if (runId) {
+      campaign.runId = runId;
+    }
     await campaign.save();
 
+    await recordCampaignEvent(campaign, 'sending', {
+      actor: systemActor('scheduler'),
+      fromStatus: previousStatus,
+      toStatus: 'sending',
+      message: `Sending to ${pendingContactIds.length} of ${audience.length} contacts`,
+      details: { runId, audience: audience.length, pending: pendingContactIds.length, resumed: isResumedRun }
+    });
+
     // Notify that broadcast has started
-    await notifyBroadcastStarted('6879de1a31ae68ad5651a7f6', campaign, io);
+    if (!isResumedRun) {
+      await notifyBroadcastStarted('6879de1a31ae68ad5651a7f6', campaign, io);
+    }
 
     // Emit status update
-    io.emit('campaign-status-update', {
-      campaignId: campaign._id,
-      status: 'sending',
-      progress: campaign.progress
+    if (io) {
+      io.emitToCampaign(campaign, 'campaign-status-update', {
+        campaignId: campaign._id,
+        status: 'sending',
+        progress: campaign.progress
+      });
+    }
+
+    console.log(`Campaign ${campaign._id}: ${pendingContactIds.length} of ${audience.length} contacts pending`);
+
+    if (pendingContactIds.length === 0) {
+      await completeCampaignIfSettled(campaign, io);
+    }
+
+    return pendingContactIds;
+  } catch (error) {
+    console.error('Error starting campaign run:', error);
+    const previousStatus = campaign.status;
+    campaign.status = 'failed';
+    await campaign.save();
+
+    await recordCampaignEvent(campaign, 'failed', {
+      actor: systemActor('scheduler'),
+      fromStatus: previousStatus,
+      toStatus: 'failed',
+      message: `Run could not start: ${error.message}`,
+      details: { runId }
     });
 
-    const rateLimitPerMinute = campaign.rateLimitPerMinute || 1000;
-    const delayBetweenMessages = (60 * 1000) / rateLimitPerMinute;
-
-    console.log(`Processing ${contacts.length} contacts with ${delayBetweenMessages}ms delay between messages`);
-
-    for (let i = 0; i < contacts.length; i++) {
-      const contact = contacts[i];
-      console.log(`Processing contact ${i + 1}/${contacts.length}: ${contact.name} (${contact.phone})`);
-
-      let templatePayload = {};
-      try {
-        const formattedPhone = formatPhoneNumber(contact.phone);
-        console.log(`Formatted phone: ${contact.phone} -> ${formattedPhone}`);
-
-        // Build WhatsApp template payload
-        templatePayload = {
-          messaging_product: 'whatsapp',
-          to: formattedPhone,
-          type: 'template',
-          template: {
-            name: campaign.templateName,
-            language: {
-              code: campaign.templateLanguage || 'en'
-            }
-          }
-        };
+    // Notify about broadcast failure
+    await notifyBroadcastFailed('6879de1a31ae68ad5651a7f6', campaign, error.message, io);
 
-        // Only add components if they exist and are not empty
-        if (campaign.templateComponents && campaign.templateComponents.length > 0) {
-          const sanitizedComponents = campaign.templateComponents.map(component => {
-            // Handle HEADER component
-            if (component.type === 'HEADER') {
-              const templateHeader = template.components.find(c => c.type === 'HEADER');
-              if (!templateHeader || campaign.templateName === 'hello_world') {
-                return { type: 'header' }; // Static header
-              }
-              if (templateHeader.format === 'TEXT' && templateHeader.text?.includes('{{')) {
-                return {
-                  type: 'header',
-                  parameters: [{ type: 'text', text: component.text || '' }]
-                };
-              }
-              if (['IMAGE', 'VIDEO', 'DOCUMENT'].includes(templateHeader.format)) {
-                return {
-                  type: 'header',
-                  parameters: [{ type: templateHeader.format.toLowerCase(), [templateHeader.format.toLowerCase()]: component.mediaId || '' }]
-                };
-              }
-              return { type: 'header' };
-            }
+    if (io) {
+      io.emitToCampaign(campaign, 'campaign-status-update', {
+        campaignId: campaign._id,
+        status: 'failed',
+        error: error.message
+      });
+    }
 
-            // Handle BODY component
-            if (component.type === 'BODY' && component.text) {
-              const templateBody = template.components.find(c => c.type === 'BODY');
-              if (!templateBody || campaign.templateName === 'hello_world') {
-                return { type: 'body' }; // Static body
-              }
-              const variables = extractVariablesFromComponents([templateBody]);
-              if (variables.length > 0) {
-                return {
-                  type: 'body',
-                  parameters: variables.map((_, index) => ({
-                    type: 'text',
-                    text: component.text || ''
-                  }))
-                };
-              }
-              return { type: 'body' };
-            }
+    throw error;
+  }
+};
 
-            // Handle BUTTONS component
-            if (component.type === 'BUTTONS') {
-              const templateButtons = template.components.find(c => c.type === 'BUTTONS');
-              if (templateButtons?.buttons?.length > 0) {
-                return templateButtons.buttons.map((button, index) => ({
-                  type: 'button',
-                  sub_type: 'quick_reply',
-                  index: index,
-                  parameters: [
-                    {
-                      type: 'payload',
-                      payload: button.text
-                    }
-                  ]
-                }));
-              }
-            }
+// Validate a template (campaign or A/B variant) against the live templates and snapshot it.
+// Components default to the template's own when the campaign did not specify any.
+export const snapshotTemplate = (liveTemplates, spec) => {
+  const template = liveTemplates.find(t => t.name === spec.templateName);
+  if (!template) {
+    throw new Error(`Template ${spec.templateName} not found or not approved`);
+  }
+  console.log(`Template details for ${spec.templateName}:`, JSON.stringify(template, null, 2));
 
-            // Omit FOOTER
-            if (component.type === 'FOOTER') {
-              return null;
-            }
-            return component;
-          }).flat().filter(Boolean);
-          templatePayload.template.components = sanitizedComponents;
-        }
+  // Auto-populate templateComponents if empty
+  if (!spec.templateComponents || spec.templateComponents.length === 0) {
+    spec.templateComponents = template.components ? JSON.parse(JSON.stringify(template.components)) : [];
+    console.log('Auto-populated templateComponents from template:', spec.templateComponents);
+  }
 
-        console.log('Sending WhatsApp message with payload:', JSON.stringify(templatePayload, null, 2));
+  return {
+    name: template.name,
+    category: template.category,
+    language: template.language,
+    components: template.components || []
+  };
+};
 
-        // Send WhatsApp template message
-        const response = await axios.post(
-          `${WHATSAPP_API_URL}/${PHONE_NUMBER_ID}/messages`,
-          templatePayload,
-          {
-            headers: {
-              'Authorization': `Bearer ${ACCESS_TOKEN}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-
-        console.log('✅ WhatsApp API Success Response:', JSON.stringify(response.data, null, 2));
-
-        // Create message record
-        const message = new Message({
-          campaignId: campaign._id,
-          contactId: contact._id,
-          content: JSON.stringify(templatePayload),
-          body: (template?.components?.find(c => c.type === 'BODY')?.text || ''),
-          status: 'sent',
-          whatsappMessageId: response.data.messages?.[0]?.id || null,
-          sentAt: new Date()
-        });
-        console.log(template);
-        console.log('✅ Message record created:', JSON.stringify(message, null, 2));
-        await message.save();
+// Send the campaign template to a single contact. Runs inside a 'send-message' queue job.
+// Throwing hands the job back to Bull for another attempt; the Message keeps the retry count.
+export const sendCampaignMessage = async ({ campaignId, contactId }, io, { isLastAttempt = false } = {}) => {
+  const campaign = await Campaign.findById(campaignId);
+  if (!campaign) {
+    return { status: 'skipped', reason: 'Campaign not found' };
+  }
 
-        // Update campaign progress
-        campaign.progress.sent++;
-        await campaign.save();
+  // Paused and cancelled campaigns stop here; resume re-enqueues whatever is left
+  if (campaign.status !== 'sending') {
+    console.log(`Campaign ${campaignId} is ${campaign.status}, skipping contact ${contactId}`);
+    return { status: 'skipped', reason: `Campaign is ${campaign.status}` };
+  }
 
-        // Emit status update
-        if (io) {
-          io.emit('campaign-progress-update', {
-            campaignId: campaign._id,
-            progress: campaign.progress
-          });
-        }
+  // SMS fallbacks for the contact are separate messages
+  let message = await Message.findOne({ campaignId, contactId, fallbackFor: null });
+  if (message && message.status !== 'pending') {
+    return { status: 'skipped', reason: 'Message already processed' };
+  }
+  if (!message) {
+    message = new Message({ campaignId, contactId, status: 'pending' });
+  }
 
-      } catch (err) {
-        console.error('❌ Error sending message to contact:', contact.phone);
-        if (err.response) {
-          console.error('WhatsApp API Error Response:', JSON.stringify(err.response.data, null, 2));
-          console.error('Status:', err.response.status);
-          console.error('Headers:', err.response.headers);
-        } else {
-          console.error('Error details:', err.message);
-        }
+  const contact = await Contact.findById(contactId);
+  if (!contact || contact.status !== 'active' || contact.optedOut) {
+    message.retryable = false;
+    return recordMessageFailure(campaign, message, contact, 'Contact is no longer active or has opted out', io);
+  }
+  if (isEmailCampaign(campaign) && !canEmailContact(contact)) {
+    message.channel = 'email';
+    message.retryable = false;
+    return recordMessageFailure(campaign, message, contact, 'Contact has no email address or unsubscribed from email', io);
+  }
 
-        // Handle individual message error
-        const message = new Message({
-          campaignId: campaign._id,
-          contactId: contact._id,
-          content: JSON.stringify(templatePayload || {}),
-          status: 'failed',
-          errorMessage: err.response?.data?.error?.message || err.message,
-          sentAt: new Date()
-        });
-        await message.save();
-        campaign.progress.failed++;
-        await campaign.save();
-
-        // Notify about message failure
-        await notifyMessageFailed('6879de1a31ae68ad5651a7f6', message, contact, campaign, err.response?.data?.error?.message || err.message, io);
-
-        // Emit status update for failed message
-        if (io) {
-          io.emit('campaign-progress-update', {
-            campaignId: campaign._id,
-            progress: campaign.progress
-          });
-        }
-      }
+  // A/B campaigns render the contact's variant; contacts held for the winner wait
+  const variantKey = isAbTest(campaign) ? assignVariant(campaign, contactId) : null;
+  if (isAbTest(campaign) && !variantKey) {
+    return { status: 'skipped', reason: 'Held back until an A/B winner is chosen' };
+  }
+  const spec = getVariantSpec(campaign, variantKey);
+  const template = spec.templateSnapshot;
+  message.variant = variantKey || undefined;
+  message.category = template?.category?.toUpperCase() || undefined;
+  message.templateName = spec.templateName;
+  message.countryCode = getCallingCode(contact.phone) || undefined;
+
+  // Frequency caps: contacts who already got enough messages of this category are skipped
+  const cap = await checkFrequencyCap({ contactId, campaignId: campaign._id, category: message.category });
+  if (cap) {
+    return recordMessageSuppressed(campaign, message, 'frequency_cap', cap, io);
+  }
+
+  // Quiet hours: hold the message until the contact's send window opens
+  const sendWindow = await getCampaignSendWindow(campaign);
+  if (sendWindow) {
+    const timezone = await resolveContactTimezone(contact);
+    if (!isWithinSendWindow(sendWindow, timezone)) {
+      message.deferredUntil = getNextWindowStart(sendWindow, timezone);
+      await message.save();
+      console.log(`Contact ${contact.phone} is outside the send window (${timezone}), deferring until ${message.deferredUntil.toISOString()}`);
+      return { status: 'deferred', reason: 'send_window', until: message.deferredUntil, messageId: message._id };
+    }
+  }
+  message.deferredUntil = undefined;
 
-      // Rate limiting
-      if (i < contacts.length - 1) {
-        await new Promise((resolve) => setTimeout(resolve, delayBetweenMessages));
+  let templatePayload = {};
+  let provider = null;
+  try {
+    provider = resolveCampaignProvider(campaign);
+    message.provider = provider.name;
+    message.channel = provider.channel;
+
+    // Build the template message (or email) with this contact's variable values
+    const isEmail = provider.channel === 'email';
+    if (isEmail) {
+      templatePayload = buildEmailPayload(spec, template, contact);
+    } else {
+      const mediaFormat = getHeaderMediaFormat(template);
+      const headerMedia = mediaFormat ? await resolveHeaderMedia(campaign, contact, mediaFormat, provider) : null;
+      templatePayload = buildTemplatePayload(spec, template, contact, { headerMedia });
+    }
+
+    // Shared per-second and 24h messaging tier limits; out of capacity means wait, not fail.
+    // The tier only exists on WhatsApp.
+    const slot = await acquireSendSlot({
+      recipient: templatePayload.to,
+      businessInitiated: provider.channel === 'whatsapp',
+      phoneNumberId: provider.senderId()
+    });
+    if (!slot.allowed) {
+      const until = new Date(Date.now() + slot.retryAfterMs);
+      if (slot.reason === 'tier') {
+        message.deferredUntil = until;
+        await message.save();
+        console.log(`Messaging tier reached, deferring ${contact.phone} until ${until.toISOString()}`);
       }
+      return { status: 'deferred', reason: slot.reason, until, messageId: message._id };
     }
 
-    // Mark campaign as completed
-    campaign.status = 'completed';
-    await campaign.save();
+    console.log(`Sending template message through ${provider.name}:`, JSON.stringify(templatePayload, null, 2));
 
-    // Notify that broadcast has completed
-    await notifyBroadcastCompleted('6879de1a31ae68ad5651a7f6', campaign, io);
+    const { messageId: providerMessageId } = isEmail
+      ? await provider.sendEmail(templatePayload)
+      : await provider.sendTemplate({ ...templatePayload, definition: template });
 
-    // Emit completion status
-    if (io) {
-      io.emit('campaign-status-update', {
-        campaignId: campaign._id,
-        status: 'completed',
-        progress: campaign.progress
-      });
+    console.log(`✅ ${provider.name} accepted message ${providerMessageId}`);
 
-      // Emit dashboard update
-      io.emit('dashboard-update', {
-        type: 'campaign',
-        data: { campaignId: campaign._id, status: 'completed' }
-      });
-    }
+    // Update message record
+    message.content = JSON.stringify(templatePayload);
+    message.body = isEmail ? templatePayload.text : template?.components?.find(c => c.type === 'BODY')?.text || '';
+    message.status = 'sent';
+    message.whatsappMessageId = providerMessageId;
+    message.errorMessage = undefined;
+    message.sentAt = new Date();
+    await message.save();
 
-    console.log(`✅ Campaign ${campaign._id} completed. Sent: ${campaign.progress.sent}, Failed: ${campaign.progress.failed}`);
+    // Update campaign progress
+    const updatedCampaign = await Campaign.findByIdAndUpdate(
+      campaignId,
+      { $inc: mergeDeltas(progressDelta('pending', 'sent'), channelProgressDelta(message.channel, 'pending', 'sent')) },
+      { new: true }
+    );
 
-  } catch (error) {
-    console.error('Error sending campaign messages:', error);
-    campaign.status = 'failed';
-    await campaign.save();
+    emitCampaignProgress(io, updatedCampaign);
 
-    // Notify about broadcast failure
-    await notifyBroadcastFailed('6879de1a31ae68ad5651a7f6', campaign, error.message, io);
+    await completeCampaignIfSettled(updatedCampaign, io);
 
-    if (io) {
-      io.emit('campaign-status-update', {
-        campaignId: campaign._id,
-        status: 'failed',
-        error: error.message
-      });
+    return { status: 'sent', messageId: message._id };
+  } catch (err) {
+    console.error('❌ Error sending message to contact:', contact.phone);
+    if (err.response) {
+      console.error(`${provider?.name} API Error Response:`, JSON.stringify(err.response.data, null, 2));
+      console.error('Status:', err.response.status);
+    } else {
+      console.error('Error details:', err.message);
     }
 
-    throw error;
+    const classification = (provider || getProvider('whatsapp')).classifyError(err);
+    message.content = JSON.stringify(templatePayload || {});
+    recordErrorOnMessage(message, classification, 'send');
+
+    // Only transient errors (rate limits, 5xx, timeouts) are retried automatically.
+    // The message stays pending and Bull retries it with backoff.
+    if (classification.transient && message.retryCount < message.maxRetries && !isLastAttempt) {
+      message.retryCount++;
+      await message.save();
+      err.classification = classification;
+      throw err;
+    }
+
+    // 'auto' campaigns reach recipients without WhatsApp by SMS instead
+    if (shouldFallBackToSms(campaign, message, classification)) {
+      return recordMessageReplacedBySms(campaign, message, io);
+    }
+
+    return recordMessageFailure(campaign, message, contact, classification.message, io);
   }
 };
 
-// Webhook handler for message status updates
-export const handleWhatsAppWebhook = async (webhookData) => {
-  try {
-    console.log('Processing WhatsApp webhook data:', JSON.stringify(webhookData, null, 2));
-    const { entry } = webhookData;
+// Keep the latest error on the message and append it to the retry history
+const recordErrorOnMessage = (message, classification, source) => {
+  message.errorMessage = classification.message;
+  message.errorCode = classification.code !== null ? String(classification.code) : undefined;
+  message.retryable = classification.retryable;
+  message.retryHistory.push({
+    attempt: message.retryHistory.length + 1,
+    at: new Date(),
+    errorCode: message.errorCode,
+    errorMessage: classification.message,
+    kind: classification.kind,
+    source
+  });
+};
+
+// Settle a message as failed and count it against the campaign
+const recordMessageFailure = async (campaign, message, contact, errorMessage, io) => {
+  message.status = 'failed';
+  message.errorMessage = errorMessage;
+  message.sentAt = new Date();
+  await message.save();
+
+  const updatedCampaign = await Campaign.findByIdAndUpdate(
+    campaign._id,
+    { $inc: mergeDeltas(progressDelta('pending', 'failed'), channelProgressDelta(message.channel, 'pending', 'failed')) },
+    { new: true }
+  );
+
+  // Failures are logged per error, not per message, so a bad batch stays readable
+  await recordRepeatedCampaignEvent(campaign, 'message_errors', message.errorCode || errorMessage, {
+    actor: systemActor('sender'),
+    message: errorMessage,
+    details: { errorCode: message.errorCode, retryable: message.retryable }
+  });
+
+  // Notify about message failure
+  if (contact) {
+    await notifyMessageFailed('6879de1a31ae68ad5651a7f6', message, contact, campaign, errorMessage, io);
+  }
+
+  emitCampaignProgress(io, updatedCampaign);
+
+  await completeCampaignIfSettled(updatedCampaign, io);
+
+  return { status: 'failed', messageId: message._id, error: errorMessage };
+};
+
+// Settle a WhatsApp message as failed and send the contact an SMS; the SMS outcome counts
+// for the contact
+const recordMessageReplacedBySms = async (campaign, message, io) => {
+  message.status = 'failed';
+  message.sentAt = new Date();
+  await message.save();
+  await Campaign.updateOne({ _id: campaign._id }, { $inc: channelProgressDelta(message.channel, 'pending', 'failed') });
+
+  const result = await startSmsFallback(campaign, message, { reason: 'not_on_whatsapp', countedAs: 'pending' }, io);
+  await completeCampaignIfSettled(result?.campaign, io);
+
+  return { status: result?.status || 'failed', messageId: message._id, fallbackMessageId: result?.messageId };
+};
+
+const recordMessageSuppressed = async (campaign, message, reason, cap, io) => {
+  message.status = 'skipped';
+  message.skipReason = reason;
+  message.errorMessage = `${cap.count} ${cap.category} messages in the last ${cap.periodDays} days (cap ${cap.maxMessages})`;
+  message.deferredUntil = undefined;
+  await message.save();
+
+  const updatedCampaign = await Campaign.findByIdAndUpdate(
+    campaign._id,
+    { $inc: { 'progress.suppressed': 1 } },
+    { new: true }
+  );
+
+  emitCampaignProgress(io, updatedCampaign);
+
+  await completeCampaignIfSettled(updatedCampaign, io);
+
+  return { status: 'skipped', reason, messageId: message._id };
+};
+
+// Complete the campaign once every recipient's message job has settled
+export const completeCampaignIfSettled = async (campaign, io) => {
+  if (!campaign) return false;
+
+  const { total, sent, failed, suppressed = 0 } = campaign.progress;
+  if (sent + failed + suppressed < total) return false;
+
+  // Only one settling job wins the transition
+  const completedCampaign = await Campaign.findOneAndUpdate(
+    { _id: campaign._id, status: 'sending' },
+    { status: 'completed', completedAt: new Date() },
+    { new: true }
+  );
+  if (!completedCampaign) return false;
+
+  await recordCampaignEvent(completedCampaign, 'completed', {
+    actor: systemActor('sender'),
+    fromStatus: 'sending',
+    toStatus: 'completed',
+    details: { progress: completedCampaign.toObject().progress }
+  });
+
+  // Notify that broadcast has completed
+  await notifyBroadcastCompleted('6879de1a31ae68ad5651a7f6', completedCampaign, io);
+
+  // Emit completion status
+  if (io) {
+    io.emitToCampaign(completedCampaign, 'campaign-status-update', {
+      campaignId: completedCampaign._id,
+      status: 'completed',
+      progress: completedCampaign.progress
+    });
 
-    for (const entryItem of entry) {
-      const { changes } = entryItem;
+    // Emit dashboard update
+    io.emitDashboardUpdate(completedCampaign.createdBy, 'campaign', {
+      campaignId: completedCampaign._id,
+      status: 'completed'
+    });
+  }
+
+  console.log(`✅ Campaign ${completedCampaign._id} completed. Sent: ${completedCampaign.progress.sent}, Failed: ${completedCampaign.progress.failed}, Suppressed: ${completedCampaign.progress.suppressed || 0}`);
+  return true;
+};
 
-      for (const change of changes) {
-        console.log('Processing webhook change:', JSON.stringify(change, null, 2));
+// Build the template message for a single contact, in the provider-neutral shape drivers
+// send (see providers/index.js). Placeholder values are resolved per contact from
+// campaign.variableMappings; headerMedia is the contact's media header parameter
+// (see services/mediaLibrary.js).
+export const buildTemplatePayload = (campaign, template, contact, { headerMedia = null } = {}) => {
+  const formattedPhone = formatPhoneNumber(contact.phone);
+
+  const templatePayload = {
+    to: formattedPhone,
+    template: {
+      name: campaign.templateName,
+      language: campaign.templateLanguage || 'en'
+    }
+  };
+
+  // Only add components if they exist and are not empty
+  if (campaign.templateComponents && campaign.templateComponents.length > 0) {
+    templatePayload.template.components = buildTemplateComponents(campaign, template, contact, headerMedia);
+  }
+
+  return templatePayload;
+};
+
+const buildTemplateComponents = (campaign, template, contact, headerMedia) => {
+  const templateComponents = template.components || [];
+
+  return campaign.templateComponents.map(component => {
+    // Handle HEADER component
+    if (component.type === 'HEADER') {
+      const templateHeader = templateComponents.find(c => c.type === 'HEADER');
+      if (!templateHeader || campaign.templateName === 'hello_world') {
+        return { type: 'header' }; // Static header
+      }
+      if (templateHeader.format === 'TEXT' && templateHeader.text?.includes('{{')) {
+        return {
+          type: 'header',
+          parameters: [{ type: 'text', text: resolvePlaceholder(campaign, contact, 'header', 1) }]
+        };
+      }
+      if (['IMAGE', 'VIDEO', 'DOCUMENT'].includes(templateHeader.format)) {
+        // A media ID set on the component directly still works for campaigns without library media
+        const type = templateHeader.format.toLowerCase();
+        return {
+          type: 'header',
+          parameters: [{ type, [type]: headerMedia || (component.mediaId ? { id: component.mediaId } : null) }]
+        };
+      }
+      return { type: 'header' };
+    }
 
-        if (change.field === 'messages') {
-          const { statuses, messages } = change.value;
+    // Handle BODY component
+    if (component.type === 'BODY' && component.text) {
+      const templateBody = templateComponents.find(c => c.type === 'BODY');
+      if (!templateBody || campaign.templateName === 'hello_world') {
+        return { type: 'body' }; // Static body
+      }
+      const placeholders = extractPlaceholderNumbers(templateBody.text);
+      if (placeholders.length > 0) {
+        return {
+          type: 'body',
+          parameters: placeholders.map(placeholder => ({
+            type: 'text',
+            text: resolvePlaceholder(campaign, contact, 'body', placeholder)
+          }))
+        };
+      }
+      return { type: 'body' };
+    }
 
-          // Handle message statuses (delivery, read, etc.)
-          if (statuses) {
-            for (const status of statuses) {
-              console.log('Processing message status:', JSON.stringify(status, null, 2));
-              await updateMessageStatus(status);
+    // Handle BUTTONS component
+    if (component.type === 'BUTTONS') {
+      const templateButtons = templateComponents.find(c => c.type === 'BUTTONS');
+      if (templateButtons?.buttons?.length > 0) {
+        return templateButtons.buttons.map((button, index) => {
+          // Dynamic URL buttons take the URL suffix as their only parameter
+          if (button.type === 'URL') {
+            if (!button.url?.includes('{{')) {
+              return null; // Static URL button
             }
+            return {
+              type: 'button',
+              sub_type: 'url',
+              index: index,
+              parameters: [
+                {
+                  type: 'text',
+                  text: resolvePlaceholder(campaign, contact, 'button', 1, index)
+                }
+              ]
+            };
           }
 
-          // Handle incoming messages (replies)
-          if (messages) {
-            for (const message of messages) {
-              console.log('Received incoming message:', JSON.stringify(message, null, 2));
-              await handleIncomingMessage(message);
-            }
+          if (button.type && button.type !== 'QUICK_REPLY') {
+            return null; // Phone number / copy code buttons need no parameters here
           }
-        }
+
+          return {
+            type: 'button',
+            sub_type: 'quick_reply',
+            index: index,
+            parameters: [
+              {
+                type: 'payload',
+                payload: button.text
+              }
+            ]
+          };
+        });
       }
     }
+
+    // Omit FOOTER
+    if (component.type === 'FOOTER') {
+      return null;
+    }
+    return component;
+  }).flat().filter(Boolean);
+};
+
+// Webhook handler for message status updates and incoming messages. The provider's driver
+// turns its payload into normalized statuses and Cloud API shaped messages.
+export const handleProviderWebhook = async (providerName, webhookData, io) => {
+  try {
+    console.log(`Processing ${providerName} webhook data:`, JSON.stringify(webhookData, null, 2));
+    const { statuses, messages } = getProvider(providerName).parseWebhook(webhookData);
+
+    // Handle message statuses (delivery, read, etc.)
+    for (const status of statuses) {
+      console.log('Processing message status:', JSON.stringify(status, null, 2));
+      await updateMessageStatus(status, io);
+    }
+
+    // Handle incoming messages (replies)
+    for (const message of messages) {
+      console.log('Received incoming message:', JSON.stringify(message, null, 2));
+      await handleIncomingMessage(message);
+    }
   } catch (error) {
-    console.error('Error handling WhatsApp webhook:', error);
+    console.error(`Error handling ${providerName} webhook:`, error);
     throw error; // Rethrow to be handled by the route error handler
   }
 };
 
+export const handleWhatsAppWebhook = (webhookData, io) => handleProviderWebhook('whatsapp', webhookData, io);
+
 // Enhanced function to handle incoming messages and responses
 const handleIncomingMessage = async (messageData) => {
   try {
@@ -558,58 +824,75 @@ const triggerN8nResponseWorkflow = async (response, contact, originalContext) =>
   }
 };
 
-const updateMessageStatus = async (statusUpdate) => {
+const updateMessageStatus = async (statusUpdate, io) => {
   try {
     console.log('Updating message status:', JSON.stringify(statusUpdate, null, 2));
-    const { id: whatsappMessageId, status, timestamp, errors } = statusUpdate;
+    const { messageId: providerMessageId, status, timestamp, error } = statusUpdate;
 
-    const message = await Message.findOne({ whatsappMessageId: whatsappMessageId });
+    const message = await Message.findOne({ whatsappMessageId: providerMessageId });
     if (!message) {
-      console.log(`Message not found for WhatsApp ID: ${whatsappMessageId}`);
+      console.log(`Message not found for provider message ID: ${providerMessageId}`);
       return;
     }
 
-    const campaign = await Campaign.findById(message.campaignId);
-    if (!campaign) {
-      console.log(`Campaign not found for message: ${message._id}`);
-      return;
-    }
-
-    // Update message status
     const oldStatus = message.status;
-    message.status = status;
+    const at = timestamp || new Date();
+
+    // Timestamps are kept even when the status itself arrives out of order
+    if (status === 'sent' && !message.sentAt) message.sentAt = at;
+    if (status === 'delivered' && !message.deliveredAt) message.deliveredAt = at;
+    if (status === 'read' && !message.readAt) message.readAt = at;
+
+    // Billing details arrive with sent and delivered statuses
+    await recordMessagePricing(message, statusUpdate);
+
+    // Move the status forward only from the state it was read in, so concurrent webhooks
+    // for the same message are counted once
+    let moved = false;
+    if (canTransition(oldStatus, status)) {
+      const result = await Message.updateOne({ _id: message._id, status: oldStatus }, { $set: { status } });
+      moved = result.modifiedCount === 1;
+    }
 
-    // Handle different status types
-    switch (status) {
-      case 'sent':
-        if (!message.sentAt) {
-          message.sentAt = new Date(timestamp * 1000);
-        }
-        break;
-      case 'delivered':
-        if (!message.deliveredAt) {
-          message.deliveredAt = new Date(timestamp * 1000);
-        }
-        break;
-      case 'read':
-        if (!message.readAt) {
-          message.readAt = new Date(timestamp * 1000);
-        }
-        break;
-      case 'failed':
-        message.errorMessage = errors?.[0]?.message || 'Message delivery failed';
-        // Update campaign stats
-        campaign.progress.failed++;
-        campaign.progress.sent--;
-        break;
+    if (moved && status === 'failed') {
+      if (error) {
+        recordErrorOnMessage(message, error, 'webhook');
+      } else {
+        message.errorMessage = 'Message delivery failed';
+      }
     }
 
-    console.log(`Message ${message._id} status updated: ${oldStatus} -> ${status}`);
     await message.save();
 
-    if (status === 'failed') {
-      await campaign.save();
+    if (!moved) {
+      console.log(`Message ${message._id} is ${oldStatus}, ignoring ${status} status`);
+      return;
+    }
+    console.log(`Message ${message._id} status updated: ${oldStatus} -> ${status}`);
+
+    // A message replaced by an SMS fallback only counts in its channel; a recipient found not
+    // to be on WhatsApp is handed to the SMS fallback, which then counts for the contact
+    let countsOverall = !message.fallback?.messageId;
+    if (countsOverall && status === 'failed' && await fallBackAfterFailedStatus(message, error, oldStatus, io)) {
+      countsOverall = false;
+    }
+
+    const updatedCampaign = await Campaign.findByIdAndUpdate(
+      message.campaignId,
+      {
+        $inc: mergeDeltas(
+          channelProgressDelta(message.channel || 'whatsapp', oldStatus, status),
+          countsOverall ? progressDelta(oldStatus, status) : {}
+        )
+      },
+      { new: true }
+    );
+    if (!updatedCampaign) {
+      console.log(`Campaign not found for message: ${message._id}`);
+      return;
     }
+
+    emitCampaignProgress(io, updatedCampaign);
   } catch (error) {
     console.error('Error updating message status:', error);
     throw error;
@@ -617,7 +900,7 @@ const updateMessageStatus = async (statusUpdate) => {
 };
 
 // Function to format phone number for WhatsApp API
-const formatPhoneNumber = (phone) => {
+export const formatPhoneNumber = (phone) => {
   // Remove any non-digit characters
   let cleaned = phone.replace(/\D/g, '');
 
@@ -630,193 +913,57 @@ const formatPhoneNumber = (phone) => {
   return cleaned;
 };
 
-// Function to send simple text message via WhatsApp Cloud API
-export const sendWhatsAppTextMessage = async (phone, message) => {
-  try {
-    const formattedPhone = formatPhoneNumber(phone);
-    console.log(`Sending simple text message to ${formattedPhone} (original: ${phone})`);
-
-    // Simple text message payload
-    const payload = {
-      messaging_product: 'whatsapp',
-      recipient_type: 'individual',
-      to: formattedPhone,
-      type: 'text',
-      text: {
-        body: message
-      }
-    };
-
-    console.log('Text message payload:', JSON.stringify(payload, null, 2));
+// Link an automated reply to the incoming response it answers
+export const markResponseReplied = async (responseId, messageId) => {
+  if (!responseId) return;
 
-    const response = await axios.post(
-      `${WHATSAPP_API_URL}/${PHONE_NUMBER_ID}/messages`,
-      payload,
-      {
-        headers: {
-          'Authorization': `Bearer ${ACCESS_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    console.log('WhatsApp API Response:', JSON.stringify(response.data, null, 2));
-
-    if (!response.data.messages || !response.data.messages[0]) {
-      throw new Error('Invalid response format from WhatsApp API');
-    }
-
-    return {
-      success: true,
-      messageId: response.data.messages[0].id
-    };
-  } catch (error) {
-    console.error('Error sending WhatsApp text message:');
-    console.error('Error details:', {
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-      data: error.response?.data,
-      message: error.message
-    });
+  const response = await Response.findById(responseId);
+  if (response) {
+    response.autoResponseSent = true;
+    response.autoResponseMessageId = messageId;
+    response.n8nResponseSent = true;
+    await response.save();
+  }
+};
 
-    // Log environment details for debugging
-    console.error('Environment check:', {
-      apiUrl: WHATSAPP_API_URL,
-      phoneNumberId: PHONE_NUMBER_ID,
-      hasAccessToken: !!ACCESS_TOKEN,
-      accessTokenLength: ACCESS_TOKEN?.length
-    });
+// Send a session message (see services/interactiveMessages.js) inside the contact's customer
+// service window, through the WhatsApp Cloud API unless another provider is given. A string is
+// sent as text; replyTo quotes the contact's message with that WhatsApp message ID.
+export const sendSessionMessage = async (phone, message, { provider: providerName = 'whatsapp', replyTo } = {}) => {
+  const provider = getProvider(providerName);
+  const session = typeof message === 'string' ? { type: 'text', body: message } : { ...message, type: message?.type || 'text' };
 
-    return {
-      success: false,
-      error: error.response?.data?.error?.message || error.message
-    };
+  const validationError = validateSessionMessage(session);
+  if (validationError) {
+    return { success: false, error: validationError };
   }
-};
 
-// Function to send WhatsApp template message
-const sendWhatsAppTemplateMessage = async (phone, template, campaignVariables, contact) => {
   try {
     const formattedPhone = formatPhoneNumber(phone);
-    console.log(`Sending WhatsApp template "${template.whatsappTemplateName}" to ${formattedPhone} (original: ${phone})`);
-
-    // Build template payload
-    const templatePayload = {
-      messaging_product: 'whatsapp',
-      recipient_type: 'individual',
-      to: formattedPhone,
-      type: 'template',
-      template: {
-        name: template.whatsappTemplateName,
-        language: {
-          code: template.whatsappConfig?.language || 'en'
-        }
-      }
-    };
-
-    // Add components if template has dynamic content or buttons
-    const components = [];
-
-    // Handle HEADER component
-    const templateHeader = template.components.find(c => c.type === 'HEADER');
-    if (templateHeader) {
-      if (templateHeader.format === 'TEXT' && templateHeader.text?.includes('{{')) {
-        components.push({
-          type: 'header',
-          parameters: [{ type: 'text', text: templateHeader.text || '' }]
-        });
-      } else if (['IMAGE', 'VIDEO', 'DOCUMENT'].includes(templateHeader.format)) {
-        components.push({
-          type: 'header',
-          parameters: [{ type: templateHeader.format.toLowerCase(), [templateHeader.format.toLowerCase()]: '' }]
-        });
-      } else {
-        components.push({ type: 'header' });
-      }
-    }
-
-    // Handle BODY component
-    const bodyVariables = extractTemplateVariables(template.body);
-    if (bodyVariables.length > 0) {
-      const bodyParameters = bodyVariables.map(variable => {
-        let value = '';
-
-        // Try to get value from campaign variables first
-        if (campaignVariables && campaignVariables.has(variable)) {
-          value = campaignVariables.get(variable);
-        }
-        // Then try contact-specific variables
-        else if (variable === 'name') {
-          value = contact.name;
-        } else if (variable === 'phone') {
-          value = contact.phone;
-        } else if (variable === 'email') {
-          value = contact.email || '';
-        } else if (contact.metadata && contact.metadata.has(variable)) {
-          value = contact.metadata.get(variable);
-        }
-
-        return {
-          type: 'text',
-          text: value
-        };
-      });
-
-      components.push({
-        type: 'body',
-        parameters: bodyParameters
-      });
-    } else {
-      components.push({ type: 'body' });
-    }
-
-    // Handle BUTTONS component
-    if (template.whatsappConfig?.hasButtons && template.whatsappConfig.buttons?.length > 0) {
-      const buttonComponents = template.whatsappConfig.buttons.map((button, index) => ({
-        type: 'button',
-        sub_type: 'quick_reply',
-        index: index,
-        parameters: [
-          {
-            type: 'payload',
-            payload: button.text
-          }
-        ]
-      }));
-      components.push(...buttonComponents);
-      console.log(`Added ${buttonComponents.length} button components to payload`);
-    }
+    console.log(`Sending ${session.type} session message to ${formattedPhone} (original: ${phone}) through ${provider.name}`);
 
-    // Add components to template if any exist
-    if (components.length > 0) {
-      templatePayload.template.components = components;
+    // Free-form messages are only allowed inside a customer service window, so they count
+    // toward throughput but not the messaging tier
+    const slot = await acquireSendSlot({ recipient: formattedPhone, businessInitiated: false, phoneNumberId: provider.senderId() });
+    if (!slot.allowed) {
+      return {
+        success: false,
+        throttled: true,
+        retryAfterMs: slot.retryAfterMs,
+        error: `Throughput limit reached (${slot.reason}), retry in ${slot.retryAfterMs}ms`
+      };
     }
 
-    console.log('WhatsApp template payload:', JSON.stringify(templatePayload, null, 2));
-
-    const response = await axios.post(
-      `${WHATSAPP_API_URL}/${PHONE_NUMBER_ID}/messages`,
-      templatePayload,
-      {
-        headers: {
-          'Authorization': `Bearer ${ACCESS_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    console.log('WhatsApp Template API Response:', JSON.stringify(response.data, null, 2));
-
-    if (!response.data.messages || !response.data.messages[0]) {
-      throw new Error('Invalid response format from WhatsApp API');
-    }
+    const { messageId } = session.type === 'text'
+      ? await provider.sendText({ to: formattedPhone, body: session.body, replyTo })
+      : await provider.sendInteractive({ to: formattedPhone, interactive: buildInteractive(session), replyTo });
 
     return {
       success: true,
-      messageId: response.data.messages[0].id
+      messageId
     };
   } catch (error) {
-    console.error('Error sending WhatsApp template message:');
+    console.error(`Error sending ${provider.name} ${session.type} message:`);
     console.error('Error details:', {
       status: error.response?.status,
       statusText: error.response?.statusText,
@@ -824,46 +971,30 @@ const sendWhatsAppTemplateMessage = async (phone, template, campaignVariables, c
       message: error.message
     });
 
+    // Log environment details for debugging
+    console.error('Environment check:', provider.describeConfig());
+
     return {
       success: false,
-      error: error.response?.data?.error?.message || error.message
+      error: provider.classifyError(error).message
     };
   }
 };
 
-// Function to fetch live templates from Meta WhatsApp Business API
-export const fetchLiveWhatsAppTemplates = async () => {
-  try {
-    const BUSINESS_ACCOUNT_ID = process.env.WHATSAPP_BUSINESS_ACCOUNT_ID;
-
-    if (!BUSINESS_ACCOUNT_ID) {
-      throw new Error('WHATSAPP_BUSINESS_ACCOUNT_ID environment variable is required');
-    }
-
-    console.log('Fetching live WhatsApp templates from Meta API...');
+// Function to send a simple text message
+export const sendWhatsAppTextMessage = (phone, message, options = {}) => sendSessionMessage(phone, String(message ?? ''), options);
 
-    const response = await axios.get(
-      `${WHATSAPP_API_URL}/${BUSINESS_ACCOUNT_ID}/message_templates`,
-      {
-        headers: {
-          'Authorization': `Bearer ${ACCESS_TOKEN}`,
-          'Content-Type': 'application/json'
-        },
-        params: {
-          fields: 'name,status,category,language,components,id',
-          limit: 100 // Adjust as needed
-        }
-      }
-    );
-
-    console.log('Meta API Response:', JSON.stringify(response.data, null, 2));
+// Function to fetch live templates from Meta WhatsApp Business API. Providers with their own
+// template catalog (the mock) list theirs; Twilio sends the WhatsApp Business account's.
+export const fetchLiveWhatsAppTemplates = async ({ provider } = {}) => {
+  try {
+    const source = provider?.listTemplates ? provider : getProvider('whatsapp');
+    console.log(`Fetching live templates from ${source.name}...`);
 
-    if (!response.data.data) {
-      throw new Error('Invalid response format from Meta API');
-    }
+    const liveTemplates = await source.listTemplates();
 
     // Transform Meta API response to our frontend format
-    const templates = response.data.data
+    const templates = liveTemplates
       .filter(template => template.status === 'APPROVED') // Only show approved templates
       .map(template => ({
         id: template.id,
@@ -888,7 +1019,7 @@ export const fetchLiveWhatsAppTemplates = async () => {
         isLiveTemplate: true // Flag to indicate this is from Meta API
       }));
 
-    console.log(`Successfully fetched ${templates.length} approved templates from Meta API`);
+    console.log(`Successfully fetched ${templates.length} approved templates from ${source.name}`);
     return {
       success: true,
       templates,
@@ -983,17 +1114,3 @@ const getHeaderType = (components) => {
   return 'none';
 };
 
-// Helper function to extract variables from template body
-const extractTemplateVariables = (templateBody) => {
-  const variableRegex = /{{(\w+)}}/g;
-  const variables = [];
-  let match;
-
-  while ((match = variableRegex.exec(templateBody)) !== null) {
-    if (!variables.includes(match[1])) {
-      variables.push(match[1]);
-    }
-  }
-
-  return variables;
-};
\ No newline at end of file
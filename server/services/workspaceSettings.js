@@ -0,0 +1,35 @@
+import WorkspaceSettings from '../models/WorkspaceSettings.js';
+
+// Settings are read for every message job, so keep them briefly in memory
+const CACHE_TTL_MS = 30 * 1000;
+
+let cachedSettings = null;
+let cachedAt = 0;
+
+export const getWorkspaceSettings = async () => {
+  if (cachedSettings && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedSettings;
+  }
+
+  cachedSettings = await WorkspaceSettings.findOneAndUpdate(
+    { key: 'workspace' },
+    { $setOnInsert: { key: 'workspace' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  cachedAt = Date.now();
+
+  return cachedSettings;
+};
+
+export const updateWorkspaceSettings = async (updates, updatedBy) => {
+  const settings = await getWorkspaceSettings();
+
+  settings.set(updates);
+  settings.updatedBy = updatedBy;
+  await settings.save();
+
+  cachedSettings = settings;
+  cachedAt = Date.now();
+
+  return settings;
+};
@@ -0,0 +1,20 @@
+import '../env.js';
+import express from 'express';
+import { createWhatsAppSimulator } from './whatsappCloudSimulator.js';
+
+// Standalone WhatsApp Cloud API simulator. Run the app with
+//   WHATSAPP_API_URL=http://localhost:4010/v23.0
+// and WHATSAPP_SIMULATOR_WEBHOOK_URL pointing back at the app's /api/n8n/webhook.
+
+const PORT = process.env.WHATSAPP_SIMULATOR_PORT || 4010;
+
+const app = express();
+const simulator = createWhatsAppSimulator({
+  webhookUrl: process.env.WHATSAPP_SIMULATOR_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3001}/api/n8n/webhook`
+});
+app.use(simulator.router);
+
+app.listen(PORT, () => {
+  console.log(`✅ WhatsApp Cloud API simulator listening on port ${PORT}`);
+  console.log(`Webhooks are pushed to ${simulator.config.webhookUrl}`);
+});
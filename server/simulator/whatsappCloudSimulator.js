@@ -0,0 +1,560 @@
+import express from 'express';
+import axios from 'axios';
+import crypto from 'crypto';
+
+// WhatsApp Cloud API simulator
+//
+// Stands in for graph.facebook.com so campaigns can run offline and in CI. It implements
+//   POST /{version}/{phone-number-id}/messages
+//   GET  /{version}/{waba-id}/message_templates
+//   POST /{version}/{phone-number-id}/media
+// with Cloud API success and error bodies, and pushes status webhooks (sent, delivered, read,
+// failed) and inbound replies to the app's webhook, like Meta would.
+//
+// Point the app at it with WHATSAPP_API_URL, either as a standalone server
+// (simulator/server.js) or mounted in-process (WHATSAPP_SIMULATOR=true, see mountWhatsAppSimulator).
+// The /_simulator endpoints inspect sent messages, change the configuration at runtime and
+// push inbound messages or statuses by hand.
+
+const MAX_TRACKED_MESSAGES = 1000;
+const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const DISPLAY_PHONE_NUMBER = '15550000000';
+
+const ERRORS = {
+  100: { httpStatus: 400, title: 'Invalid parameter' },
+  131000: { httpStatus: 500, title: 'Something went wrong' },
+  131008: { httpStatus: 400, title: 'Required parameter is missing' },
+  131009: { httpStatus: 400, title: 'Parameter value is not valid' },
+  131026: { httpStatus: 400, title: 'Message undeliverable' },
+  131047: { httpStatus: 400, title: 'Re-engagement message', details: 'Message failed to send because more than 24 hours have passed since the customer last replied to this number.' },
+  131050: { httpStatus: 400, title: 'User stopped marketing messages' },
+  130429: { httpStatus: 429, title: 'Rate limit hit', details: 'Cloud API message throughput has been reached.' },
+  131053: { httpStatus: 400, title: 'Media upload error' },
+  132000: { httpStatus: 400, title: 'Number of parameters does not match the expected number of params' },
+  132001: { httpStatus: 404, title: 'Template name does not exist in the translation' },
+  190: { httpStatus: 401, title: 'Invalid OAuth access token - Cannot parse access token' }
+};
+
+const DEFAULT_TEMPLATES = [
+  {
+    id: '1000000000000001',
+    name: 'hello_world',
+    status: 'APPROVED',
+    category: 'UTILITY',
+    language: 'en_US',
+    components: [
+      { type: 'HEADER', format: 'TEXT', text: 'Hello World' },
+      { type: 'BODY', text: 'Welcome and congratulations!! This message demonstrates your ability to send a WhatsApp message notification from the Cloud API, hosted by Meta. Thank you for taking the time to test with us.' },
+      { type: 'FOOTER', text: 'WhatsApp Business Platform sample message' }
+    ]
+  },
+  {
+    id: '1000000000000002',
+    name: 'order_update',
+    status: 'APPROVED',
+    category: 'UTILITY',
+    language: 'en',
+    components: [
+      { type: 'BODY', text: 'Hi {{1}}, your order {{2}} is on its way.', example: { body_text: [['Asha', '#1042']] } }
+    ]
+  },
+  {
+    id: '1000000000000003',
+    name: 'seasonal_offer',
+    status: 'APPROVED',
+    category: 'MARKETING',
+    language: 'en',
+    components: [
+      { type: 'HEADER', format: 'TEXT', text: '{{1}} is here', example: { header_text: ['Diwali sale'] } },
+      { type: 'BODY', text: 'Hi {{1}}, get {{2}} off everything this week.', example: { body_text: [['Asha', '20%']] } },
+      {
+        type: 'BUTTONS',
+        buttons: [
+          { type: 'QUICK_REPLY', text: 'Interested' },
+          { type: 'QUICK_REPLY', text: 'Stop promotions' }
+        ]
+      }
+    ]
+  },
+  {
+    id: '1000000000000004',
+    name: 'product_launch',
+    status: 'APPROVED',
+    category: 'MARKETING',
+    language: 'en',
+    components: [
+      { type: 'HEADER', format: 'IMAGE', example: { header_handle: ['https://example.com/launch.jpg'] } },
+      { type: 'BODY', text: 'Hi {{1}}, meet our newest product.', example: { body_text: [['Asha']] } }
+    ]
+  }
+];
+
+// "15550000001:131026,15550000002:131050" -> { '15550000001': 131026, ... }
+const parseNumberCodes = (value) => Object.fromEntries(
+  String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [number, code] = entry.split(':');
+    return [number.replace(/\D/g, ''), Number(code) || 131026];
+  })
+);
+
+export const getSimulatorConfigFromEnv = () => ({
+  webhookUrl: process.env.WHATSAPP_SIMULATOR_WEBHOOK_URL,
+  accessToken: process.env.WHATSAPP_SIMULATOR_ACCESS_TOKEN,
+  appSecret: process.env.WHATSAPP_APP_SECRET,
+  statusDelayMs: Number(process.env.WHATSAPP_SIMULATOR_STATUS_DELAY_MS) || 1000,
+  statuses: process.env.WHATSAPP_SIMULATOR_STATUSES
+    ? process.env.WHATSAPP_SIMULATOR_STATUSES.split(',').map(s => s.trim()).filter(Boolean)
+    : ['sent', 'delivered', 'read'],
+  failureRate: Number(process.env.WHATSAPP_SIMULATOR_FAILURE_RATE) || 0,
+  failureCode: Number(process.env.WHATSAPP_SIMULATOR_FAILURE_CODE) || 131026,
+  replyRate: Number(process.env.WHATSAPP_SIMULATOR_REPLY_RATE) || 0,
+  replyText: process.env.WHATSAPP_SIMULATOR_REPLY_TEXT || 'Thanks!',
+  // Rejected when sent, with the error code in the response
+  rejectNumbers: parseNumberCodes(process.env.WHATSAPP_SIMULATOR_REJECT_NUMBERS),
+  // Accepted, then reported failed in a status webhook
+  failNumbers: parseNumberCodes(process.env.WHATSAPP_SIMULATOR_FAIL_NUMBERS)
+});
+
+const randomId = (bytes) => crypto.randomBytes(bytes).toString('hex');
+const nowSeconds = () => String(Math.floor(Date.now() / 1000));
+
+const graphError = (code, details) => {
+  const definition = ERRORS[code] || ERRORS[131000];
+  return {
+    httpStatus: definition.httpStatus,
+    body: {
+      error: {
+        message: `(#${code}) ${definition.title}`,
+        type: 'OAuthException',
+        code,
+        error_data: {
+          messaging_product: 'whatsapp',
+          details: details || definition.details || definition.title
+        },
+        fbtrace_id: randomId(12)
+      }
+    }
+  };
+};
+
+const webhookError = (code) => {
+  const definition = ERRORS[code] || ERRORS[131000];
+  return {
+    code,
+    title: definition.title,
+    message: definition.title,
+    error_data: { details: definition.details || definition.title }
+  };
+};
+
+const placeholderCount = (text) => new Set(String(text || '').match(/\{\{\s*\d+\s*\}\}/g) || []).size;
+
+const MEDIA_FORMATS = ['IMAGE', 'VIDEO', 'DOCUMENT'];
+
+// Parameter count problems, checked the way the Cloud API does for header and body. Media
+// headers take exactly one parameter.
+const checkTemplateParameters = (definition, components = []) => {
+  for (const type of ['HEADER', 'BODY']) {
+    const component = definition.components.find(c => c.type === type);
+    const expected = MEDIA_FORMATS.includes(component?.format) ? 1 : placeholderCount(component?.text);
+    const sent = components.find(c => c.type?.toUpperCase() === type)?.parameters?.length || 0;
+    if (expected !== sent) {
+      return `${type.toLowerCase()}: number of localizable_params (${sent}) does not match the expected number of params (${expected})`;
+    }
+  }
+  return null;
+};
+
+// Structure checks for reply button, list and CTA URL messages
+const checkInteractive = (interactive) => {
+  if (!['button', 'list', 'cta_url'].includes(interactive?.type)) {
+    return { code: 131009, details: 'interactive.type must be button, list or cta_url.' };
+  }
+  if (!interactive.body?.text) {
+    return { code: 131008, details: 'The parameter interactive.body.text is required.' };
+  }
+
+  const action = interactive.action || {};
+  if (interactive.type === 'button' && !(action.buttons?.length >= 1 && action.buttons.length <= 3)) {
+    return { code: 131009, details: 'interactive.action.buttons must have between 1 and 3 buttons.' };
+  }
+  if (interactive.type === 'list') {
+    const rows = (action.sections || []).flatMap(section => section.rows || []);
+    if (!action.button || rows.length < 1 || rows.length > 10) {
+      return { code: 131009, details: 'interactive.action needs a button and between 1 and 10 rows.' };
+    }
+  }
+  if (interactive.type === 'cta_url' && !action.parameters?.url) {
+    return { code: 131008, details: 'The parameter interactive.action.parameters.url is required.' };
+  }
+  return null;
+};
+
+// What a customer can tap in an interactive message, for simulated replies
+const interactiveReplyOptions = (interactive) => {
+  if (interactive.type === 'button') {
+    return interactive.action.buttons.map(button => ({ type: 'button_reply', id: button.reply?.id, title: button.reply?.title }));
+  }
+  if (interactive.type === 'list') {
+    return interactive.action.sections.flatMap(section => section.rows || [])
+      .map(row => ({ type: 'list_reply', id: row.id, title: row.title, description: row.description }));
+  }
+  return [];
+};
+
+// A media header parameter needs the media ID of an upload or a link
+const checkHeaderMedia = (definition, components = [], uploadedMedia) => {
+  const format = definition.components.find(c => c.type === 'HEADER')?.format;
+  if (!MEDIA_FORMATS.includes(format)) return null;
+
+  const type = format.toLowerCase();
+  const media = components.find(c => c.type?.toUpperCase() === 'HEADER')?.parameters?.[0]?.[type];
+  if (!media?.id && !media?.link) {
+    return { code: 131008, details: `header: ${type} requires an id or a link.` };
+  }
+  if (media.id && !uploadedMedia.has(String(media.id))) {
+    return { code: 131053, details: `Media ${media.id} was not found; it may have expired.` };
+  }
+  return null;
+};
+
+export const createWhatsAppSimulator = (options = {}) => {
+  const config = {
+    ...getSimulatorConfigFromEnv(),
+    templates: DEFAULT_TEMPLATES,
+    ...options
+  };
+
+  // wamid -> sent message, newest last
+  const messages = new Map();
+  // recipient -> last inbound message time, for the customer service window
+  const lastInbound = new Map();
+  // Media IDs issued by the media endpoint
+  const uploadedMedia = new Set();
+  const timers = new Set();
+
+  const later = (fn, delayMs) => {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, delayMs);
+    timer.unref?.();
+    timers.add(timer);
+  };
+
+  const pushWebhook = async (phoneNumberId, value) => {
+    if (!config.webhookUrl) return;
+
+    const payload = {
+      object: 'whatsapp_business_account',
+      entry: [{
+        id: config.businessAccountId || 'simulator',
+        changes: [{
+          field: 'messages',
+          value: {
+            messaging_product: 'whatsapp',
+            metadata: { display_phone_number: DISPLAY_PHONE_NUMBER, phone_number_id: phoneNumberId },
+            ...value
+          }
+        }]
+      }]
+    };
+
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.appSecret) {
+      headers['X-Hub-Signature-256'] = `sha256=${crypto.createHmac('sha256', config.appSecret).update(body).digest('hex')}`;
+    }
+
+    try {
+      await axios.post(config.webhookUrl, body, { headers });
+    } catch (error) {
+      console.error('❌ Simulator webhook failed:', error.response?.status || error.message);
+    }
+  };
+
+  const pushStatus = (message, status, errorCode) => {
+    message.status = status;
+    const statusUpdate = {
+      id: message.id,
+      status,
+      timestamp: nowSeconds(),
+      recipient_id: message.to
+    };
+
+    if (status === 'failed') {
+      statusUpdate.errors = [webhookError(errorCode || config.failureCode)];
+    } else if (status === 'sent' || status === 'delivered') {
+      const free = message.type !== 'template';
+      statusUpdate.conversation = {
+        id: message.conversationId,
+        origin: { type: free ? 'service' : message.category },
+        ...(status === 'sent' ? { expiration_timestamp: String(Math.floor((Date.now() + SERVICE_WINDOW_MS) / 1000)) } : {})
+      };
+      statusUpdate.pricing = {
+        billable: !free,
+        pricing_model: 'PMP',
+        category: free ? 'service' : message.category,
+        type: free ? 'free_customer_service' : 'regular'
+      };
+    }
+
+    return pushWebhook(message.phoneNumberId, { statuses: [statusUpdate] });
+  };
+
+  const pushInbound = ({ phoneNumberId, from, text, button, interactive, contextId, name }) => {
+    lastInbound.set(from, Date.now());
+
+    const inbound = {
+      from,
+      id: `wamid.${randomId(16)}`,
+      timestamp: nowSeconds(),
+      ...(contextId ? { context: { from: DISPLAY_PHONE_NUMBER, id: contextId } } : {})
+    };
+    if (interactive) {
+      const { type, ...reply } = interactive;
+      inbound.type = 'interactive';
+      inbound.interactive = { type, [type]: reply };
+    } else if (button) {
+      inbound.type = 'button';
+      inbound.button = { payload: button, text: button };
+    } else {
+      inbound.type = 'text';
+      inbound.text = { body: text || config.replyText };
+    }
+
+    return pushWebhook(phoneNumberId || config.phoneNumberId || 'simulator', {
+      contacts: [{ profile: { name: name || `Simulated ${from}` }, wa_id: from }],
+      messages: [inbound]
+    });
+  };
+
+  // Status webhooks for an accepted message, then maybe a reply
+  const scheduleLifecycle = (message) => {
+    // Free-form messages only reach contacts who wrote in during the last 24 hours
+    const outsideWindow = message.type !== 'template' &&
+      Date.now() - (lastInbound.get(message.to) || 0) >= SERVICE_WINDOW_MS;
+    const failCode = config.failNumbers[message.to] ||
+      (outsideWindow ? 131047 : null) ||
+      (Math.random() < config.failureRate ? config.failureCode : null);
+
+    const steps = failCode ? ['failed'] : config.statuses;
+    steps.forEach((status, index) => {
+      later(() => pushStatus(message, status, failCode), config.statusDelayMs * (index + 1));
+    });
+
+    if (!failCode && Math.random() < config.replyRate) {
+      const quickReply = message.buttons?.[0];
+      later(() => pushInbound({
+        phoneNumberId: message.phoneNumberId,
+        from: message.to,
+        text: config.replyText,
+        button: quickReply,
+        interactive: message.replyOptions?.[0],
+        contextId: message.id
+      }), config.statusDelayMs * (steps.length + 1));
+    }
+  };
+
+  const track = (message) => {
+    messages.set(message.id, message);
+    if (messages.size > MAX_TRACKED_MESSAGES) {
+      messages.delete(messages.keys().next().value);
+    }
+  };
+
+  const sendError = (res, code, details) => {
+    const { httpStatus, body } = graphError(code, details);
+    res.status(httpStatus).json(body);
+  };
+
+  const router = express.Router();
+  router.use(express.json({ limit: '1mb' }));
+
+  // Simulator controls
+
+  router.get('/_simulator/messages', (req, res) => {
+    const list = [...messages.values()].filter(m => !req.query.to || m.to === req.query.to);
+    res.json({ messages: list });
+  });
+
+  router.get('/_simulator/config', (req, res) => {
+    res.json({ config });
+  });
+
+  router.put('/_simulator/config', (req, res) => {
+    Object.assign(config, req.body || {});
+    res.json({ config });
+  });
+
+  router.post('/_simulator/inbound', async (req, res) => {
+    const { from, text, button, interactive, contextId, name } = req.body || {};
+    if (!from) {
+      return res.status(400).json({ error: 'from is required' });
+    }
+    await pushInbound({ from: String(from).replace(/\D/g, ''), text, button, interactive, contextId, name });
+    res.json({ success: true });
+  });
+
+  router.post('/_simulator/messages/:id/status', async (req, res) => {
+    const message = messages.get(req.params.id);
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    const { status, errorCode } = req.body || {};
+    if (!['sent', 'delivered', 'read', 'failed'].includes(status)) {
+      return res.status(400).json({ error: 'status must be sent, delivered, read or failed' });
+    }
+    await pushStatus(message, status, errorCode);
+    res.json({ success: true, message });
+  });
+
+  router.post('/_simulator/reset', (req, res) => {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+    messages.clear();
+    lastInbound.clear();
+    res.json({ success: true });
+  });
+
+  // Graph API
+
+  router.use('/:version', (req, res, next) => {
+    const token = req.headers.authorization?.startsWith('Bearer ') ? req.headers.authorization.slice(7) : null;
+    if (!token || (config.accessToken && token !== config.accessToken)) {
+      return sendError(res, 190);
+    }
+    next();
+  });
+
+  router.post('/:version/:phoneNumberId/messages', (req, res) => {
+    const { phoneNumberId } = req.params;
+    const body = req.body || {};
+    const to = String(body.to || '').replace(/\D/g, '');
+
+    if (body.messaging_product !== 'whatsapp') {
+      return sendError(res, 100, 'The parameter messaging_product is required.');
+    }
+    if (!to) {
+      return sendError(res, 131008, 'The parameter to is required.');
+    }
+    if (config.rejectNumbers[to]) {
+      return sendError(res, config.rejectNumbers[to]);
+    }
+
+    const type = body.type || 'text';
+    const message = {
+      id: `wamid.${randomId(16)}`,
+      phoneNumberId,
+      to,
+      type,
+      status: 'accepted',
+      conversationId: randomId(16),
+      createdAt: new Date()
+    };
+
+    if (type === 'template') {
+      const { name, language, components } = body.template || {};
+      const definition = config.templates.find(t => t.name === name && (!language?.code || t.language === language.code));
+      if (!definition) {
+        return sendError(res, 132001, `template name (${name}) does not exist in ${language?.code || 'the requested language'}`);
+      }
+      const parameterProblem = checkTemplateParameters(definition, components);
+      if (parameterProblem) {
+        return sendError(res, 132000, parameterProblem);
+      }
+      const mediaProblem = checkHeaderMedia(definition, components, uploadedMedia);
+      if (mediaProblem) {
+        return sendError(res, mediaProblem.code, mediaProblem.details);
+      }
+      message.template = body.template;
+      message.category = definition.category.toLowerCase();
+      message.buttons = definition.components
+        .find(c => c.type === 'BUTTONS')?.buttons
+        ?.filter(b => b.type === 'QUICK_REPLY')
+        .map(b => b.text);
+    } else if (type === 'text') {
+      if (!body.text?.body) {
+        return sendError(res, 131008, 'The parameter text.body is required.');
+      }
+      message.text = body.text.body;
+    } else if (type === 'interactive') {
+      const interactiveProblem = checkInteractive(body.interactive);
+      if (interactiveProblem) {
+        return sendError(res, interactiveProblem.code, interactiveProblem.details);
+      }
+      message.interactive = body.interactive;
+      message.replyOptions = interactiveReplyOptions(body.interactive);
+    } else {
+      message.content = body[type];
+    }
+    // Replies quoting a customer's message
+    if (body.context?.message_id) {
+      message.contextId = body.context.message_id;
+    }
+
+    track(message);
+    scheduleLifecycle(message);
+
+    res.json({
+      messaging_product: 'whatsapp',
+      contacts: [{ input: body.to, wa_id: to }],
+      messages: [{ id: message.id, ...(type === 'template' ? { message_status: 'accepted' } : {}) }]
+    });
+  });
+
+  router.get('/:version/:businessAccountId/message_templates', (req, res) => {
+    const limit = Number(req.query.limit) || 25;
+    res.json({
+      data: config.templates.slice(0, limit),
+      paging: { cursors: { before: 'MAZDZD', after: 'MjQZD' } }
+    });
+  });
+
+  router.post('/:version/:phoneNumberId/media', express.raw({ type: 'multipart/form-data', limit: '100mb' }), (req, res) => {
+    if (!req.is('multipart/form-data') || !req.body?.length) {
+      return sendError(res, 100, 'The parameter file is required.');
+    }
+    if (!req.body.toString('latin1').includes('name="messaging_product"')) {
+      return sendError(res, 100, 'The parameter messaging_product is required.');
+    }
+    const id = String(Date.now()) + String(Math.floor(Math.random() * 1000)).padStart(3, '0');
+    uploadedMedia.add(id);
+    res.json({ id });
+  });
+
+  return {
+    router,
+    config,
+    getMessages: () => [...messages.values()],
+    pushInbound,
+    close: () => {
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+    }
+  };
+};
+
+// Mount the simulator on the app under /simulator/graph and point the WhatsApp driver at it.
+// Credentials the simulator does not check get placeholder values when unset.
+export const mountWhatsAppSimulator = (app, { port }) => {
+  if (process.env.NODE_ENV === 'production') {
+    console.error('❌ WHATSAPP_SIMULATOR is ignored in production');
+    return null;
+  }
+
+  const localUrl = `http://localhost:${port}`;
+  const simulator = createWhatsAppSimulator({
+    webhookUrl: process.env.WHATSAPP_SIMULATOR_WEBHOOK_URL || `${localUrl}/api/n8n/webhook`,
+    phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID || 'simulator'
+  });
+  app.use('/simulator/graph', simulator.router);
+
+  process.env.WHATSAPP_API_URL = `${localUrl}/simulator/graph/v23.0`;
+  process.env.WHATSAPP_ACCESS_TOKEN = process.env.WHATSAPP_ACCESS_TOKEN || 'simulator';
+  process.env.WHATSAPP_PHONE_NUMBER_ID = process.env.WHATSAPP_PHONE_NUMBER_ID || 'simulator';
+  process.env.WHATSAPP_BUSINESS_ACCOUNT_ID = process.env.WHATSAPP_BUSINESS_ACCOUNT_ID || 'simulator';
+
+  console.log(`✅ WhatsApp Cloud API simulator mounted at ${process.env.WHATSAPP_API_URL}`);
+  return simulator;
+};
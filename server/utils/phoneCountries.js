@@ -0,0 +1,68 @@
+// Calling code lookups for E.164-style phone numbers.
+// One representative timezone per country; contacts can override it with their own timezone.
+
+const COUNTRIES = [
+  { callingCode: '1', country: 'US', timezone: 'America/New_York' },
+  { callingCode: '7', country: 'RU', timezone: 'Europe/Moscow' },
+  { callingCode: '20', country: 'EG', timezone: 'Africa/Cairo' },
+  { callingCode: '27', country: 'ZA', timezone: 'Africa/Johannesburg' },
+  { callingCode: '31', country: 'NL', timezone: 'Europe/Amsterdam' },
+  { callingCode: '33', country: 'FR', timezone: 'Europe/Paris' },
+  { callingCode: '34', country: 'ES', timezone: 'Europe/Madrid' },
+  { callingCode: '39', country: 'IT', timezone: 'Europe/Rome' },
+  { callingCode: '44', country: 'GB', timezone: 'Europe/London' },
+  { callingCode: '49', country: 'DE', timezone: 'Europe/Berlin' },
+  { callingCode: '52', country: 'MX', timezone: 'America/Mexico_City' },
+  { callingCode: '54', country: 'AR', timezone: 'America/Argentina/Buenos_Aires' },
+  { callingCode: '55', country: 'BR', timezone: 'America/Sao_Paulo' },
+  { callingCode: '57', country: 'CO', timezone: 'America/Bogota' },
+  { callingCode: '60', country: 'MY', timezone: 'Asia/Kuala_Lumpur' },
+  { callingCode: '61', country: 'AU', timezone: 'Australia/Sydney' },
+  { callingCode: '62', country: 'ID', timezone: 'Asia/Jakarta' },
+  { callingCode: '63', country: 'PH', timezone: 'Asia/Manila' },
+  { callingCode: '64', country: 'NZ', timezone: 'Pacific/Auckland' },
+  { callingCode: '65', country: 'SG', timezone: 'Asia/Singapore' },
+  { callingCode: '66', country: 'TH', timezone: 'Asia/Bangkok' },
+  { callingCode: '81', country: 'JP', timezone: 'Asia/Tokyo' },
+  { callingCode: '82', country: 'KR', timezone: 'Asia/Seoul' },
+  { callingCode: '84', country: 'VN', timezone: 'Asia/Ho_Chi_Minh' },
+  { callingCode: '86', country: 'CN', timezone: 'Asia/Shanghai' },
+  { callingCode: '90', country: 'TR', timezone: 'Europe/Istanbul' },
+  { callingCode: '91', country: 'IN', timezone: 'Asia/Kolkata' },
+  { callingCode: '92', country: 'PK', timezone: 'Asia/Karachi' },
+  { callingCode: '94', country: 'LK', timezone: 'Asia/Colombo' },
+  { callingCode: '234', country: 'NG', timezone: 'Africa/Lagos' },
+  { callingCode: '254', country: 'KE', timezone: 'Africa/Nairobi' },
+  { callingCode: '353', country: 'IE', timezone: 'Europe/Dublin' },
+  { callingCode: '880', country: 'BD', timezone: 'Asia/Dhaka' },
+  { callingCode: '965', country: 'KW', timezone: 'Asia/Kuwait' },
+  { callingCode: '966', country: 'SA', timezone: 'Asia/Riyadh' },
+  { callingCode: '968', country: 'OM', timezone: 'Asia/Muscat' },
+  { callingCode: '971', country: 'AE', timezone: 'Asia/Dubai' },
+  { callingCode: '973', country: 'BH', timezone: 'Asia/Bahrain' },
+  { callingCode: '974', country: 'QA', timezone: 'Asia/Qatar' },
+  { callingCode: '977', country: 'NP', timezone: 'Asia/Kathmandu' }
+];
+
+// Longest calling codes first so '971' wins over '97x' style shorter prefixes
+const BY_PREFIX_LENGTH = [...COUNTRIES].sort((a, b) => b.callingCode.length - a.callingCode.length);
+
+// Digits-only phone number; 10-digit numbers are assumed to be Indian, like formatPhoneNumber
+export const normalizePhoneDigits = (phone) => {
+  let cleaned = String(phone || '').replace(/\D/g, '');
+  if (!cleaned.startsWith('91') && cleaned.length === 10) {
+    cleaned = '91' + cleaned;
+  }
+  return cleaned;
+};
+
+export const getCountryForPhone = (phone) => {
+  const digits = normalizePhoneDigits(phone);
+  if (!digits) return null;
+
+  return BY_PREFIX_LENGTH.find(entry => digits.startsWith(entry.callingCode)) || null;
+};
+
+export const getCallingCode = (phone) => getCountryForPhone(phone)?.callingCode || null;
+
+export const getTimezoneForPhone = (phone) => getCountryForPhone(phone)?.timezone || null;
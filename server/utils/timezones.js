@@ -0,0 +1,9 @@
+// IANA timezone names, checked against the runtime's timezone data
+export const isValidTimezone = (timezone) => {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};